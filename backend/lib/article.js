@@ -0,0 +1,251 @@
+// Fetch a web page and pull out the article in it, for summarizing by link.
+import { Buffer } from "node:buffer";
+import dns from "node:dns";
+import net from "node:net";
+import { Readability } from "@mozilla/readability";
+import { parseHTML } from "linkedom";
+import { Agent, fetch } from "undici";
+import { TITLE_MAX } from "../models/Summary.js";
+
+export const PAGE_MAX_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15_000;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = "SahbanSummaries/1.0 (+article reader)";
+// For validators: full http(s) links; hosts without a TLD are left to assertPublicHost
+export const LINK_OPTIONS = { protocols: ["http", "https"], require_protocol: true, require_tld: false };
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+// Loopback, private, link-local and other addresses no public page lives at
+const PRIVATE = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE.addSubnet(address, prefix, "ipv6");
+}
+
+const isPrivate = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE.check(mapped[1], "ipv4");
+  return PRIVATE.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+/**
+ * The server fetches whatever link it is given, so links into the server's own
+ * network are refused. Self-hosters who want to read intranet pages set
+ * INGEST_ALLOW_PRIVATE_HOSTS=true, or to a comma-separated list of the host
+ * names that may be private (the tests allow their localhost fixtures this way).
+ */
+const mayBePrivate = (host) => {
+  const allowed = (process.env.INGEST_ALLOW_PRIVATE_HOSTS || "").split(",").map((entry) => entry.trim().toLowerCase());
+  return allowed.includes("true") || allowed.includes(host.toLowerCase());
+};
+const PRIVATE_REFUSED = "Links to private network addresses are not allowed";
+
+// Address literals never reach a DNS lookup, so they are checked up front
+function assertPublicHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isPrivate(host) && !mayBePrivate(host)) throw fail(400, PRIVATE_REFUSED);
+}
+
+/**
+ * Resolve names for the fetch connection itself and refuse private
+ * addresses there, so the address that was checked is the one connected to.
+ * A separate check before fetching could be undone by DNS rebinding.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!mayBePrivate(hostname) && addresses.some(({ address }) => isPrivate(address))) return callback(fail(400, PRIVATE_REFUSED));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Every hop, redirects included, connects through the checked lookup
+const dispatcher = new Agent({ connect: { lookup: publicLookup } });
+
+// The response's charset, else a <meta charset> near the top of the page, else UTF-8
+const decode = (bytes, contentType) => {
+  const declared =
+    contentType.match(/charset=["']?([\w-]+)/i)?.[1] ||
+    Buffer.from(bytes.subarray(0, 1024)).toString("latin1").match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(declared || "utf-8").decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+};
+
+async function readBody(res) {
+  const length = Number(res.headers.get("content-length"));
+  if (length > PAGE_MAX_BYTES) throw fail(413, "That page is too large to read");
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > PAGE_MAX_BYTES) throw fail(413, "That page is too large to read");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch a page, following redirects by hand so every hop is checked.
+ * Resolves to { url, type, body } where `url` is where the page really lives
+ * and `type` is "html" or "text". Errors carry an HTTP `status` to answer with.
+ */
+export async function fetchPage(link, { signal } = {}) {
+  const timeout = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  const abort = signal ? AbortSignal.any([signal, timeout]) : timeout;
+  let url = new URL(link);
+  try {
+    for (let hops = 0; ; hops += 1) {
+      if (!["http:", "https:"].includes(url.protocol)) throw fail(400, "Only http and https links can be read");
+      assertPublicHost(url);
+      const res = await fetch(url, {
+        dispatcher,
+        redirect: "manual",
+        signal: abort,
+        headers: { "User-Agent": USER_AGENT, Accept: "text/html,application/xhtml+xml,text/plain;q=0.8" },
+      });
+      const location = res.headers.get("location");
+      if (res.status >= 300 && res.status < 400 && location) {
+        await res.body?.cancel();
+        if (hops >= MAX_REDIRECTS) throw fail(502, "The link redirects too many times");
+        url = new URL(location, url);
+        continue;
+      }
+      if (!res.ok) {
+        await res.body?.cancel();
+        throw fail(502, `The page responded with ${res.status}`);
+      }
+      const contentType = res.headers.get("content-type") || "";
+      const type = /html|xml/i.test(contentType) ? "html" : /^text\/plain/i.test(contentType) ? "text" : null;
+      if (!type) {
+        await res.body?.cancel();
+        throw fail(422, "That link is not a web page");
+      }
+      return { url: url.href, type, body: decode(await readBody(res), contentType) };
+    }
+  } catch (error) {
+    if (error.status) throw error;
+    if (error.cause?.status) throw error.cause;
+    if (error.cause?.code === "ENOTFOUND") throw fail(502, `Could not find ${url.hostname}`);
+    if (timeout.aborted) throw fail(504, "The page took too long to respond");
+    if (signal?.aborted) throw error;
+    throw fail(502, `Could not fetch the page: ${error.cause?.message || error.message}`);
+  }
+}
+
+const HEADINGS = new Set(["H1", "H2", "H3", "H4", "H5", "H6"]);
+const PARAGRAPHS = new Set(["P", "BLOCKQUOTE", "FIGCAPTION", "DT", "DD", "TD", "TH", "LI"]);
+const INLINE = new Set(["A", "ABBR", "B", "BDI", "BDO", "BR", "CITE", "CODE", "DATA", "DFN", "EM", "I", "KBD", "MARK", "Q", "S", "SAMP", "SMALL", "SPAN", "STRONG", "SUB", "SUP", "TIME", "U", "VAR"]);
+const clean = (text) => text.replace(/\s+/g, " ").trim();
+const words = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Readability's cleaned-up article HTML as plain text: one paragraph per
+ * block, headings as [Section: ...] markers and list items as "- " lines,
+ * the same shape the uploaded-file reader produces.
+ */
+function articleText(root) {
+  const blocks = [];
+  let loose = "";
+  const flush = () => {
+    if (clean(loose)) blocks.push(clean(loose));
+    loose = "";
+  };
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        loose += child.textContent;
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+      const tag = child.tagName.toUpperCase();
+      if (INLINE.has(tag)) {
+        loose += tag === "BR" ? " " : child.textContent;
+        continue;
+      }
+      flush();
+      const text = clean(child.textContent);
+      if (HEADINGS.has(tag)) {
+        if (text) blocks.push(`[Section: ${text}]`);
+      } else if (tag === "PRE") {
+        if (text) blocks.push(child.textContent.replace(/\s+$/, ""));
+      } else if (PARAGRAPHS.has(tag) && !child.querySelector("p, li, ul, ol, pre")) {
+        if (text) blocks.push(tag === "LI" ? `- ${text}` : text);
+      } else {
+        walk(child);
+        flush();
+      }
+    }
+  };
+  walk(root);
+  flush();
+  return blocks.join("\n\n");
+}
+
+const plainParagraphs = (text) =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .join("\n\n");
+
+/**
+ * Pull the main article out of a page with Readability, dropping navigation,
+ * ads and other boilerplate. Returns { url, title, byline, siteName,
+ * excerpt, publishedTime, lang, text, words }; `text` is empty when the page
+ * has no readable content.
+ */
+export function extractArticle({ url, type, body }) {
+  const siteName = new URL(url).hostname;
+  if (type === "text") {
+    const text = plainParagraphs(body);
+    const title = text.split("\n")[0].slice(0, TITLE_MAX);
+    return { url, title, byline: "", siteName, excerpt: "", publishedTime: "", lang: "", text, words: words(text) };
+  }
+
+  const { document } = parseHTML(body);
+  const meta = (selector) => document.querySelector(selector)?.getAttribute("content")?.trim() || "";
+  const fallbackTitle = meta('meta[property="og:title"]') || clean(document.querySelector("title")?.textContent || "");
+  const article = new Readability(document).parse();
+
+  let text = "";
+  if (article?.content) {
+    const { document: content } = parseHTML(`<!doctype html><html><body>${article.content}</body></html>`);
+    text = articleText(content.body);
+  }
+  return {
+    url,
+    title: clean(article?.title || fallbackTitle).slice(0, TITLE_MAX),
+    byline: clean(article?.byline || ""),
+    siteName: clean(article?.siteName || "") || siteName,
+    excerpt: clean(article?.excerpt || ""),
+    publishedTime: article?.publishedTime || "",
+    lang: article?.lang || "",
+    text,
+    words: words(text),
+  };
+}
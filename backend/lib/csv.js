@@ -0,0 +1,57 @@
+// RFC 4180 CSV: fields with commas, quotes or line breaks are quoted, quotes doubled
+
+const needsQuotes = /[",\r\n]/;
+
+const field = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return needsQuotes.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvRow = (values) => `${values.map(field).join(",")}\r\n`;
+
+/**
+ * Parse CSV text into rows of strings. Quoted fields may span lines.
+ * Throws on an unterminated quote, since every row after it would be wrong.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  // A byte order mark would otherwise end up in the first header name
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (value !== "" || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+  // Blank lines carry no record
+  return rows.filter((r) => r.length > 1 || r[0] !== "");
+}
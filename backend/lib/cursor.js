@@ -0,0 +1,69 @@
+// Keyset pagination for the summaries list. A cursor holds the sort key of the
+// last item served, so inserts and deletes between loads never shift a page
+// the way skip/limit does. Clients must treat it as opaque.
+import { Buffer } from "node:buffer";
+import mongoose from "mongoose";
+import Summary from "../models/Summary.js";
+import { aggregateMatch } from "./filters.js";
+
+// Every keyset ends on _id so ties on the leading keys still have one order
+const KEYSETS = {
+  "-createdAt": [["createdAt", -1], ["_id", -1]],
+  createdAt: [["createdAt", 1], ["_id", 1]],
+  "-starred": [["starred", -1], ["createdAt", -1], ["_id", -1]],
+  relevance: [["score", -1], ["createdAt", -1], ["_id", -1]],
+};
+
+const encodeValue = (field, value) => (field === "createdAt" ? value.getTime() : field === "_id" ? String(value) : value);
+const decodeValue = (field, value) => {
+  if (field === "createdAt") return Number.isFinite(value) ? new Date(value) : undefined;
+  if (field === "_id") return mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(value) : undefined;
+  if (field === "starred") return typeof value === "boolean" ? value : undefined;
+  return typeof value === "number" ? value : undefined;
+};
+
+export const encodeCursor = (sort, doc) =>
+  Buffer.from(JSON.stringify({ s: sort, k: KEYSETS[sort].map(([field]) => encodeValue(field, doc[field])) })).toString("base64url");
+
+/**
+ * Sort key values from a cursor, or null when it is malformed or was issued
+ * for a different sort order.
+ */
+export function decodeCursor(sort, cursor) {
+  try {
+    const { s, k } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (s !== sort || !Array.isArray(k) || k.length !== KEYSETS[sort].length) return null;
+    const values = KEYSETS[sort].map(([field], i) => decodeValue(field, k[i]));
+    return values.includes(undefined) ? null : values;
+  } catch {
+    return null;
+  }
+}
+
+// (a, b, c) after (x, y, z): a beyond x, or a = x and b beyond y, and so on
+function after(keyset, values) {
+  return {
+    $or: keyset.map(([field, dir], i) => ({
+      ...Object.fromEntries(keyset.slice(0, i).map(([prev], j) => [prev, values[j]])),
+      [field]: { [dir < 0 ? "$lt" : "$gt"]: values[i] },
+    })),
+  };
+}
+
+/**
+ * One page after `values` (or the first page): { items, nextCursor }.
+ */
+export async function cursorPage(filter, sort, values, limit) {
+  const keyset = KEYSETS[sort];
+  const pipeline = [{ $match: aggregateMatch(filter) }];
+  if (sort === "relevance") pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+  // Records from before the starred default sort as unstarred
+  if (sort === "-starred") pipeline.push({ $addFields: { starred: { $ifNull: ["$starred", false] } } });
+  if (values) pipeline.push({ $match: after(keyset, values) });
+  pipeline.push({ $sort: Object.fromEntries(keyset) }, { $limit: limit + 1 });
+
+  const docs = await Summary.aggregate(pipeline);
+  const items = docs.slice(0, limit).map((doc) => Summary.hydrate(doc));
+  const last = docs.length > limit ? docs[limit - 1] : null;
+  return { items, nextCursor: last ? encodeCursor(sort, last) : null };
+}
@@ -0,0 +1,74 @@
+// Structured filters, whitelisted sorts and facet counts for the summaries list.
+import mongoose from "mongoose";
+import Summary from "../models/Summary.js";
+import { normalizeTags } from "./tags.js";
+
+export const TAG_MODES = ["any", "all"];
+export const SORTS = {
+  "-createdAt": { createdAt: -1, _id: -1 },
+  createdAt: { createdAt: 1, _id: 1 },
+  "-starred": { starred: -1, createdAt: -1, _id: -1 },
+  relevance: { score: { $meta: "textScore" }, createdAt: -1 },
+};
+const FACET_TAG_LIMIT = 50;
+
+// ?tags=a,b and ?tags=a&tags=b are both accepted
+export const listTags = (value) => normalizeTags([].concat(value ?? []).flatMap((v) => String(v).split(",")));
+
+// A bare date as the upper bound means "through the end of that day"
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const upperBound = (value) =>
+  DAY.test(value) ? { $lt: new Date(Date.parse(value) + 86_400_000) } : { $lte: new Date(value) };
+
+/**
+ * Mongo filter for the structured list parameters; expects validated query values.
+ */
+export function listFilter(query) {
+  const filter = {};
+  const tags = listTags(query.tags);
+  if (tags.length) filter.tags = query.tagMode === "all" ? { $all: tags } : { $in: tags };
+  if (query.starred !== undefined) filter.starred = query.starred === "true" ? true : { $ne: true };
+  if (query.shared !== undefined) filter.slug = { $exists: query.shared === "true" };
+  // Records saved before paraphrases existed have no kind and are summaries
+  if (query.kind) filter.kind = query.kind === "summary" ? { $in: ["summary", null] } : query.kind;
+  if (query.from || query.to) {
+    filter.createdAt = {
+      ...(query.from ? { $gte: new Date(query.from) } : {}),
+      ...(query.to ? upperBound(query.to) : {}),
+    };
+  }
+  return filter;
+}
+
+// Aggregation skips schema casting, so the owner id must be an ObjectId there
+export const aggregateMatch = (filter) => ({ ...filter, userId: new mongoose.Types.ObjectId(String(filter.userId)) });
+
+/**
+ * Counts over everything matching `filter`, in one aggregation round trip:
+ * { total, starred, shared, tags: [{ tag, count }] }.
+ */
+export async function facetCounts(filter) {
+  const [result] = await Summary.aggregate([
+    { $match: aggregateMatch(filter) },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        starred: [{ $match: { starred: true } }, { $count: "count" }],
+        shared: [{ $match: { slug: { $exists: true } } }, { $count: "count" }],
+        tags: [
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_TAG_LIMIT },
+        ],
+      },
+    },
+  ]);
+  const count = (bucket) => bucket[0]?.count ?? 0;
+  return {
+    total: count(result.total),
+    starred: count(result.starred),
+    shared: count(result.shared),
+    tags: result.tags.map(({ _id, count: n }) => ({ tag: _id, count: n })),
+  };
+}
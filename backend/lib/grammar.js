@@ -0,0 +1,254 @@
+// Rule-based grammar and style checks. Fast, offline and deterministic; the
+// LLM only ever adds style suggestions on top (see llm/grammar.js).
+//
+// Issues: { offset, length, category, rule, message, replacements }, where
+// offset and length index into the checked text in UTF-16 code units, the
+// same units String#slice uses in the browser.
+
+export const CATEGORIES = ["grammar", "spelling", "punctuation", "style", "typography"];
+const LONG_SENTENCE_WORDS = 40;
+
+// Keep the case of the word being replaced: "Teh" -> "The", "TEH" -> "THE"
+export function matchCase(source, replacement) {
+  if (source.length > 1 && source === source.toUpperCase() && source !== source.toLowerCase()) return replacement.toUpperCase();
+  if (source[0] !== source[0].toLowerCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+}
+
+const MISSPELLINGS = {
+  accomodate: "accommodate",
+  acheive: "achieve",
+  adress: "address",
+  alot: "a lot",
+  arguement: "argument",
+  begining: "beginning",
+  beleive: "believe",
+  calender: "calendar",
+  commited: "committed",
+  definately: "definitely",
+  embarass: "embarrass",
+  enviroment: "environment",
+  existance: "existence",
+  goverment: "government",
+  independant: "independent",
+  neccessary: "necessary",
+  noticable: "noticeable",
+  occassion: "occasion",
+  occured: "occurred",
+  occurence: "occurrence",
+  publically: "publicly",
+  recieve: "receive",
+  refered: "referred",
+  seperate: "separate",
+  succesful: "successful",
+  teh: "the",
+  thier: "their",
+  tommorow: "tomorrow",
+  truely: "truly",
+  untill: "until",
+  wich: "which",
+  wierd: "weird",
+};
+
+// Phrases that are wrong however they are used
+const CONFUSIONS = [
+  [/\b(could|should|would|must|might) of\b/gi, (m, verb) => `${verb} have`, "“Of” is not a verb; use “have” here."],
+  [/\b(more|less|better|worse|rather|other|greater|fewer) then\b/gi, (m, word) => `${word} than`, "Use “than” for comparisons."],
+  [/\byour welcome\b/gi, () => "you're welcome", "Use “you're” (you are) here."],
+  [/\birregardless\b/gi, () => "regardless", "“Irregardless” is nonstandard; use “regardless”."],
+  [/\bfor all intensive purposes\b/gi, () => "for all intents and purposes", "The phrase is “for all intents and purposes”."],
+];
+
+const WORDY = [
+  [/\bin order to\b/gi, "to"],
+  [/\bdue to the fact that\b/gi, "because"],
+  [/\bat this point in time\b/gi, "now"],
+  [/\bin the event that\b/gi, "if"],
+  [/\ba (?:large|great) number of\b/gi, "many"],
+  [/\bhas the ability to\b/gi, "can"],
+  [/\bvery unique\b/gi, "unique"],
+];
+
+// "an" goes by sound, not spelling; these are the common exceptions to the first letter
+const VOWEL_SOUND_CONSONANT = /^(hour|honest|honor|honour|heir)/i;
+const CONSONANT_SOUND_VOWEL = /^(uni|use|usu|uti|euro|one|once|ewe)/i;
+const startsWithVowelSound = (word) => {
+  // Acronyms are read letter by letter: "an FBI agent", "a USB cable"
+  if (/^[A-Z][A-Z0-9]+$/.test(word)) return /^[AEFHILMNORSX]/.test(word);
+  return VOWEL_SOUND_CONSONANT.test(word) || (/^[aeiou]/i.test(word) && !CONSONANT_SOUND_VOWEL.test(word));
+};
+
+// A lowercase word after these is not starting a new sentence: common short
+// forms, dotted initialisms such as "U.S.", "e.g." or "p.m.", and ellipses
+const ABBREVIATIONS = /(?:^|\s)(?:etc|vs|cf|approx|mr|mrs|ms|dr|st|no)\.$|(?:^|[\s(])(?:\p{L}\.){2,}$|\.\.$/iu;
+
+function* matches(text, pattern) {
+  pattern.lastIndex = 0;
+  for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+    yield match;
+    if (!match[0].length) pattern.lastIndex += 1;
+  }
+}
+
+const RULES = [
+  function misspellings(text) {
+    const issues = [];
+    for (const match of matches(text, /\b[\p{L}']+\b/gu)) {
+      const fix = MISSPELLINGS[match[0].toLowerCase()];
+      if (!fix) continue;
+      issues.push({ offset: match.index, length: match[0].length, category: "spelling", rule: "misspelling", message: `Possible spelling mistake: “${match[0]}”.`, replacements: [matchCase(match[0], fix)] });
+    }
+    return issues;
+  },
+
+  function repeatedWords(text) {
+    const issues = [];
+    for (const match of matches(text, /\b([\p{L}']+)(\s+)\1\b/giu)) {
+      // "that that" and "had had" can be correct, so only flag exact repeats of other words
+      if (/^(that|had)$/i.test(match[1])) continue;
+      issues.push({ offset: match.index, length: match[0].length, category: "grammar", rule: "repeated-word", message: `“${match[1]}” is repeated.`, replacements: [match[1]] });
+    }
+    return issues;
+  },
+
+  function articles(text) {
+    const issues = [];
+    for (const match of matches(text, /\b(a|an)\s+([\p{L}][\p{L}\p{N}-]*)/giu)) {
+      const [, article, word] = match;
+      const wantsAn = startsWithVowelSound(word);
+      if (wantsAn === (article.toLowerCase() === "an")) continue;
+      issues.push({
+        offset: match.index,
+        length: article.length,
+        category: "grammar",
+        rule: "a-an",
+        message: wantsAn ? `Use “an” before a vowel sound: “an ${word}”.` : `Use “a” before a consonant sound: “a ${word}”.`,
+        replacements: [matchCase(article, wantsAn ? "an" : "a")],
+      });
+    }
+    return issues;
+  },
+
+  function pronounI(text) {
+    return [...matches(text, /(?<![\p{L}'’.-])i(?=\s|'|’|[,.!?;:]|$)(?![.-]\p{L})/gu)].map((match) => ({
+      offset: match.index,
+      length: 1,
+      category: "grammar",
+      rule: "pronoun-i",
+      message: "The pronoun “I” is always capitalized.",
+      replacements: ["I"],
+    }));
+  },
+
+  function sentenceStart(text) {
+    const issues = [];
+    for (const match of matches(text, /(?:^\s*|[.!?]\s+|\n\s*\n\s*)(\p{Ll}[\p{L}']*)/gu)) {
+      const word = match[1];
+      const offset = match.index + match[0].length - word.length;
+      if (ABBREVIATIONS.test(text.slice(Math.max(0, match.index - 16), match.index + 1))) continue;
+      // Some names start lowercase on purpose, and "e.g" is followed by its own period
+      if (/^(iphone|ipad|ebay|www)$/i.test(word) || /^[.@/]/.test(text.slice(offset + word.length))) continue;
+      issues.push({ offset, length: word.length, category: "grammar", rule: "sentence-start", message: "Start a sentence with a capital letter.", replacements: [word[0].toUpperCase() + word.slice(1)] });
+    }
+    return issues;
+  },
+
+  function confusions(text) {
+    return CONFUSIONS.flatMap(([pattern, fix, message]) =>
+      [...matches(text, pattern)].map((match) => ({
+        offset: match.index,
+        length: match[0].length,
+        category: "grammar",
+        rule: "confused-words",
+        message,
+        replacements: [matchCase(match[0], fix(...match))],
+      }))
+    );
+  },
+
+  function punctuationSpacing(text) {
+    const issues = [];
+    for (const match of matches(text, /(\S)([ \t]+)([,.;:!?])(?=\s|$)/g)) {
+      issues.push({ offset: match.index + 1, length: match[2].length, category: "punctuation", rule: "space-before-punctuation", message: "Remove the space before the punctuation mark.", replacements: [""] });
+    }
+    // A comma or semicolon glued to the next word; numbers like 1,000 and 3.14 are fine
+    for (const match of matches(text, /(?<=\p{L})([,;])(?=\p{L})/gu)) {
+      issues.push({ offset: match.index, length: 1, category: "punctuation", rule: "space-after-punctuation", message: "Add a space after the punctuation mark.", replacements: [`${match[1]} `] });
+    }
+    for (const match of matches(text, /([!?])\1+/g)) {
+      issues.push({ offset: match.index, length: match[0].length, category: "punctuation", rule: "repeated-punctuation", message: "One punctuation mark is enough.", replacements: [match[1]] });
+    }
+    return issues;
+  },
+
+  function typography(text) {
+    return [...matches(text, /(?<=\S) {2,}(?=\S)/g)].map((match) => ({
+      offset: match.index,
+      length: match[0].length,
+      category: "typography",
+      rule: "double-space",
+      message: "Use a single space between words.",
+      replacements: [" "],
+    }));
+  },
+
+  function wordiness(text) {
+    return WORDY.flatMap(([pattern, fix]) =>
+      [...matches(text, pattern)].map((match) => ({
+        offset: match.index,
+        length: match[0].length,
+        category: "style",
+        rule: "wordy",
+        message: `“${match[0]}” can be said more simply.`,
+        replacements: [matchCase(match[0], fix)],
+      }))
+    );
+  },
+
+  function longSentences(text) {
+    const issues = [];
+    for (const match of matches(text, /[^.!?\n]+[.!?]?/g)) {
+      const words = match[0].trim().split(/\s+/).filter(Boolean).length;
+      if (words <= LONG_SENTENCE_WORDS) continue;
+      const lead = match[0].length - match[0].trimStart().length;
+      issues.push({
+        offset: match.index + lead,
+        length: match[0].trim().length,
+        category: "style",
+        rule: "long-sentence",
+        message: `This sentence has ${words} words; consider splitting it.`,
+        replacements: [],
+      });
+    }
+    return issues;
+  },
+];
+
+/**
+ * Drop issues that overlap an earlier one, so every accepted fix applies
+ * cleanly. Earlier offsets win, then shorter spans, which are more specific.
+ */
+export function resolveOverlaps(issues) {
+  const sorted = [...issues].sort((a, b) => a.offset - b.offset || a.length - b.length);
+  const kept = [];
+  let end = -1;
+  for (const issue of sorted) {
+    if (issue.offset < end) continue;
+    kept.push(issue);
+    end = issue.offset + Math.max(issue.length, 1);
+  }
+  return kept;
+}
+
+/**
+ * Run every rule over `text` and return the issues in reading order.
+ * Long-sentence hints span whole sentences, so they are kept apart from the
+ * overlap check and only reported when nothing more specific sits inside them.
+ */
+export function checkText(text) {
+  const all = RULES.flatMap((rule) => rule(text));
+  const spans = all.filter((issue) => issue.rule === "long-sentence");
+  const specific = resolveOverlaps(all.filter((issue) => issue.rule !== "long-sentence"));
+  const clear = spans.filter((span) => !specific.some((issue) => issue.offset < span.offset + span.length && issue.offset + issue.length > span.offset));
+  return [...specific, ...clear].sort((a, b) => a.offset - b.offset);
+}
@@ -0,0 +1,216 @@
+import { Buffer } from "node:buffer";
+import { createHash } from "node:crypto";
+import { strFromU8, unzipSync } from "fflate";
+import isURL from "validator/lib/isURL.js";
+import { parseCsv, csvRow } from "./csv.js";
+import { MAX_TAGS, normalizeTags } from "./tags.js";
+import { LINK_OPTIONS } from "./article.js";
+import { KINDS, NOTE_MAX, SOURCE_URL_MAX, SUMMARY_MAX, TITLE_MAX, summaryMax } from "../models/Summary.js";
+
+export const EXPORT_FORMATS = ["json", "csv", "md-zip"];
+// A single Markdown file is accepted too, for notes coming from other tools
+export const IMPORT_FORMATS = [...EXPORT_FORMATS, "md"];
+export const IMPORT_MAX_ROWS = 5000;
+export const CSV_COLUMNS = ["title", "note", "summary", "tags", "starred", "createdAt", "kind", "sourceUrl"];
+
+const CONTENT_TYPES = {
+  "application/json": "json",
+  "text/csv": "csv",
+  "application/zip": "md-zip",
+  "application/x-zip-compressed": "md-zip",
+  "text/markdown": "md",
+};
+
+// ?format= wins; otherwise the request's content type decides
+export const importFormat = (req) => req.query.format || CONTENT_TYPES[String(req.headers["content-type"]).split(";")[0].trim()];
+
+/**
+ * What an export keeps of a summary: enough to rebuild it, nothing tied to
+ * this server such as ids, share links or collections.
+ */
+export const exportRecord = (doc) => ({
+  title: doc.title || "",
+  note: doc.note,
+  summary: doc.summary,
+  tags: [...(doc.tags || [])],
+  starred: Boolean(doc.starred),
+  createdAt: new Date(doc.createdAt).toISOString(),
+  kind: doc.kind || "summary",
+  sourceUrl: doc.sourceUrl || "",
+});
+
+export const csvHeader = () => csvRow(CSV_COLUMNS);
+export const csvRecord = (record) => csvRow(CSV_COLUMNS.map((column) => (column === "tags" ? record.tags.join(", ") : record[column])));
+
+export function toMarkdown(record) {
+  const front = ["title", "tags", "starred", "createdAt", "kind", "sourceUrl"].map((key) => `${key}: ${JSON.stringify(record[key])}`);
+  return `---\n${front.join("\n")}\n---\n\n## Summary\n\n${record.summary}\n\n## Note\n\n${record.note}\n`;
+}
+
+const slugify = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+
+/**
+ * A unique file name inside the zip: date, then the title or the start of the summary.
+ * `used` collects the names handed out so far.
+ */
+export function markdownFilename(record, used) {
+  const base = `${record.createdAt.slice(0, 10)}-${slugify(record.title || record.summary) || "summary"}`;
+  let name = `${base}.md`;
+  for (let n = 2; used.has(name); n += 1) name = `${base}-${n}.md`;
+  used.add(name);
+  return name;
+}
+
+const parseValue = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw.trim();
+  }
+};
+
+/**
+ * Read a Markdown file back into a record. Files from our own export have
+ * front matter and Summary/Note sections; any other Markdown becomes the
+ * note, with its first paragraph as the summary and its first heading as the title.
+ */
+export function fromMarkdown(text) {
+  const record = {};
+  let body = text.replace(/^\uFEFF/, "").replace(/\r\n/g, "\n");
+  const front = body.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (front) {
+    for (const line of front[1].split("\n")) {
+      const match = line.match(/^(\w+):\s*(.*)$/);
+      if (match) record[match[1]] = parseValue(match[2]);
+    }
+    body = body.slice(front[0].length);
+  }
+  const sections = body.match(/^\s*## Summary\n([\s\S]*?)\n## Note\n([\s\S]*)$/);
+  if (sections) return { ...record, summary: sections[1].trim(), note: sections[2].trim() };
+
+  const heading = body.match(/^#\s+(.+)$/m);
+  const paragraphs = body.split(/\n\s*\n/).map((p) => p.trim()).filter((p) => p && !/^#+\s/.test(p));
+  return {
+    title: heading?.[1].trim(),
+    ...record,
+    note: body.trim(),
+    summary: (paragraphs[0] || body.trim()).slice(0, SUMMARY_MAX),
+  };
+}
+
+const rowsFromJson = (text) => {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.summaries;
+  if (!Array.isArray(list)) throw new Error("Expected an array of summaries or { summaries: [...] }");
+  return list.map((raw, index) => ({ row: index + 1, raw }));
+};
+
+const rowsFromCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map((name) => name.trim());
+  if (!columns.includes("note") || !columns.includes("summary")) throw new Error("CSV needs note and summary columns");
+  return rows.map((cells, index) => ({
+    row: index + 1,
+    raw: Object.fromEntries(columns.map((column, i) => [column, cells[i]])),
+  }));
+};
+
+// A note at its longest, with room for its summary and front matter
+export const ZIP_FILE_MAX_BYTES = 8 * 1024 * 1024;
+export const ZIP_TOTAL_MAX_BYTES = 100 * 1024 * 1024;
+
+const rowsFromZip = (buffer) => {
+  // Sizes come from the archive's headers and fflate never inflates past them,
+  // so a zip bomb is refused before any of it is unpacked
+  let entries = 0;
+  let total = 0;
+  const files = unzipSync(new Uint8Array(buffer), {
+    filter: (file) => {
+      // Directories and macOS resource forks are not notes
+      if (!/\.(md|markdown|txt)$/i.test(file.name) || file.name.split("/").some((part) => part.startsWith(".") || part === "__MACOSX")) return false;
+      entries += 1;
+      total += file.originalSize;
+      if (entries > IMPORT_MAX_ROWS) throw new Error(`archive too large: more than ${IMPORT_MAX_ROWS} files`);
+      if (file.originalSize > ZIP_FILE_MAX_BYTES) throw new Error(`archive too large: ${file.name} unpacks to more than ${ZIP_FILE_MAX_BYTES / 1024 / 1024} MB`);
+      if (total > ZIP_TOTAL_MAX_BYTES) throw new Error(`archive too large: it unpacks to more than ${ZIP_TOTAL_MAX_BYTES / 1024 / 1024} MB`);
+      return true;
+    },
+  });
+  return Object.entries(files)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([file, bytes], index) => ({ row: index + 1, file, raw: fromMarkdown(strFromU8(bytes)) }));
+};
+
+/**
+ * Split an uploaded library into { row, file?, raw } entries, one per summary.
+ * `input` is the raw body, or an already parsed JSON body. Throws when the
+ * file as a whole cannot be read.
+ */
+export function readImport(input, format) {
+  if (!Buffer.isBuffer(input)) {
+    if (format !== "json") throw new Error(`Send ${format} files as a raw request body`);
+    return rowsFromJson(JSON.stringify(input));
+  }
+  switch (format) {
+    case "json":
+      return rowsFromJson(input.toString("utf8"));
+    case "csv":
+      return rowsFromCsv(input.toString("utf8"));
+    case "md-zip":
+      return rowsFromZip(input);
+    case "md":
+      return [{ row: 1, raw: fromMarkdown(input.toString("utf8")) }];
+    default:
+      throw new Error(`Unsupported format "${format}"`);
+  }
+}
+
+const BOOLEANS = { true: true, false: false, yes: true, no: false, 1: true, 0: false, "": false };
+
+/**
+ * Check one imported entry and shape it like a saved summary.
+ * Returns { record } or { error } with a message naming the bad field.
+ */
+export function validateRecord(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "Expected an object" };
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+  const note = text(raw.note);
+  const summary = text(raw.summary);
+  const title = raw.title === undefined || raw.title === null ? "" : text(raw.title);
+  if (!note) return { error: "note is required" };
+  if (note.length > NOTE_MAX) return { error: `note is longer than ${NOTE_MAX} characters` };
+  if (!summary) return { error: "summary is required" };
+  // Older exports and other tools have no kind; their rows are summaries
+  const kind = text(raw.kind) || "summary";
+  if (!KINDS.includes(kind)) return { error: `kind must be one of ${KINDS.join(", ")}` };
+  if (summary.length > summaryMax(kind)) return { error: `summary is longer than ${summaryMax(kind)} characters` };
+  if (title.length > TITLE_MAX) return { error: `title is longer than ${TITLE_MAX} characters` };
+  const sourceUrl = text(raw.sourceUrl);
+  if (sourceUrl.length > SOURCE_URL_MAX) return { error: `sourceUrl is longer than ${SOURCE_URL_MAX} characters` };
+  if (sourceUrl && !isURL(sourceUrl, LINK_OPTIONS)) return { error: "sourceUrl must be an http or https link" };
+
+  let tags = raw.tags ?? [];
+  if (typeof tags === "string") tags = tags.split(",");
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) return { error: "tags must be a list of strings" };
+  tags = normalizeTags(tags);
+  if (tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags` };
+
+  const starred = typeof raw.starred === "boolean" ? raw.starred : BOOLEANS[String(raw.starred ?? "").trim().toLowerCase()];
+  if (starred === undefined) return { error: "starred must be true or false" };
+
+  const createdAt = raw.createdAt ? new Date(raw.createdAt) : new Date();
+  if (Number.isNaN(createdAt.getTime())) return { error: "createdAt is not a valid date" };
+
+  return { record: { title, note, summary, tags, starred, createdAt, kind, sourceUrl: sourceUrl || undefined } };
+}
+
+// Two summaries are the same if their note and summary text match exactly
+export const dedupeKey = ({ note, summary }) => createHash("sha256").update(note).update("\u0000").update(summary).digest("hex");
@@ -0,0 +1,83 @@
+// Search query parsing and result highlighting for the summaries list.
+// Queries support bare words, "quoted phrases" and -exclusions (also -"phrases").
+
+const TOKEN = /(-?)"([^"]*)"|(-?)(\S+)/g;
+const SNIPPET_RADIUS = 80;
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export function parseSearch(q) {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  for (const [, quotedNeg, phrase, wordNeg, word] of String(q).matchAll(TOKEN)) {
+    const value = (phrase ?? word).replace(/"/g, "").trim();
+    if (!value || value === "-") continue;
+    if (quotedNeg || wordNeg) parsed.excluded.push(value);
+    else if (phrase !== undefined) parsed.phrases.push(value);
+    else parsed.terms.push(value);
+  }
+  return parsed;
+}
+
+/**
+ * Mongo filter for a parsed query. $text handles words, phrases and negation
+ * itself but needs at least one positive term; exclusion-only queries fall
+ * back to escaped regexes.
+ */
+export function searchFilter(parsed) {
+  const positive = parsed.terms.length + parsed.phrases.length > 0;
+  if (positive) {
+    const search = [
+      ...parsed.terms,
+      ...parsed.phrases.map((p) => `"${p}"`),
+      ...parsed.excluded.map((e) => (/\s/.test(e) ? `-"${e}"` : `-${e}`)),
+    ].join(" ");
+    return { filter: { $text: { $search: search } }, ranked: true };
+  }
+  if (!parsed.excluded.length) return { filter: {}, ranked: false };
+  const nor = parsed.excluded.flatMap((e) => {
+    const re = new RegExp(escapeRegex(e), "i");
+    return [{ note: re }, { summary: re }, { tags: re }];
+  });
+  return { filter: { $nor: nor }, ranked: false };
+}
+
+// $text stems words, so highlight each term as a word prefix ("plan" marks "planning")
+function matcher(parsed) {
+  const parts = [
+    ...parsed.phrases.map((p) => escapeRegex(p).replace(/\s+/g, "\\s+")),
+    ...parsed.terms.map((t) => `${escapeRegex(t)}\\w*`),
+  ];
+  return parts.length ? new RegExp(`\\b(?:${parts.join("|")})`, "gi") : null;
+}
+
+function snippetFor(text, re) {
+  const found = [...text.matchAll(re)].map((m) => ({ offset: m.index, length: m[0].length }));
+  if (!found.length) return null;
+  const start = Math.max(0, found[0].offset - SNIPPET_RADIUS);
+  const end = Math.min(text.length, found[0].offset + found[0].length + SNIPPET_RADIUS);
+  return {
+    snippet: text.slice(start, end),
+    start,
+    // Offsets are relative to the snippet; `start` maps them back into the field
+    matches: found
+      .filter((m) => m.offset >= start && m.offset + m.length <= end)
+      .map((m) => ({ offset: m.offset - start, length: m.length })),
+    total: found.length,
+  };
+}
+
+/**
+ * Snippets around the first match in each text field, keyed by field name.
+ */
+export function highlight(doc, parsed) {
+  const re = matcher(parsed);
+  if (!re) return {};
+  const out = {};
+  for (const field of ["summary", "note"]) {
+    const hit = doc[field] ? snippetFor(doc[field], re) : null;
+    if (hit) out[field] = hit;
+  }
+  const tags = (doc.tags || []).filter((t) => new RegExp(re.source, "i").test(t));
+  if (tags.length) out.tags = tags;
+  return out;
+}
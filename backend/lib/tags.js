@@ -0,0 +1,23 @@
+// Tag normalization shared by every path that writes or filters tags, so
+// "ML", "ml " and "#ml" are one tag and "machine learning" matches "machine-learning".
+
+export const MAX_TAGS = 10;
+export const TAG_MAX_LENGTH = 40;
+
+export function normalizeTag(raw) {
+  return String(raw ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/[\s_]+/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, TAG_MAX_LENGTH)
+    .replace(/-+$/, "");
+}
+
+/**
+ * Normalized, de-duplicated tags in their original order, empties dropped.
+ */
+export const normalizeTags = (list) => [...new Set([].concat(list ?? []).map(normalizeTag).filter(Boolean))];
@@ -0,0 +1,37 @@
+// Deleted summaries sit in the trash for TRASH_RETENTION_DAYS, then an hourly job purges them.
+import Summary from "../models/Summary.js";
+import Revision from "../models/Revision.js";
+import ChatMessage from "../models/ChatMessage.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+export const retentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+export const purgeAt = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * DAY_MS);
+
+/**
+ * Permanently delete the summaries matching `filter` together with their
+ * revisions and chat conversations.
+ * Resolves with how many summaries were removed.
+ */
+export async function destroy(filter) {
+  const ids = await Summary.find(filter).distinct("_id");
+  if (!ids.length) return 0;
+  await Revision.deleteMany({ summaryId: { $in: ids } });
+  await ChatMessage.deleteMany({ summaryId: { $in: ids } });
+  const { deletedCount } = await Summary.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+}
+
+export const purgeExpired = (now = new Date()) =>
+  destroy({ deletedAt: { $lte: new Date(now.getTime() - retentionDays() * DAY_MS) } });
+
+export function startTrashPurge() {
+  const run = () =>
+    purgeExpired()
+      .then((count) => count && console.log(`🗑️ Purged ${count} expired summaries from the trash`))
+      .catch((err) => console.error("❌ Trash purge failed:", err.message));
+  run();
+  // Never keep the process alive just for the purge
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+}
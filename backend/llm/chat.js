@@ -0,0 +1,116 @@
+import { chatPrompt } from "./prompts.js";
+
+// Passages are what answers cite, so they stay small enough to read at a glance
+export const PASSAGE_CHARS = 800;
+const MIN_PASSAGE_CHARS = 200;
+export const CONTEXT_PASSAGES = 6;
+// Recent messages sent along so follow-up questions make sense
+const HISTORY_MESSAGES = 6;
+
+const STOPWORDS = new Set(
+  "about after also and any are been before being between both but can could did does doing each for from had has have how into its just more most much must not only other over report said same say says should some such tell than that the their them then there these they this those through under until very was were what when where which while who why will with would you your document text note".split(" ")
+);
+
+// Lowercase content words with the commonest English endings cut, so "taxes" finds "tax"
+const terms = (text) =>
+  (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+    .map((word) => (word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, "") : word));
+
+// Where to cut a block longer than PASSAGE_CHARS: after the last sentence that fits, else the last space
+function cutPoint(note, from) {
+  const window = note.slice(from, from + PASSAGE_CHARS);
+  const sentence = [...window.matchAll(/[.!?]["')\]]*\s+/g)].at(-1);
+  if (sentence && sentence.index > PASSAGE_CHARS / 2) return from + sentence.index + sentence[0].length;
+  const space = window.lastIndexOf(" ");
+  return from + (space > PASSAGE_CHARS / 2 ? space + 1 : PASSAGE_CHARS);
+}
+
+/**
+ * Split a note into numbered passages of at most PASSAGE_CHARS, on
+ * paragraph and then sentence boundaries. Short paragraphs such as headings
+ * join the paragraph after them. Each passage is { index, start, end, text }
+ * with `start`/`end` as character offsets into the note.
+ */
+export function passagesOf(note) {
+  const spans = [];
+  for (const block of note.matchAll(/\S(?:[\s\S]*?\S)?(?=\s*(?:\n\s*\n|\f)|\s*$)/g)) {
+    let from = block.index;
+    const end = block.index + block[0].length;
+    // A heading or other short paragraph leads into the one after it
+    const last = spans.at(-1);
+    if (last && last[1] - last[0] < MIN_PASSAGE_CHARS) from = spans.pop()[0];
+    while (end - from > PASSAGE_CHARS) {
+      const cut = cutPoint(note, from);
+      spans.push([from, from + note.slice(from, cut).trimEnd().length]);
+      from = cut;
+    }
+    spans.push([from, end]);
+  }
+  return spans.map(([start, end], index) => ({ index, start, end, text: note.slice(start, end) }));
+}
+
+/**
+ * The passages most relevant to `question`, best first: term overlap
+ * weighted so words that are rare in the note count for more. Short notes
+ * are sent whole, the matching passages first; for longer ones a question
+ * that matches nothing gets the opening passages.
+ */
+export function retrieve(passages, question, limit = CONTEXT_PASSAGES) {
+  const wanted = new Set(terms(question));
+  const counts = passages.map((passage) => {
+    const tally = new Map();
+    for (const term of terms(passage.text)) tally.set(term, (tally.get(term) || 0) + 1);
+    return tally;
+  });
+  const spread = new Map();
+  for (const tally of counts) for (const term of tally.keys()) spread.set(term, (spread.get(term) || 0) + 1);
+
+  const scored = passages.map((passage, i) => {
+    let score = 0;
+    for (const term of wanted) {
+      const count = counts[i].get(term);
+      if (count) score += (1 + Math.log(count)) * Math.log(1 + passages.length / spread.get(term));
+    }
+    return { passage, score };
+  });
+  const ranked = scored
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.passage.index - b.passage.index)
+    .map(({ passage }) => passage);
+  if (passages.length <= limit) return [...ranked, ...passages.filter((passage) => !ranked.includes(passage))];
+  return ranked.length ? ranked.slice(0, limit) : passages.slice(0, limit);
+}
+
+/**
+ * Read the model's answer and the passages it cites as [n] or [n, m].
+ * Only passages that were actually offered count, so an invented number
+ * never turns into a citation. Citations keep the passage text, which stays
+ * readable even if the note is edited later.
+ */
+export function parseAnswer(reply, offered) {
+  const byNumber = new Map(offered.map((passage) => [passage.index + 1, passage]));
+  const content = String(reply).trim();
+  const citations = [];
+  for (const match of content.matchAll(/\[(\d+(?:\s*[,;]\s*\d+)*)\]/g)) {
+    for (const number of match[1].split(/[,;]/).map(Number)) {
+      const passage = byNumber.get(number);
+      if (!passage || citations.some((citation) => citation.passage === number)) continue;
+      citations.push({ passage: number, start: passage.start, end: passage.end, quote: passage.text });
+    }
+  }
+  return { content, citations };
+}
+
+/**
+ * Answer a question about `note` from its most relevant passages, with the
+ * recent `history` ({ role, content } messages) for context.
+ * Resolves to { content, citations }.
+ */
+export async function answerQuestion(provider, { note, history = [], question }, { signal } = {}) {
+  const offered = retrieve(passagesOf(note), question);
+  const reply = await provider.generate(chatPrompt({ passages: offered, history: history.slice(-HISTORY_MESSAGES), question }), { signal });
+  const answer = parseAnswer(reply, offered);
+  if (!answer.content) throw Object.assign(new Error("The AI provider returned an empty answer"), { status: 502 });
+  return answer;
+}
@@ -0,0 +1,67 @@
+import { summaryPrompt, chunkPrompt, combinePrompt } from "./prompts.js";
+
+const MAX_ROUNDS = 3;
+
+export const chunkChars = () => Number(process.env.SUMMARY_CHUNK_CHARS) || 12000;
+
+// Break an oversized block on the next-finest boundary: lines, then sentences, then hard cuts
+function splitBlock(block, maxChars) {
+  if (block.length <= maxChars) return [block];
+  for (const pattern of [/\n/, /(?<=[.!?])\s+/]) {
+    const parts = block.split(pattern).filter((p) => p.trim());
+    if (parts.length > 1) return parts.flatMap((p) => splitBlock(p, maxChars));
+  }
+  const cuts = [];
+  for (let i = 0; i < block.length; i += maxChars) cuts.push(block.slice(i, i + maxChars));
+  return cuts;
+}
+
+/**
+ * Split text into chunks of at most maxChars, preferring page (form feed)
+ * and paragraph boundaries so no chunk starts mid-thought when avoidable.
+ */
+export function splitIntoChunks(text, maxChars = chunkChars()) {
+  const blocks = text
+    .split(/\f|\n\s*\n/)
+    .map((b) => b.trim())
+    .filter(Boolean)
+    .flatMap((b) => splitBlock(b, maxChars));
+
+  const chunks = [];
+  let current = "";
+  for (const block of blocks) {
+    if (current && current.length + 2 + block.length > maxChars) {
+      chunks.push(current);
+      current = block;
+    } else {
+      current = current ? `${current}\n\n${block}` : block;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Map-reduce for long input: summarize each chunk, then return the prompt
+ * that merges the partial summaries (recursing while they are still too long).
+ * Short input skips straight to the plain summary prompt. The caller decides
+ * whether to generate or stream that final prompt.
+ * onProgress receives { round, done, total } after each chunk.
+ */
+export async function buildSummaryPrompt(provider, options, { signal, onProgress, maxChars = chunkChars() } = {}) {
+  let chunks = splitIntoChunks(options.note, maxChars);
+  if (chunks.length <= 1) return summaryPrompt(options);
+
+  let partials = [];
+  for (let round = 1; round <= MAX_ROUNDS; round += 1) {
+    partials = [];
+    for (const [index, text] of chunks.entries()) {
+      signal?.throwIfAborted();
+      partials.push(await provider.generate(chunkPrompt({ text, index, total: chunks.length }), { signal }));
+      onProgress?.({ round, done: index + 1, total: chunks.length });
+    }
+    chunks = splitIntoChunks(partials.join("\n\n"), maxChars);
+    if (chunks.length <= 1) break;
+  }
+  return combinePrompt({ ...options, summaries: partials });
+}
@@ -0,0 +1,16 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+export function createGeminiProvider({ apiKey, model = "gemini-2.0-flash" }) {
+  const client = new GoogleGenerativeAI(apiKey);
+  return {
+    name: "gemini",
+    async generate(prompt, { signal } = {}) {
+      const result = await client.getGenerativeModel({ model }).generateContent(prompt, { signal });
+      return result.response.text();
+    },
+    async *stream(prompt, { signal } = {}) {
+      const result = await client.getGenerativeModel({ model }).generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) yield chunk.text();
+    },
+  };
+}
@@ -0,0 +1,77 @@
+import { stylePrompt } from "./prompts.js";
+import { splitIntoChunks } from "./chunking.js";
+import { checkText } from "../lib/grammar.js";
+
+export const GRAMMAR_MAX = 20_000;
+const MESSAGE_MAX = 300;
+
+const overlaps = (a, b) => a.offset < b.offset + b.length && b.offset < a.offset + a.length;
+
+/**
+ * Read the model's style review into issues. Models do not count characters
+ * reliably, so each suggestion quotes the words it is about and is placed by
+ * finding that quote in `text`; quotes that are not in the text are dropped.
+ */
+export function parseStyleIssues(reply, text) {
+  let items = null;
+  const match = String(reply).match(/\[[\s\S]*\]/);
+  if (match) {
+    try {
+      items = JSON.parse(match[0]);
+    } catch {
+      items = null;
+    }
+  }
+  if (!Array.isArray(items)) return [];
+
+  const issues = [];
+  for (const item of items) {
+    const quote = typeof item?.quote === "string" ? item.quote.trim() : "";
+    if (!quote || typeof item.message !== "string" || !item.message.trim()) continue;
+    // The same phrase can appear more than once; take the first unclaimed occurrence
+    let offset = text.indexOf(quote);
+    while (offset >= 0 && issues.some((issue) => overlaps(issue, { offset, length: quote.length }))) {
+      offset = text.indexOf(quote, offset + 1);
+    }
+    if (offset < 0) continue;
+    const replacement = typeof item.replacement === "string" ? item.replacement.trim() : "";
+    issues.push({
+      offset,
+      length: quote.length,
+      category: "style",
+      rule: "ai-style",
+      message: item.message.trim().slice(0, MESSAGE_MAX),
+      replacements: replacement && replacement !== quote ? [replacement] : [],
+    });
+  }
+  return issues;
+}
+
+/**
+ * Check `text` with the rule engine and, when `style` is set, ask the
+ * provider for style suggestions too. The rules always answer; a failing
+ * provider only means no style suggestions (styleChecked: false). Style
+ * suggestions that overlap a rule issue are dropped, so issues never overlap
+ * and each fix can be applied on its own.
+ */
+export async function checkGrammar(provider, { text, style = false }, { signal } = {}) {
+  const issues = checkText(text);
+  if (!style) return { issues, styleChecked: false };
+
+  const suggestions = [];
+  try {
+    for (const chunk of splitIntoChunks(text)) {
+      signal?.throwIfAborted();
+      suggestions.push(...parseStyleIssues(await provider.generate(stylePrompt({ text: chunk }), { signal }), text));
+    }
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    return { issues, styleChecked: false };
+  }
+
+  const merged = [...issues];
+  for (const suggestion of suggestions) {
+    if (!merged.some((issue) => overlaps(issue, suggestion))) merged.push(suggestion);
+  }
+  return { issues: merged.sort((a, b) => a.offset - b.offset), styleChecked: true };
+}
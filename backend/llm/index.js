@@ -0,0 +1,39 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createLocalProvider } from "./local.js";
+
+/**
+ * Provider adapters share one shape:
+ *   { name, generate(prompt, { signal }) => Promise<string>,
+ *     stream(prompt, { signal }) => AsyncIterable<string> }
+ * LLM_PROVIDER picks one (gemini | openai | local); tests default to local.
+ */
+export function createProvider(env = process.env) {
+  const name = env.LLM_PROVIDER || (env.NODE_ENV === "test" ? "local" : "gemini");
+  switch (name) {
+    case "gemini":
+      if (!env.GEMINI_API_KEY) throw Object.assign(new Error("GEMINI_API_KEY is not set"), { status: 503 });
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || undefined });
+    case "openai":
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+        model: env.OPENAI_MODEL || undefined,
+      });
+    case "local":
+      return createLocalProvider();
+    default:
+      throw Object.assign(new Error(`Unknown LLM_PROVIDER "${name}"`), { status: 503 });
+  }
+}
+
+let cached;
+export function getProvider() {
+  if (!cached) cached = createProvider();
+  return cached;
+}
+
+// Tests swap in a fake provider; pass nothing to go back to the env default
+export function setProvider(provider) {
+  cached = provider;
+}
@@ -0,0 +1,21 @@
+// Deterministic stand-in for tests and offline development: echoes the
+// leading sentences (at most 60 words) of the text that follows the prompt's
+// instruction line.
+const sentences = (text) => text.replace(/\s+/g, " ").trim().match(/[^.!?]+[.!?]*/g) || [];
+
+export function createLocalProvider() {
+  return {
+    name: "local",
+    async generate(prompt) {
+      const split = prompt.indexOf("\n\n");
+      const body = split >= 0 ? prompt.slice(split + 2) : prompt;
+      return sentences(body).slice(0, 3).map((s) => s.trim()).join(" ").split(" ").slice(0, 60).join(" ");
+    },
+    async *stream(prompt, { signal } = {}) {
+      for (const word of (await this.generate(prompt)).split(/(?<=\s)/)) {
+        if (signal?.aborted) return;
+        yield word;
+      }
+    },
+  };
+}
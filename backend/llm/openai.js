@@ -0,0 +1,42 @@
+// Any endpoint that speaks the OpenAI chat completions API (OpenAI, Azure,
+// Ollama, vLLM, LM Studio, ...)
+export function createOpenAIProvider({ apiKey, baseUrl = "https://api.openai.com/v1", model = "gpt-4o-mini" }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const call = async (prompt, signal, stream) => {
+    const res = await fetch(url, {
+      method: "POST",
+      signal,
+      headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      body: JSON.stringify({ model, messages: [{ role: "user", content: prompt }], ...(stream ? { stream: true } : {}) }),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw Object.assign(new Error(data.error?.message || `Provider responded ${res.status}`), { status: 502 });
+    }
+    return res;
+  };
+  return {
+    name: "openai",
+    async generate(prompt, { signal } = {}) {
+      const data = await (await call(prompt, signal, false)).json();
+      return data.choices?.[0]?.message?.content ?? "";
+    },
+    async *stream(prompt, { signal } = {}) {
+      const res = await call(prompt, signal, true);
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for await (const bytes of res.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !data) continue;
+          if (data === "[DONE]") return;
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,74 @@
+import { paraphrasePrompt, synonymsPrompt } from "./prompts.js";
+import { splitIntoChunks } from "./chunking.js";
+
+// Unlike a summary, a paraphrase is as long as its source, so input is kept modest
+export const PARAPHRASE_MAX = 20_000;
+export const MAX_SYNONYMS = 8;
+const SYNONYM_MAX_CHARS = 40;
+
+// Models like to wrap a rewrite in code fences or quotes
+const cleanReply = (reply) =>
+  String(reply)
+    .trim()
+    .replace(/^```\w*\n([\s\S]*?)\n```$/, "$1")
+    .replace(/^"([\s\S]*)"$/, "$1")
+    .trim();
+
+/**
+ * Rewrite `text` in one of PARAPHRASE_MODES. Long text is rewritten a chunk
+ * at a time on paragraph boundaries and joined back together.
+ * onProgress receives { done, total } after each chunk.
+ */
+export async function paraphrase(provider, { text, mode = "standard" }, { signal, onProgress } = {}) {
+  const chunks = splitIntoChunks(text);
+  const parts = [];
+  for (const [index, chunk] of chunks.entries()) {
+    signal?.throwIfAborted();
+    parts.push(cleanReply(await provider.generate(paraphrasePrompt({ text: chunk, mode }), { signal })));
+    onProgress?.({ done: index + 1, total: chunks.length });
+  }
+  return parts.join("\n\n");
+}
+
+/**
+ * Read the model's reply into a list of alternatives for `word`: a JSON array
+ * when there is one, otherwise one per line or comma. The word itself,
+ * repeats and anything longer than a short phrase are dropped.
+ */
+export function parseSynonyms(reply, word) {
+  let items = null;
+  const match = String(reply).match(/\[[\s\S]*\]/);
+  if (match) {
+    try {
+      items = JSON.parse(match[0]);
+    } catch {
+      items = null;
+    }
+  }
+  if (!Array.isArray(items)) items = String(reply).split(/[\n,]/);
+
+  const seen = new Set([word.toLowerCase()]);
+  const synonyms = [];
+  for (const item of items) {
+    if (typeof item !== "string") continue;
+    const synonym = item.replace(/^[\s\-*\d.)"']+|["'.\s]+$/g, "").replace(/\s+/g, " ");
+    const key = synonym.toLowerCase();
+    if (!synonym || synonym.length > SYNONYM_MAX_CHARS || seen.has(key)) continue;
+    seen.add(key);
+    synonyms.push(synonym);
+  }
+  return synonyms.slice(0, MAX_SYNONYMS);
+}
+
+/**
+ * Alternatives for a word as used in `context` (usually its sentence).
+ * Synonyms are a nicety, so a failing provider yields none instead of throwing.
+ */
+export async function suggestSynonyms(provider, { word, context }, { signal } = {}) {
+  try {
+    return parseSynonyms(await provider.generate(synonymsPrompt({ word, context }), { signal }), word);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    return [];
+  }
+}
@@ -0,0 +1,50 @@
+export const LENGTHS = ["short", "medium", "detailed"];
+export const TONES = ["neutral", "formal", "casual"];
+export const FORMATS = ["paragraph", "bullets"];
+
+export function summaryPrompt({ note, length = "medium", tone = "neutral", format = "paragraph" }) {
+  return `Summarize the following text in a ${length} length with a ${tone} tone and ${format} format.\n\n${note}`;
+}
+
+export function chunkPrompt({ text, index, total }) {
+  return `Summarize part ${index + 1} of ${total} of a longer document as concise notes that keep every key fact, name and number.\n\n${text}`;
+}
+
+export function combinePrompt({ summaries, length = "medium", tone = "neutral", format = "paragraph" }) {
+  return `Combine these section summaries of one document into a single summary in a ${length} length with a ${tone} tone and ${format} format.\n\n${summaries.join("\n\n")}`;
+}
+
+export function metadataPrompt({ summary, vocabulary = [] }) {
+  const existing = vocabulary.length ? `Prefer these existing tags where they fit: ${vocabulary.join(", ")}.` : "";
+  return `Give the following summary a short title (at most 8 words) and 3 to 5 lowercase topic tags. ${existing} Reply with JSON only, shaped {"title": "...", "tags": ["..."]}.\n\n${summary}`;
+}
+
+// What each paraphrasing mode asks of the rewrite
+const PARAPHRASE_GUIDES = {
+  standard: "Change the wording and sentence structure while keeping the meaning and tone.",
+  fluent: "Make it read smoothly and naturally, fixing awkward phrasing.",
+  formal: "Use a formal, professional register without contractions or slang.",
+  simple: "Use plain, everyday words and short sentences that are easy to read.",
+  creative: "Rephrase it freely and vividly, with fresh word choices and varied rhythm.",
+};
+export const PARAPHRASE_MODES = Object.keys(PARAPHRASE_GUIDES);
+
+export function paraphrasePrompt({ text, mode = "standard" }) {
+  return `Paraphrase the following text. ${PARAPHRASE_GUIDES[mode]} Keep every fact, name and number and the paragraph breaks, and reply with the rewritten text only.\n\n${text}`;
+}
+
+export function synonymsPrompt({ word, context = "" }) {
+  return `List up to 8 synonyms or short alternative phrasings for "${word}" that fit where it is used below. Reply with a JSON array of strings only.\n\n${context || word}`;
+}
+
+export function stylePrompt({ text }) {
+  return `Review the style of the following text: wordiness, vague words, awkward or passive phrasing. Do not report spelling or grammar. Reply with a JSON array only, at most 10 items shaped {"quote": "exact words from the text", "message": "why it could be better", "replacement": "suggested rewrite of the quote"}. Reply [] when the style is fine.\n\n${text}`;
+}
+
+export function chatPrompt({ passages, history = [], question }) {
+  const sources = passages.map((passage) => `[${passage.index + 1}] ${passage.text}`).join("\n\n");
+  const earlier = history.length
+    ? `\n\nConversation so far:\n${history.map((message) => `${message.role === "user" ? "User" : "Assistant"}: ${message.content}`).join("\n")}`
+    : "";
+  return `Answer the question using only the numbered passages from the document below. After each claim, cite the passages it comes from like [2]. If the passages do not answer the question, say that the document does not cover it.\n\n${sources}${earlier}\n\nQuestion: ${question}`;
+}
@@ -0,0 +1,76 @@
+import { metadataPrompt } from "./prompts.js";
+import { TITLE_MAX } from "../models/Summary.js";
+import { normalizeTags } from "../lib/tags.js";
+
+export const MIN_SUGGESTED = 3;
+export const MAX_SUGGESTED = 5;
+const TITLE_WORDS = 8;
+
+const STOPWORDS = new Set(
+  "about after also been before being between both could does each from have into just more most much must only other over same should some such than that their them then there these they this those through under until very were what when where which while will with would your".split(" ")
+);
+
+// Models wrap JSON in prose or code fences often enough that we dig the object out
+function parseJson(text) {
+  const match = String(text).match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+}
+
+const cleanTitle = (title) =>
+  String(title ?? "")
+    .replace(/\s+/g, " ")
+    .replace(/^["'#\s]+|["'.\s]+$/g, "")
+    .slice(0, TITLE_MAX);
+
+/**
+ * Title and tags worked out from the summary alone: its first sentence, the
+ * vocabulary tags it mentions, then its most frequent longer words.
+ */
+export function fallbackSuggestions(summary, vocabulary = []) {
+  const text = String(summary).toLowerCase();
+  const words = new Set(text.match(/[\p{L}\p{N}+#]+/gu) || []);
+  const firstSentence = String(summary).trim().split(/(?<=[.!?])\s/)[0] || "";
+  const title = cleanTitle(firstSentence.split(/\s+/).slice(0, TITLE_WORDS).join(" "));
+
+  const known = vocabulary.filter((tag) => tag.split("-").every((word) => words.has(word)));
+  const counts = new Map();
+  for (const word of text.match(/\p{L}[\p{L}\p{N}]{3,}/gu) || []) {
+    if (!STOPWORDS.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  const frequent = [...counts].sort((a, b) => b[1] - a[1]).map(([word]) => word);
+  return { title, tags: normalizeTags([...known, ...frequent]).slice(0, MAX_SUGGESTED) };
+}
+
+/**
+ * Read the model's reply into { title, tags }. Tags already in the user's
+ * vocabulary come first; gaps are filled from the fallback so there are
+ * always 3-5 when the summary has enough words.
+ */
+export function parseSuggestions(reply, summary, vocabulary = []) {
+  const parsed = parseJson(reply) || {};
+  const fallback = fallbackSuggestions(summary, vocabulary);
+  const proposed = normalizeTags(Array.isArray(parsed.tags) ? parsed.tags : []);
+  const ordered = [...proposed.filter((t) => vocabulary.includes(t)), ...proposed.filter((t) => !vocabulary.includes(t))];
+  let tags = ordered.slice(0, MAX_SUGGESTED);
+  if (tags.length < MIN_SUGGESTED) tags = normalizeTags([...tags, ...fallback.tags]).slice(0, MAX_SUGGESTED);
+  return { title: cleanTitle(parsed.title) || fallback.title, tags };
+}
+
+/**
+ * Ask the provider for a title and tags for a finished summary. Suggestions
+ * are a nicety, so a failing provider falls back instead of throwing.
+ */
+export async function suggestMetadata(provider, { summary, vocabulary = [] }, { signal } = {}) {
+  try {
+    const reply = await provider.generate(metadataPrompt({ summary, vocabulary }), { signal });
+    return parseSuggestions(reply, summary, vocabulary);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    return fallbackSuggestions(summary, vocabulary);
+  }
+}
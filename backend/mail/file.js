@@ -0,0 +1,15 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Writes each message as JSON so local flows can be followed without a mail server
+export function createFileTransport({ dir, from }) {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`);
+      await fs.writeFile(file, JSON.stringify({ from, ...message, sentAt: new Date() }, null, 2));
+      console.log(`✉️  Mail for ${message.to} written to ${file}`);
+    },
+  };
+}
@@ -0,0 +1,35 @@
+import { createSmtpTransport } from "./smtp.js";
+import { createFileTransport } from "./file.js";
+import { createMemoryTransport } from "./memory.js";
+
+/**
+ * Mail transports share one shape: { name, send({ to, subject, text, html }) }.
+ * MAIL_TRANSPORT picks one (smtp | file | memory); tests default to memory,
+ * production to smtp and everything else to file.
+ */
+export function createMailer(env = process.env) {
+  const from = env.MAIL_FROM || "Sahban Summaries <no-reply@localhost>";
+  const fallback = env.NODE_ENV === "test" ? "memory" : env.NODE_ENV === "production" ? "smtp" : "file";
+  const name = env.MAIL_TRANSPORT || fallback;
+  switch (name) {
+    case "smtp":
+      if (!env.SMTP_URL) throw new Error("SMTP_URL is not set");
+      return createSmtpTransport({ url: env.SMTP_URL, from });
+    case "file":
+      return createFileTransport({ dir: env.MAIL_OUTBOX_DIR || "outbox", from });
+    case "memory":
+      return createMemoryTransport({ from });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+}
+
+let cached;
+export function getMailer() {
+  if (!cached) cached = createMailer();
+  return cached;
+}
+
+export function setMailer(mailer) {
+  cached = mailer;
+}
@@ -0,0 +1,11 @@
+// Keeps sent messages in an array; tests read them back from `outbox`
+export function createMemoryTransport({ from }) {
+  const outbox = [];
+  return {
+    name: "memory",
+    outbox,
+    async send(message) {
+      outbox.push({ from, ...message, sentAt: new Date() });
+    },
+  };
+}
@@ -0,0 +1,11 @@
+import nodemailer from "nodemailer";
+
+export function createSmtpTransport({ url, from }) {
+  const transporter = nodemailer.createTransport(url);
+  return {
+    name: "smtp",
+    async send(message) {
+      await transporter.sendMail({ from, ...message });
+    },
+  };
+}
@@ -0,0 +1,19 @@
+const appUrl = () => (process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+export function verifyEmail({ token }) {
+  const link = `${appUrl()}/#/verify-email?token=${token}`;
+  return {
+    subject: "Confirm your email address",
+    text: `Welcome to Sahban Summaries!\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n\nIf you did not create an account, ignore this message.`,
+    html: `<p>Welcome to Sahban Summaries!</p><p><a href="${link}">Confirm your email address</a> within 24 hours.</p><p>If you did not create an account, ignore this message.</p>`,
+  };
+}
+
+export function resetPassword({ token }) {
+  const link = `${appUrl()}/#/reset-password?token=${token}`;
+  return {
+    subject: "Reset your password",
+    text: `Someone asked to reset the password for your Sahban Summaries account.\n\nChoose a new password within one hour:\n${link}\n\nIf this wasn't you, ignore this message; your password stays the same.`,
+    html: `<p>Someone asked to reset the password for your Sahban Summaries account.</p><p><a href="${link}">Choose a new password</a> within one hour.</p><p>If this wasn't you, ignore this message; your password stays the same.</p>`,
+  };
+}
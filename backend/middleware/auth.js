@@ -11,4 +11,18 @@ export function verifyJWT(req, res, next) {
   } catch {
     return res.status(401).json({ message: "Invalid token" });
   }
-}
\ No newline at end of file
+}
+
+// Attach req.user when a valid token is present, but let anonymous requests through
+export function optionalJWT(req, _res, next) {
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) {
+    try {
+      const payload = jwt.verify(auth.slice(7), process.env.JWT_SECRET);
+      req.user = { id: payload.id, email: payload.email };
+    } catch {
+      // An expired token just means no personal tag vocabulary
+    }
+  }
+  next();
+}
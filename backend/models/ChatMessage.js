@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+export const CHAT_ROLES = ["user", "assistant"];
+export const QUESTION_MAX = 1000;
+// Older messages are dropped once a conversation grows past this
+export const CHAT_HISTORY_MAX = 200;
+
+// A passage of the summary's note an answer was drawn from, by character offsets into the note
+const citationSchema = new mongoose.Schema(
+  {
+    passage: { type: Number, required: true },
+    start: { type: Number, required: true },
+    end: { type: Number, required: true },
+    quote: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const chatMessageSchema = new mongoose.Schema({
+  summaryId: { type: mongoose.Schema.Types.ObjectId, ref: "Summary", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  role: { type: String, enum: CHAT_ROLES, required: true },
+  content: { type: String, required: true },
+  citations: { type: [citationSchema], default: undefined },
+  createdAt: { type: Date, default: Date.now },
+});
+chatMessageSchema.index({ summaryId: 1, createdAt: 1 });
+
+/**
+ * A summary's conversation, oldest first
+ */
+chatMessageSchema.statics.conversation = function conversation(summaryId) {
+  return this.find({ summaryId }).sort({ createdAt: 1, _id: 1 });
+};
+
+/**
+ * Store a question and its answer, then trim the conversation to its newest
+ * CHAT_HISTORY_MAX messages. Resolves to the two stored messages.
+ */
+chatMessageSchema.statics.exchange = async function exchange({ summaryId, userId }, question, { content, citations }) {
+  const asked = new Date();
+  // The answer sorts after its question even when both land in the same millisecond
+  const [stored, answer] = await this.insertMany([
+    { summaryId, userId, role: "user", content: question, createdAt: asked },
+    { summaryId, userId, role: "assistant", content, citations, createdAt: new Date(asked.getTime() + 1) },
+  ]);
+  const stale = await this.find({ summaryId }, "_id").sort({ createdAt: -1, _id: -1 }).skip(CHAT_HISTORY_MAX).lean();
+  if (stale.length) await this.deleteMany({ _id: { $in: stale.map((doc) => doc._id) } });
+  return [stored, answer];
+};
+
+export default mongoose.model("ChatMessage", chatMessageSchema);
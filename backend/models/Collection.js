@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+export const NAME_MAX = 80;
+
+// A named folder of summaries. Top-level collections can hold sub-collections,
+// which cannot nest any further; `position` orders siblings.
+const collectionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true, trim: true, maxlength: NAME_MAX },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: "Collection", default: null },
+    position: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+collectionSchema.index({ userId: 1, parentId: 1, position: 1 });
+
+/**
+ * Position after the last sibling under `parentId`.
+ */
+collectionSchema.statics.nextPosition = async function nextPosition(userId, parentId) {
+  const last = await this.findOne({ userId, parentId }).sort({ position: -1 });
+  return last ? last.position + 1 : 0;
+};
+
+/**
+ * The collection plus its sub-collections, which is what filtering by a
+ * top-level collection should cover.
+ */
+collectionSchema.statics.withChildren = async function withChildren(userId, id) {
+  const found = await this.find({ userId, $or: [{ _id: id }, { parentId: id }] }).select("_id");
+  return found.map((c) => c._id);
+};
+
+export default mongoose.model("Collection", collectionSchema);
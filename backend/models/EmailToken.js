@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import crypto from "node:crypto";
+import { hashToken } from "./RefreshToken.js";
+
+// Single-use links mailed to the user: email verification and password reset
+export const PURPOSES = { verify: 24 * 60 * 60 * 1000, reset: 60 * 60 * 1000 };
+
+const emailTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    purpose: { type: String, enum: Object.keys(PURPOSES), required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+emailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Issue a fresh token for the purpose; any older unused one stops working.
+ * Resolves with the raw token to put in the mailed link.
+ */
+emailTokenSchema.statics.issue = async function issue(userId, purpose) {
+  await this.deleteMany({ userId, purpose, usedAt: null });
+  const raw = crypto.randomBytes(32).toString("base64url");
+  await this.create({ userId, purpose, tokenHash: hashToken(raw), expiresAt: new Date(Date.now() + PURPOSES[purpose]) });
+  return raw;
+};
+
+// Marks the token used and resolves with it, or null when unknown, expired or already used
+emailTokenSchema.statics.consume = function consume(raw, purpose) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(String(raw)), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+export default mongoose.model("EmailToken", emailTokenSchema);
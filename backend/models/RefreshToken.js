@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import crypto from "node:crypto";
+
+// Only a hash of each refresh token is stored; the raw value lives in the client's cookie
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    family: { type: String, required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    replacedBy: { type: String },
+  },
+  { timestamps: true }
+);
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const hashToken = (raw) => crypto.createHash("sha256").update(raw).digest("hex");
+export const newRawToken = () => crypto.randomBytes(48).toString("base64url");
+
+const ttlMs = () => (Number(process.env.REFRESH_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+/**
+ * Issue a new refresh token, continuing an existing family on rotation.
+ * A rotation passes the raw value whose hash it already recorded as the old
+ * token's `replacedBy`; only hashes are ever stored.
+ * Resolves with the raw token and its expiry.
+ */
+refreshTokenSchema.statics.issue = async function issue(userId, family = crypto.randomUUID(), raw = newRawToken()) {
+  const expiresAt = new Date(Date.now() + ttlMs());
+  await this.create({ userId, family, tokenHash: hashToken(raw), expiresAt });
+  return { raw, expiresAt, family };
+};
+
+refreshTokenSchema.statics.revokeFamily = function revokeFamily(family) {
+  return this.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
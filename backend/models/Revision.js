@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Content a revision snapshots; starring and sharing are not edits worth keeping
+export const REVISION_FIELDS = ["title", "note", "summary", "tags"];
+
+const revisionSchema = new mongoose.Schema({
+  summaryId: { type: mongoose.Schema.Types.ObjectId, ref: "Summary", required: true },
+  version: { type: Number, required: true },
+  // Who made the change and which fields it touched; empty for the original version
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  fields: [{ type: String, enum: REVISION_FIELDS }],
+  title: { type: String },
+  note: { type: String },
+  summary: { type: String },
+  tags: [{ type: String }],
+  restoredFrom: { type: Number },
+  createdAt: { type: Date, default: Date.now },
+});
+revisionSchema.index({ summaryId: 1, version: -1 }, { unique: true });
+
+const snapshot = (doc) => ({ title: doc.title ?? "", note: doc.note, summary: doc.summary, tags: [...(doc.tags || [])] });
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Tracked fields whose value in `changes` differs from `doc`.
+ */
+export const changedFields = (doc, changes) =>
+  REVISION_FIELDS.filter((field) => {
+    if (changes[field] === undefined) return false;
+    const current = field === "tags" ? [...(doc.tags || [])] : doc[field];
+    return !same(current, changes[field]);
+  });
+
+/**
+ * Record the state of a summary after an edit. The first edit also keeps
+ * the state it replaced, so the original text is never lost.
+ */
+revisionSchema.statics.record = async function record(before, after, { userId, fields, restoredFrom }) {
+  const last = await this.findOne({ summaryId: after._id }).sort({ version: -1 });
+  let version = last?.version ?? 0;
+  if (!last) {
+    await this.create({ summaryId: after._id, version: ++version, userId: before.userId, fields: [], ...snapshot(before), createdAt: before.createdAt });
+  }
+  return this.create({ summaryId: after._id, version: version + 1, userId, fields, restoredFrom, ...snapshot(after) });
+};
+
+/**
+ * Every version of a summary, newest first. A summary that was never edited
+ * reports its current state as version 1 without storing anything.
+ */
+revisionSchema.statics.versionsOf = async function versionsOf(doc) {
+  const stored = await this.find({ summaryId: doc._id }).sort({ version: -1 });
+  if (stored.length) return stored;
+  return [new this({ summaryId: doc._id, version: 1, userId: doc.userId, fields: [], ...snapshot(doc), createdAt: doc.createdAt })];
+};
+
+export default mongoose.model("Revision", revisionSchema);
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import { escapeRegex } from "../lib/search.js";
+import { normalizeTags } from "../lib/tags.js";
+
+// Long documents are summarized in chunks, so the source can be far bigger than the summary
+export const NOTE_MAX = 500_000;
+export const SUMMARY_MAX = 8000;
+export const TITLE_MAX = 120;
+export const SOURCE_URL_MAX = 2048;
+// History holds paraphrases too: `note` is the original and `summary` the rewrite
+export const KINDS = ["summary", "paraphrase"];
+// A rewrite is as long as its original, so it gets the note's limit
+export const summaryMax = (kind) => (kind === "paraphrase" ? NOTE_MAX : SUMMARY_MAX);
+// What a public share link may reveal; the summary itself is always included
+export const SHARE_FIELDS = ["note", "tags", "createdAt"];
+
+const shareSchema = new mongoose.Schema(
+  {
+    expiresAt: { type: Date },
+    passwordHash: { type: String },
+    fields: { type: [String], enum: SHARE_FIELDS, default: () => [...SHARE_FIELDS] },
+    views: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    _id: false,
+    // Owners see whether a password is set, never its hash
+    toJSON: {
+      transform: (_doc, ret) => {
+        ret.hasPassword = Boolean(ret.passwordHash);
+        delete ret.passwordHash;
+        return ret;
+      },
+    },
+  }
+);
+
+const summarySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  kind: { type: String, enum: KINDS, default: "summary" },
+  title: { type: String, trim: true, maxlength: TITLE_MAX, default: "" },
+  note: { type: String, required: true },
+  summary: { type: String, required: true },
+  // The page a summary was made from, when it came from a link
+  sourceUrl: { type: String, trim: true, maxlength: SOURCE_URL_MAX },
+  // Normalized on every write, including update queries
+  tags: { type: [String], set: normalizeTags },
+  starred: { type: Boolean, default: false },
+  collections: [{ type: mongoose.Schema.Types.ObjectId, ref: "Collection" }],
+  slug: { type: String, unique: true, sparse: true },
+  share: { type: shareSchema },
+  // Set while the summary is in the trash
+  deletedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+summarySchema.index({ note: "text", summary: "text", tags: "text" });
+summarySchema.index({ userId: 1, createdAt: -1 });
+summarySchema.index({ userId: 1, collections: 1 });
+summarySchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } });
+
+/**
+ * The owner's tags with usage counts, most used first, optionally only those
+ * starting with `prefix`. Trashed summaries do not count.
+ */
+summarySchema.statics.tagCounts = async function tagCounts(userId, { prefix = "", limit = 50 } = {}) {
+  const rows = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), deletedAt: null } },
+    { $unwind: "$tags" },
+    ...(prefix ? [{ $match: { tags: { $regex: `^${escapeRegex(prefix)}` } } }] : []),
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map(({ _id, count }) => ({ tag: _id, count }));
+};
+
+export default mongoose.model("Summary", summarySchema);
@@ -5,6 +5,7 @@ const userSchema = new mongoose.Schema(
   {
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     password: { type: String, required: true, minlength: 6 },
+    emailVerified: { type: Boolean, default: false },
   },
   { timestamps: true }
 );
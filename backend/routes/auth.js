@@ -2,11 +2,56 @@ import express from "express";
 import jwt from "jsonwebtoken";
 import { body, validationResult } from "express-validator";
 import User from "../models/User.js";
+import RefreshToken, { hashToken, newRawToken } from "../models/RefreshToken.js";
+import EmailToken from "../models/EmailToken.js";
+import { getMailer } from "../mail/index.js";
+import { verifyEmail, resetPassword } from "../mail/templates.js";
+import { verifyJWT } from "../middleware/auth.js";
 
 const router = express.Router();
 
 const sign = (u) => jwt.sign({ id: u._id, email: u.email }, process.env.JWT_SECRET, { expiresIn: "15m" });
 
+// Refresh tokens travel only in an httpOnly cookie scoped to the auth routes
+export const REFRESH_COOKIE = "refreshToken";
+const cookieOptions = () => {
+  const production = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: production,
+    // The frontend and API live on different sites in production
+    sameSite: process.env.COOKIE_SAMESITE || (production ? "none" : "lax"),
+    path: "/api/auth",
+  };
+};
+
+const sessionBody = (user) => ({ token: sign(user), user: { id: user._id, email: user.email, emailVerified: user.emailVerified } });
+const setRefreshCookie = (res, { raw, expiresAt }) => res.cookie(REFRESH_COOKIE, raw, { ...cookieOptions(), expires: expiresAt });
+
+async function startSession(res, user) {
+  setRefreshCookie(res, await RefreshToken.issue(user._id));
+  return sessionBody(user);
+}
+
+const endSession = (res) => res.clearCookie(REFRESH_COOKIE, cookieOptions());
+
+// Tabs that refresh at the same moment all send the same cookie, and only one
+// can rotate it. The others may use it for a few more seconds, while the new
+// cookie the winner set is what the browser holds.
+const ROTATION_GRACE_MS = 10_000;
+async function justRotated(token) {
+  if (!token?.replacedBy || Date.now() - token.revokedAt > ROTATION_GRACE_MS) return false;
+  // A successor still being issued counts; one revoked since, by sign-out or a reset, does not
+  const successor = await RefreshToken.findOne({ tokenHash: token.replacedBy });
+  return !successor?.revokedAt;
+}
+
+const templates = { verify: verifyEmail, reset: resetPassword };
+async function sendTokenMail(user, purpose) {
+  const token = await EmailToken.issue(user._id, purpose);
+  await getMailer().send({ to: user.email, ...templates[purpose]({ token }) });
+}
+
 router.post(
   "/register",
   [body("email").isEmail(), body("password").isLength({ min: 6 })],
@@ -18,7 +63,9 @@ router.post(
       const exists = await User.findOne({ email });
       if (exists) return res.status(409).json({ message: "Email already registered" });
       const user = await User.create({ email, password });
-      res.status(201).json({ token: sign(user), user: { id: user._id, email: user.email } });
+      // A mail outage should not block sign-up; the user can ask for another link
+      await sendTokenMail(user, "verify").catch((err) => console.error("❌ Verification mail failed:", err.message));
+      res.status(201).json(await startSession(res, user));
     } catch (e) {
       res.status(500).json({ message: e.message });
     }
@@ -36,11 +83,124 @@ router.post(
       const user = await User.findOne({ email });
       if (!user || !(await user.comparePassword(password)))
         return res.status(401).json({ message: "Invalid credentials" });
-      res.json({ token: sign(user), user: { id: user._id, email: user.email } });
+      res.json(await startSession(res, user));
     } catch (e) {
       res.status(500).json({ message: e.message });
     }
   }
 );
 
-export default router;
\ No newline at end of file
+/**
+ * Rotate the refresh cookie and hand out a fresh access token.
+ * Presenting an already-rotated token means it leaked, so the whole family is
+ * revoked, unless it was rotated moments ago by a concurrent refresh.
+ */
+router.post("/refresh", async (req, res) => {
+  const raw = req.cookies?.[REFRESH_COOKIE];
+  if (!raw) return res.status(401).json({ message: "No refresh token" });
+  try {
+    const tokenHash = hashToken(raw);
+    const successor = newRawToken();
+    // Claim the token atomically so two concurrent refreshes cannot both rotate it
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { revokedAt: new Date(), replacedBy: hashToken(successor) } }
+    );
+    if (!current) {
+      const stale = await RefreshToken.findOne({ tokenHash });
+      const user = (await justRotated(stale)) && (await User.findById(stale.userId));
+      // The cookie is left alone: the refresh that won already set its successor
+      if (user) return res.json(sessionBody(user));
+      if (stale?.revokedAt) await RefreshToken.revokeFamily(stale.family);
+      endSession(res);
+      return res.status(401).json({ message: stale?.revokedAt ? "Refresh token reuse detected" : "Invalid refresh token" });
+    }
+    const user = await User.findById(current.userId);
+    if (!user) {
+      await RefreshToken.revokeFamily(current.family);
+      endSession(res);
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+    const next = await RefreshToken.issue(user._id, current.family, successor);
+    setRefreshCookie(res, next);
+    res.json(sessionBody(user));
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+router.post("/verify-email", [body("token").isString().notEmpty()], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const used = await EmailToken.consume(req.body.token, "verify");
+    if (!used) return res.status(400).json({ message: "This link is invalid or has expired" });
+    await User.updateOne({ _id: used.userId }, { $set: { emailVerified: true } });
+    res.json({ message: "Email verified" });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+router.post("/resend-verification", verifyJWT, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (user.emailVerified) return res.status(400).json({ message: "Email already verified" });
+    await sendTokenMail(user, "verify");
+    res.json({ message: "Verification email sent" });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+/**
+ * Always answers the same way so the endpoint cannot be used to probe for accounts.
+ * The mail goes out after the response, so neither its failures nor its timing show.
+ */
+router.post("/forgot-password", [body("email").isEmail()], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  User.findOne({ email: req.body.email.toLowerCase().trim() })
+    .then((user) => user && sendTokenMail(user, "reset"))
+    .catch((err) => console.error("❌ Reset mail failed:", err.message));
+  res.json({ message: "If that email has an account, a reset link is on its way" });
+});
+
+router.post(
+  "/reset-password",
+  [body("token").isString().notEmpty(), body("password").isLength({ min: 6 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const used = await EmailToken.consume(req.body.token, "reset");
+      const user = used && (await User.findById(used.userId));
+      if (!user) return res.status(400).json({ message: "This link is invalid or has expired" });
+      user.password = req.body.password;
+      // Following the mailed link proves the address too
+      user.emailVerified = true;
+      await user.save();
+      await RefreshToken.updateMany({ userId: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+      res.json({ message: "Password updated" });
+    } catch (e) {
+      res.status(500).json({ message: e.message });
+    }
+  }
+);
+
+router.post("/logout", async (req, res) => {
+  const raw = req.cookies?.[REFRESH_COOKIE];
+  try {
+    if (raw) {
+      const current = await RefreshToken.findOne({ tokenHash: hashToken(raw) });
+      if (current) await RefreshToken.revokeFamily(current.family);
+    }
+    endSession(res);
+    res.json({ message: "Signed out" });
+  } catch (e) {
+    res.status(500).json({ message: e.message });
+  }
+});
+
+export default router;
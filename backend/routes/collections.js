@@ -0,0 +1,145 @@
+import express from "express";
+import mongoose from "mongoose";
+import { body, validationResult } from "express-validator";
+import Collection, { NAME_MAX } from "../models/Collection.js";
+import Summary from "../models/Summary.js";
+import { verifyJWT } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+const own = (req, extra = {}) => ({ ...extra, userId: req.user.id });
+const isId = (value) => value === null || mongoose.isValidObjectId(value);
+
+// Summaries per collection, not counting anything in the trash
+async function summaryCounts(userId) {
+  const rows = await Summary.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), deletedAt: null } },
+    { $unwind: "$collections" },
+    { $group: { _id: "$collections", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.count]));
+}
+
+/**
+ * Resolve a parent for create/move. Only top-level collections can be parents.
+ * Resolves with { parent } or { error } ready to send.
+ */
+async function resolveParent(req, parentId) {
+  if (!parentId) return { parent: null };
+  const parent = await Collection.findOne(own(req, { _id: parentId }));
+  if (!parent) return { error: [404, "Parent collection not found"] };
+  if (parent.parentId) return { error: [400, "Collections nest only one level deep"] };
+  return { parent };
+}
+
+/**
+ * All of the caller's collections as a tree: top level in order, each with
+ * its `children` in order and a summary `count`.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const [all, counts] = await Promise.all([Collection.find(own(req)).sort({ position: 1, createdAt: 1 }), summaryCounts(req.user.id)]);
+    const node = (c) => ({ ...c.toJSON(), count: counts.get(String(c._id)) ?? 0 });
+    const tree = all
+      .filter((c) => !c.parentId)
+      .map((c) => ({ ...node(c), children: all.filter((child) => String(child.parentId) === String(c._id)).map(node) }));
+    res.json(tree);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.post(
+  "/",
+  [body("name").isString().trim().isLength({ min: 1, max: NAME_MAX }), body("parentId").optional({ values: "null" }).custom(isId)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const { parent, error } = await resolveParent(req, req.body.parentId);
+      if (error) return res.status(error[0]).json({ message: error[1] });
+      const parentId = parent?._id ?? null;
+      const position = await Collection.nextPosition(req.user.id, parentId);
+      const created = await Collection.create({ userId: req.user.id, name: req.body.name, parentId, position });
+      res.status(201).json(created);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * Set the order of siblings: `ids` must list every collection under `parentId`
+ * (null for the top level) exactly once.
+ */
+router.put(
+  "/order",
+  [body("parentId").optional({ values: "null" }).custom(isId), body("ids").isArray({ min: 1 }), body("ids.*").custom(isId)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const parentId = req.body.parentId ?? null;
+      const siblings = await Collection.find(own(req, { parentId }));
+      const ids = req.body.ids.map(String);
+      const same = siblings.length === ids.length && new Set(ids).size === ids.length && siblings.every((c) => ids.includes(String(c._id)));
+      if (!same) return res.status(400).json({ message: "ids must list every sibling collection exactly once" });
+      await Collection.bulkWrite(ids.map((id, position) => ({ updateOne: { filter: { _id: id }, update: { $set: { position } } } })));
+      res.json({ message: "Order saved" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * Rename and/or move a collection. Moving under a parent is refused for
+ * collections that have children of their own.
+ */
+router.patch(
+  "/:id",
+  [body("name").optional().isString().trim().isLength({ min: 1, max: NAME_MAX }), body("parentId").optional({ values: "null" }).custom(isId)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const doc = await Collection.findOne(own(req, { _id: req.params.id }));
+      if (!doc) return res.status(404).json({ message: "Collection not found" });
+      if (req.body.name !== undefined) doc.name = req.body.name;
+      if (req.body.parentId !== undefined && String(req.body.parentId) !== String(doc.parentId)) {
+        if (req.body.parentId && String(req.body.parentId) === String(doc._id))
+          return res.status(400).json({ message: "A collection cannot contain itself" });
+        const { parent, error } = await resolveParent(req, req.body.parentId);
+        if (error) return res.status(error[0]).json({ message: error[1] });
+        if (parent && (await Collection.exists({ parentId: doc._id })))
+          return res.status(400).json({ message: "Collections nest only one level deep" });
+        doc.parentId = parent?._id ?? null;
+        doc.position = await Collection.nextPosition(req.user.id, doc.parentId);
+      }
+      await doc.save();
+      res.json(doc);
+    } catch (error) {
+      res.status(400).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * Delete a collection and its sub-collections. The summaries stay; they just
+ * stop being filed there.
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const ids = await Collection.withChildren(req.user.id, req.params.id);
+    if (!ids.length) return res.status(404).json({ message: "Collection not found" });
+    await Summary.updateMany({ userId: req.user.id, collections: { $in: ids } }, { $pull: { collections: { $in: ids } } });
+    await Collection.deleteMany({ _id: { $in: ids } });
+    res.json({ message: "Collection deleted", deleted: ids.length });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
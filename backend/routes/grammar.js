@@ -0,0 +1,46 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { body, validationResult } from "express-validator";
+import { getProvider } from "../llm/index.js";
+import { GRAMMAR_MAX, checkGrammar } from "../llm/grammar.js";
+import { optionalJWT } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Rule checks are cheap, but a check can ask the provider for style too
+router.use(rateLimit({ windowMs: 60_000, max: 30, standardHeaders: true, legacyHeaders: false }));
+// Anyone may run the rules; style suggestions call the provider, so only for signed-in users
+router.use(optionalJWT);
+
+/**
+ * Check text for grammar, spelling, punctuation and style problems.
+ * With `style: true` the LLM provider adds style suggestions to the rules';
+ * that needs a signed-in user.
+ * Answers { issues, styleChecked, provider }; each issue is
+ * { offset, length, category, rule, message, replacements }.
+ */
+router.post(
+  "/",
+  [body("text").isString().isLength({ min: 1, max: GRAMMAR_MAX }), body("style").optional().isBoolean({ strict: true })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const style = req.body.style === true;
+    if (style && !req.user) return res.status(401).json({ message: "Sign in for style suggestions" });
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    try {
+      // The rules need no provider, so an unconfigured one only matters when style is asked for
+      const provider = style ? getProvider() : null;
+      const result = await checkGrammar(provider, { text: req.body.text, style }, { signal: controller.signal });
+      res.json({ ...result, provider: provider?.name ?? null });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      res.status(error.status || 502).json({ message: error.message });
+    }
+  }
+);
+
+export default router;
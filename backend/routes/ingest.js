@@ -0,0 +1,35 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { body, validationResult } from "express-validator";
+import { LINK_OPTIONS, extractArticle, fetchPage } from "../lib/article.js";
+import { SOURCE_URL_MAX } from "../models/Summary.js";
+import { verifyJWT } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Every call makes the server fetch someone else's page, so only for signed-in users
+router.use(verifyJWT);
+router.use(rateLimit({ windowMs: 60_000, max: 10, standardHeaders: true, legacyHeaders: false }));
+
+/**
+ * Read the article at a link: fetch the page, strip navigation and other
+ * boilerplate, and answer { url, title, byline, siteName, excerpt,
+ * publishedTime, lang, text, words }. `url` is the address after redirects,
+ * which is what a summary made from the text should keep as its sourceUrl.
+ */
+router.post("/url", [body("url").isString().trim().isLength({ max: SOURCE_URL_MAX }).isURL(LINK_OPTIONS)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+  try {
+    const article = extractArticle(await fetchPage(req.body.url, { signal: controller.signal }));
+    if (!article.text) return res.status(422).json({ message: "No readable article text was found on that page" });
+    res.json(article);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    res.status(error.status || 502).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,171 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { once } from "node:events";
+import { Zip, ZipDeflate, strToU8 } from "fflate";
+import { query, validationResult } from "express-validator";
+import Summary from "../models/Summary.js";
+import { verifyJWT } from "../middleware/auth.js";
+import {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  IMPORT_MAX_ROWS,
+  csvHeader,
+  csvRecord,
+  dedupeKey,
+  exportRecord,
+  importFormat,
+  markdownFilename,
+  readImport,
+  toMarkdown,
+  validateRecord,
+} from "../lib/library.js";
+
+// Mounted at /api, so nothing here may apply to requests meant for other routers
+const router = express.Router();
+
+// Whole-library reads and writes are heavy; nobody needs more than a few a minute
+const limiter = () => rateLimit({ windowMs: 60_000, max: 10, standardHeaders: true, legacyHeaders: false });
+const IMPORT_MAX_BYTES = "25mb";
+
+// Library exports skip the trash, like every other listing
+const library = (userId) => Summary.find({ userId, deletedAt: null }).sort({ createdAt: -1 }).lean().cursor();
+
+const EXPORT_FILES = {
+  json: { type: "application/json", ext: "json" },
+  csv: { type: "text/csv; charset=utf-8", ext: "csv" },
+  "md-zip": { type: "application/zip", ext: "zip" },
+};
+
+/**
+ * Stream every summary the user owns, newest first. Documents are read from a
+ * cursor and written as they arrive, so large libraries never sit in memory.
+ */
+router.get("/export", verifyJWT, limiter(), [query("format").optional().isIn(EXPORT_FORMATS)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  const format = req.query.format || "json";
+  const { type, ext } = EXPORT_FILES[format];
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await once(res, "drain");
+  };
+
+  try {
+    const cursor = library(req.user.id);
+    res.type(type);
+    res.attachment(`summaries-${new Date().toISOString().slice(0, 10)}.${ext}`);
+
+    if (format === "json") {
+      await write(`{"exportedAt":${JSON.stringify(new Date().toISOString())},"summaries":[`);
+      let first = true;
+      for await (const doc of cursor) {
+        await write(`${first ? "" : ","}\n${JSON.stringify(exportRecord(doc))}`);
+        first = false;
+      }
+      await write("\n]}\n");
+    } else if (format === "csv") {
+      // The byte order mark makes spreadsheet apps read the file as UTF-8
+      await write(`\uFEFF${csvHeader()}`);
+      for await (const doc of cursor) await write(csvRecord(exportRecord(doc)));
+    } else {
+      // fflate hands over compressed chunks synchronously; flush them after each file
+      let pending = [];
+      const zip = new Zip((error, chunk) => {
+        if (error) throw error;
+        pending.push(chunk);
+      });
+      const flush = async () => {
+        for (const chunk of pending) await write(chunk);
+        pending = [];
+      };
+      const used = new Set();
+      for await (const doc of cursor) {
+        const record = exportRecord(doc);
+        const file = new ZipDeflate(markdownFilename(record, used), { level: 6 });
+        zip.add(file);
+        file.push(strToU8(toMarkdown(record)), true);
+        await flush();
+      }
+      zip.end();
+      await flush();
+    }
+    res.end();
+  } catch (error) {
+    // Once the download has started the only honest signal left is a broken stream
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Import summaries from a file in any export format, or a single Markdown note.
+ * Send the file as the raw request body; `format` or the content type says
+ * what it is. Rows that fail validation are reported and skipped, as are
+ * rows whose note and summary match a summary already in the library (or an
+ * earlier row). `dryRun=true` reports the same result without saving.
+ */
+router.post(
+  "/import",
+  verifyJWT,
+  limiter(),
+  express.raw({ type: () => true, limit: IMPORT_MAX_BYTES }),
+  [query("format").optional().isIn(IMPORT_FORMATS), query("dryRun").optional().isIn(["true", "false"])],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const format = importFormat(req);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Unknown import format; pass ?format= one of ${IMPORT_FORMATS.join(", ")}` });
+    }
+
+    let rows;
+    try {
+      rows = readImport(req.body, format);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read the file: ${error.message}` });
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(413).json({ message: `Import at most ${IMPORT_MAX_ROWS} summaries at a time` });
+    }
+
+    try {
+      const seen = new Set();
+      for await (const doc of Summary.find({ userId: req.user.id, deletedAt: null }, { note: 1, summary: 1 }).lean().cursor()) {
+        seen.add(dedupeKey(doc));
+      }
+
+      const rowErrors = [];
+      const duplicates = [];
+      const docs = [];
+      for (const { row, file, raw } of rows) {
+        const { record, error } = validateRecord(raw);
+        if (error) {
+          rowErrors.push({ row, file, message: error });
+          continue;
+        }
+        const key = dedupeKey(record);
+        if (seen.has(key)) {
+          duplicates.push({ row, file });
+          continue;
+        }
+        seen.add(key);
+        docs.push({ ...record, userId: req.user.id });
+      }
+
+      const dryRun = req.query.dryRun === "true";
+      if (!dryRun && docs.length) await Summary.insertMany(docs);
+      res.status(dryRun || !docs.length ? 200 : 201).json({
+        format,
+        dryRun,
+        total: rows.length,
+        imported: docs.length,
+        duplicates,
+        errors: rowErrors,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,61 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { body, validationResult } from "express-validator";
+import { getProvider } from "../llm/index.js";
+import { PARAPHRASE_MODES } from "../llm/prompts.js";
+import { PARAPHRASE_MAX, paraphrase, suggestSynonyms } from "../llm/paraphrase.js";
+import { verifyJWT } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Every call goes to the provider, and long text to it once per chunk, so only for signed-in users
+router.use(verifyJWT);
+// Same budget as summarizing
+router.use(rateLimit({ windowMs: 60_000, max: 20, standardHeaders: true, legacyHeaders: false }));
+
+/**
+ * Rewrite text in a mode (standard | fluent | formal | simple | creative).
+ * Answers { paraphrase, mode, provider }.
+ */
+router.post(
+  "/",
+  [body("text").isString().trim().isLength({ min: 1, max: PARAPHRASE_MAX }), body("mode").optional().isIn(PARAPHRASE_MODES)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    try {
+      const provider = getProvider();
+      const mode = req.body.mode || "standard";
+      const result = await paraphrase(provider, { text: req.body.text, mode }, { signal: controller.signal });
+      res.json({ paraphrase: result, mode, provider: provider.name });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      res.status(error.status || 502).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * Alternatives for one word of a paraphrase, chosen to fit `context`
+ * (the sentence it sits in). Answers { word, synonyms }.
+ */
+router.post(
+  "/synonyms",
+  [body("word").isString().trim().isLength({ min: 1, max: 60 }), body("context").optional().isString().isLength({ max: 1000 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const { word, context } = req.body;
+      res.json({ word, synonyms: await suggestSynonyms(getProvider(), { word, context }) });
+    } catch (error) {
+      res.status(error.status || 502).json({ message: error.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,36 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import rateLimit from "express-rate-limit";
+import Summary, { SHARE_FIELDS } from "../models/Summary.js";
+
+const router = express.Router();
+
+// Slow down guessing at share passwords
+router.use(rateLimit({ windowMs: 60_000, max: 30, standardHeaders: true, legacyHeaders: false }));
+
+/**
+ * Public read (no auth). Password-protected links expect the password in the
+ * X-Share-Password header. Only successful reads count as views.
+ */
+router.get("/:slug", async (req, res) => {
+  try {
+    // Links to trashed summaries go dark until the owner restores them
+    const doc = await Summary.findOne({ slug: req.params.slug, deletedAt: null });
+    if (!doc) return res.status(404).json({ message: "Not found" });
+    const share = doc.share;
+    if (share?.expiresAt && share.expiresAt <= new Date()) return res.status(410).json({ message: "This link has expired" });
+    if (share?.passwordHash) {
+      const password = req.get("x-share-password");
+      if (!password) return res.status(401).json({ message: "Password required", passwordRequired: true });
+      if (!(await bcrypt.compare(password, share.passwordHash)))
+        return res.status(403).json({ message: "Wrong password", passwordRequired: true });
+    }
+    await Summary.updateOne({ _id: doc._id }, { $inc: { "share.views": 1 } });
+    const fields = share?.fields ?? SHARE_FIELDS;
+    res.json({ summary: doc.summary, ...Object.fromEntries(fields.map((f) => [f, doc[f]])) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,514 @@
+import express from "express";
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import { nanoid } from "nanoid";
+import rateLimit from "express-rate-limit";
+import { body, param, query, validationResult } from "express-validator";
+import Summary, { KINDS, NOTE_MAX, TITLE_MAX, SOURCE_URL_MAX, SHARE_FIELDS, summaryMax } from "../models/Summary.js";
+import Revision, { REVISION_FIELDS, changedFields } from "../models/Revision.js";
+import ChatMessage, { QUESTION_MAX } from "../models/ChatMessage.js";
+import Collection from "../models/Collection.js";
+import { MAX_TAGS, normalizeTags } from "../lib/tags.js";
+import { verifyJWT } from "../middleware/auth.js";
+import { parseSearch, searchFilter, highlight } from "../lib/search.js";
+import { SORTS, TAG_MODES, listFilter, facetCounts } from "../lib/filters.js";
+import { cursorPage, decodeCursor } from "../lib/cursor.js";
+import { destroy, purgeAt, retentionDays } from "../lib/trash.js";
+import { LINK_OPTIONS } from "../lib/article.js";
+import { getProvider } from "../llm/index.js";
+import { answerQuestion } from "../llm/chat.js";
+
+const router = express.Router();
+
+// Every summary route is scoped to the signed-in owner
+router.use(verifyJWT);
+
+// Trashed summaries only show up through the /trash routes
+const own = (req, extra = {}) => ({ ...extra, userId: req.user.id, deletedAt: null });
+const inTrash = (req, extra = {}) => ({ ...extra, userId: req.user.id, deletedAt: { $ne: null } });
+const pick = (src, keys) => Object.fromEntries(keys.filter((k) => src[k] !== undefined).map((k) => [k, src[k]]));
+
+const validateList = [
+  query("tagMode").optional().isIn(TAG_MODES),
+  query("starred").optional().isIn(["true", "false"]),
+  query("shared").optional().isIn(["true", "false"]),
+  query("kind").optional().isIn(KINDS),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  query("sort").optional().isIn(Object.keys(SORTS)),
+  query("cursor").optional().isString(),
+  query("collection").optional().custom((v) => v === "none" || mongoose.isValidObjectId(v)),
+];
+
+// ?collection=<id> covers its sub-collections too; "none" means not filed anywhere
+async function collectionFilter(req) {
+  const { collection } = req.query;
+  if (!collection) return {};
+  if (collection === "none") return { "collections.0": { $exists: false } };
+  return { collections: { $in: await Collection.withChildren(req.user.id, collection) } };
+}
+
+const CURSOR_PAGE = { default: 20, max: 100 };
+
+/**
+ * Get all summaries (array), paginated when page/limit provided, OR by
+ * cursor when `cursor` is present (empty for the first page); cursor pages
+ * answer { items, nextCursor } and stay stable while records come and go.
+ * Filters: tags (comma separated) with tagMode any|all, starred, shared,
+ * from/to created dates, collection (id or "none") and kind
+ * (summary|paraphrase). With `q`, results are ranked by text relevance unless
+ * another sort is given, and each item carries `highlights` with snippets and
+ * match offsets. Page mode and the first cursor page carry `facets` for the
+ * whole match.
+ */
+router.get("/", validateList, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const q = (req.query.q || "").toString().trim();
+    const page = Number(req.query.page || 0); // 0 means return array (backward compatible)
+    const limit = Number(req.query.limit || 0);
+
+    const parsed = q ? parseSearch(q) : null;
+    const search = parsed ? searchFilter(parsed) : { filter: {}, ranked: false };
+    const filter = own(req, { ...search.filter, ...listFilter(req.query), ...(await collectionFilter(req)) });
+    const requested = req.query.sort || (search.ranked ? "relevance" : "-createdAt");
+    // Relevance only means something for a $text query
+    const sortName = requested === "relevance" && !search.ranked ? "-createdAt" : requested;
+    const byRelevance = sortName === "relevance";
+    const projection = byRelevance ? { score: { $meta: "textScore" } } : undefined;
+    const sort = SORTS[sortName];
+    const present = (docs) => (parsed ? docs.map((doc) => ({ ...doc.toJSON(), highlights: highlight(doc, parsed) })) : docs);
+
+    if (req.query.cursor !== undefined) {
+      const values = req.query.cursor ? decodeCursor(sortName, req.query.cursor) : null;
+      if (req.query.cursor && !values) return res.status(400).json({ message: "Invalid cursor" });
+      const size = Math.min(limit || CURSOR_PAGE.default, CURSOR_PAGE.max);
+      const [{ items, nextCursor }, facets] = await Promise.all([
+        cursorPage(filter, sortName, values, size),
+        values ? null : facetCounts(filter),
+      ]);
+      return res.json({ items: present(items), nextCursor, ...(facets ? { total: facets.total, facets } : {}) });
+    }
+
+    if (page > 0 && limit > 0) {
+      const skip = (page - 1) * limit;
+      const [items, facets] = await Promise.all([
+        Summary.find(filter, projection).sort(sort).skip(skip).limit(limit),
+        facetCounts(filter),
+      ]);
+      const { total } = facets;
+      return res.json({ items: present(items), page, pages: Math.ceil(total / limit), total, facets });
+    } else {
+      const items = await Summary.find(filter, projection).sort(sort);
+      return res.json(present(items));
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Save new summary
+ */
+router.post(
+  "/",
+  [
+    body("note").isString().isLength({ min: 1, max: NOTE_MAX }),
+    body("summary").isString().custom((value, { req }) => value.length >= 1 && value.length <= summaryMax(req.body.kind)),
+    body("title").optional().isString().isLength({ max: TITLE_MAX }),
+    body("tags").optional().isArray({ max: MAX_TAGS }),
+    body("sourceUrl").optional({ values: "falsy" }).isString().trim().isLength({ max: SOURCE_URL_MAX }).isURL(LINK_OPTIONS),
+    body("kind").optional().isIn(KINDS),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { note, summary, title, sourceUrl, kind, tags = [] } = req.body;
+    try {
+      const savedSummary = await new Summary({
+        kind,
+        note,
+        summary,
+        title,
+        sourceUrl: sourceUrl || undefined,
+        tags: normalizeTags(tags).slice(0, MAX_TAGS),
+        userId: req.user.id,
+      }).save();
+      res.status(201).json(savedSummary);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * Update summary; edits to the title, note, summary or tags are kept as a revision
+ */
+router.put(
+  "/:id",
+  [
+    body("note").optional().isString().isLength({ min: 1, max: NOTE_MAX }),
+    // The limit depends on the saved kind, which is checked once the summary is loaded
+    body("summary").optional().isString().isLength({ min: 1, max: NOTE_MAX }),
+    body("title").optional().isString().isLength({ max: TITLE_MAX }),
+    body("tags").optional().isArray({ max: MAX_TAGS }),
+    body("starred").optional().isBoolean(),
+    // An empty string removes the link
+    body("sourceUrl").optional({ values: "falsy" }).isString().trim().isLength({ max: SOURCE_URL_MAX }).isURL(LINK_OPTIONS),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const doc = await Summary.findOne(own(req, { _id: req.params.id }));
+      if (!doc) return res.status(404).json({ message: "Summary not found" });
+      if (req.body.summary?.length > summaryMax(doc.kind)) {
+        return res.status(400).json({ errors: [{ path: "summary", msg: `At most ${summaryMax(doc.kind)} characters` }] });
+      }
+      const changes = pick(req.body, ["title", "note", "summary", "tags", "starred", "sourceUrl"]);
+      if (changes.sourceUrl === "" || changes.sourceUrl === null) changes.sourceUrl = undefined;
+      // Compare normalized tags so re-sending "ML" for "ml" is not an edit
+      if (changes.tags) changes.tags = normalizeTags(changes.tags);
+      if (changes.title !== undefined) changes.title = changes.title.trim();
+      const fields = changedFields(doc, changes);
+      const before = doc.toObject();
+      doc.set(changes);
+      await doc.save();
+      if (fields.length) await Revision.record(before, doc, { userId: req.user.id, fields });
+      res.json(doc);
+    } catch (error) {
+      res.status(400).json({ message: error.message });
+    }
+  }
+);
+
+const BULK_MAX = 100;
+
+// Each bulk action returns the changes for one summary; export changes nothing
+const BULK_ACTIONS = {
+  addToCollection: (doc, { collectionId }) => ({ collections: [...new Set([...doc.collections.map(String), collectionId])] }),
+  removeFromCollection: (doc, { collectionId }) => ({ collections: doc.collections.filter((c) => String(c) !== collectionId) }),
+  delete: () => ({ deletedAt: new Date() }),
+  star: () => ({ starred: true }),
+  unstar: () => ({ starred: false }),
+  addTags: (doc, { tags }) => ({ tags: [...new Set([...doc.tags, ...tags])] }),
+  removeTags: (doc, { tags }) => ({ tags: doc.tags.filter((t) => !tags.includes(t)) }),
+  export: () => null,
+};
+const TAG_ACTIONS = ["addTags", "removeTags"];
+const COLLECTION_ACTIONS = ["addToCollection", "removeFromCollection"];
+
+/**
+ * Apply one action to many summaries: delete, star, unstar, addTags/removeTags
+ * (with `tags`), addToCollection/removeFromCollection (with `collectionId`) or
+ * export. Every id gets its own result
+ * { id, ok, item } or { id, ok: false, status, message }, so one bad id never
+ * fails the rest. Tag edits are kept as revisions like any other edit.
+ */
+router.post(
+  "/bulk",
+  [
+    body("ids").isArray({ min: 1, max: BULK_MAX }),
+    body("ids.*").isString(),
+    body("action").isIn(Object.keys(BULK_ACTIONS)),
+    body("tags")
+      .if(body("action").isIn(TAG_ACTIONS))
+      .isArray({ min: 1, max: MAX_TAGS }),
+    body("tags.*").isString().trim().notEmpty(),
+    body("collectionId")
+      .if(body("action").isIn(COLLECTION_ACTIONS))
+      .custom((v) => mongoose.isValidObjectId(v)),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const { action, collectionId } = req.body;
+    const tags = normalizeTags(req.body.tags);
+    const ids = [...new Set(req.body.ids)];
+    try {
+      if (COLLECTION_ACTIONS.includes(action) && !(await Collection.exists({ _id: collectionId, userId: req.user.id })))
+        return res.status(404).json({ message: "Collection not found" });
+      const valid = ids.filter((id) => mongoose.isValidObjectId(id));
+      const docs = await Summary.find(own(req, { _id: { $in: valid } }));
+      const byId = new Map(docs.map((doc) => [String(doc._id), doc]));
+
+      const results = [];
+      for (const id of ids) {
+        const doc = byId.get(id);
+        if (!doc) {
+          results.push({ id, ok: false, status: 404, message: "Summary not found" });
+          continue;
+        }
+        try {
+          const changes = BULK_ACTIONS[action](doc, { tags, collectionId });
+          if (changes) {
+            if (changes.tags?.length > MAX_TAGS) {
+              results.push({ id, ok: false, status: 400, message: `A summary can have at most ${MAX_TAGS} tags` });
+              continue;
+            }
+            const fields = changedFields(doc, changes);
+            const before = doc.toObject();
+            doc.set(changes);
+            await doc.save();
+            if (fields.length) await Revision.record(before, doc, { userId: req.user.id, fields });
+          }
+          results.push({ id, ok: true, item: doc });
+        } catch (error) {
+          results.push({ id, ok: false, status: 500, message: error.message });
+        }
+      }
+      const succeeded = results.filter((r) => r.ok).length;
+      res.json({ action, succeeded, failed: results.length - succeeded, results });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * Trashed summaries, most recently deleted first, with the date each gets purged
+ */
+router.get("/trash", async (req, res) => {
+  try {
+    const items = await Summary.find(inTrash(req)).sort({ deletedAt: -1 });
+    res.json({
+      retentionDays: retentionDays(),
+      items: items.map((doc) => ({ ...doc.toJSON(), purgeAt: purgeAt(doc.deletedAt) })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Empty the trash for good
+ */
+router.delete("/trash", async (req, res) => {
+  try {
+    const deleted = await destroy(inTrash(req));
+    res.json({ message: "Trash emptied", deleted });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Permanently delete one trashed summary
+ */
+router.delete("/trash/:id", async (req, res) => {
+  try {
+    const deleted = await destroy(inTrash(req, { _id: req.params.id }));
+    if (!deleted) return res.status(404).json({ message: "Summary not found in trash" });
+    res.json({ message: "Summary deleted permanently" });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * Move a summary to the trash; it can be restored until the retention period ends
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const deleted = await Summary.findOneAndUpdate(own(req, { _id: req.params.id }), { $set: { deletedAt: new Date() } }, { new: true });
+    if (!deleted) return res.status(404).json({ message: "Summary not found" });
+    res.json({ message: "Summary moved to trash", deletedAt: deleted.deletedAt, purgeAt: purgeAt(deleted.deletedAt) });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * Take a summary back out of the trash
+ */
+router.post("/:id/restore", async (req, res) => {
+  try {
+    const restored = await Summary.findOneAndUpdate(inTrash(req, { _id: req.params.id }), { $unset: { deletedAt: 1 } }, { new: true });
+    if (!restored) return res.status(404).json({ message: "Summary not found in trash" });
+    res.json(restored);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * Toggle star
+ */
+router.patch("/:id/star", async (req, res) => {
+  try {
+    const doc = await Summary.findOne(own(req, { _id: req.params.id }));
+    if (!doc) return res.status(404).json({ message: "Summary not found" });
+    doc.starred = Boolean(req.body.starred ?? !doc.starred);
+    await doc.save();
+    res.json(doc);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * Every version of a summary, newest first: who made it, when and which fields changed
+ */
+router.get("/:id/revisions", async (req, res) => {
+  try {
+    const doc = await Summary.findOne(own(req, { _id: req.params.id }));
+    if (!doc) return res.status(404).json({ message: "Summary not found" });
+    res.json(await Revision.versionsOf(doc));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * Bring back an earlier version; the restore itself becomes a new revision
+ */
+router.post("/:id/revisions/:version/restore", async (req, res) => {
+  try {
+    const doc = await Summary.findOne(own(req, { _id: req.params.id }));
+    if (!doc) return res.status(404).json({ message: "Summary not found" });
+    const version = Number(req.params.version);
+    const revision = Number.isInteger(version) ? await Revision.findOne({ summaryId: doc._id, version }) : null;
+    if (!revision) return res.status(404).json({ message: "Revision not found" });
+    const changes = pick(revision.toObject(), REVISION_FIELDS);
+    const fields = changedFields(doc, changes);
+    if (!fields.length) return res.json(doc);
+    const before = doc.toObject();
+    doc.set(changes);
+    await doc.save();
+    await Revision.record(before, doc, { userId: req.user.id, fields, restoredFrom: version });
+    res.json(doc);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Every question goes to the provider, so chat gets the summarizer's budget
+const chatLimiter = rateLimit({ windowMs: 60_000, max: 20, standardHeaders: true, legacyHeaders: false });
+
+/**
+ * The conversation about a summary's note, oldest first: { messages }.
+ * Answers carry `citations`, the passages of the note they were drawn from.
+ */
+router.get("/:id/chat", async (req, res) => {
+  try {
+    const doc = await Summary.findOne(own(req, { _id: req.params.id }));
+    if (!doc) return res.status(404).json({ message: "Summary not found" });
+    res.json({ messages: await ChatMessage.conversation(doc._id) });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * Ask a question about the summary's note. The answer is grounded in the
+ * note's most relevant passages and cites them; both messages are kept.
+ * Answers 201 { question, answer }.
+ */
+router.post(
+  "/:id/chat",
+  chatLimiter,
+  [param("id").isMongoId(), body("question").isString().trim().isLength({ min: 1, max: QUESTION_MAX })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    try {
+      const doc = await Summary.findOne(own(req, { _id: req.params.id }));
+      if (!doc) return res.status(404).json({ message: "Summary not found" });
+      const history = await ChatMessage.conversation(doc._id);
+      const answer = await answerQuestion(getProvider(), { note: doc.note, history, question: req.body.question }, { signal: controller.signal });
+      const [question, reply] = await ChatMessage.exchange({ summaryId: doc._id, userId: req.user.id }, req.body.question, answer);
+      res.status(201).json({ question, answer: reply });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      res.status(error.status || 502).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * Clear the conversation and start over
+ */
+router.delete("/:id/chat", async (req, res) => {
+  try {
+    const doc = await Summary.findOne(own(req, { _id: req.params.id }));
+    if (!doc) return res.status(404).json({ message: "Summary not found" });
+    await ChatMessage.deleteMany({ summaryId: doc._id });
+    res.json({ message: "Conversation cleared" });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+const shareSettings = (doc) => (doc.slug ? { slug: doc.slug, ...(doc.share?.toJSON() ?? { fields: SHARE_FIELDS, views: 0, hasPassword: false }) } : null);
+
+/**
+ * Current share link settings (null when not shared)
+ */
+router.get("/:id/share", async (req, res) => {
+  try {
+    const doc = await Summary.findOne(own(req, { _id: req.params.id }));
+    if (!doc) return res.status(404).json({ message: "Summary not found" });
+    res.json(shareSettings(doc));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * Create or update the public share link.
+ * expiresAt: date or null, password: string to set / null to remove,
+ * fields: what to reveal besides the summary, regenerate: issue a new slug.
+ */
+router.post(
+  "/:id/share",
+  [
+    body("expiresAt").optional({ values: "null" }).isISO8601(),
+    body("password").optional({ values: "null" }).isString().isLength({ min: 4, max: 100 }),
+    body("fields").optional().isArray(),
+    body("fields.*").isIn(SHARE_FIELDS),
+    body("regenerate").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const doc = await Summary.findOne(own(req, { _id: req.params.id }));
+      if (!doc) return res.status(404).json({ message: "Summary not found" });
+      const { expiresAt, password, fields, regenerate } = req.body;
+      if (!doc.slug || regenerate) doc.slug = nanoid(10);
+      if (!doc.share) doc.share = {};
+      if (expiresAt !== undefined) doc.share.expiresAt = expiresAt ? new Date(expiresAt) : undefined;
+      if (password !== undefined) doc.share.passwordHash = password ? await bcrypt.hash(password, 10) : undefined;
+      if (fields) doc.share.fields = [...new Set(fields)];
+      if (regenerate) doc.share.views = 0;
+      await doc.save();
+      res.json(shareSettings(doc));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * Revoke the public share link
+ */
+router.delete("/:id/share", async (req, res) => {
+  try {
+    const updated = await Summary.findOneAndUpdate(
+      own(req, { _id: req.params.id }),
+      { $unset: { slug: 1, share: 1 } },
+      { new: true }
+    );
+    if (!updated) return res.status(404).json({ message: "Summary not found" });
+    res.json({ message: "Share link revoked" });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
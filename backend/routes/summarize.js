@@ -0,0 +1,123 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { check, validationResult } from "express-validator";
+import { getProvider } from "../llm/index.js";
+import { LENGTHS, TONES, FORMATS } from "../llm/prompts.js";
+import { buildSummaryPrompt, chunkChars } from "../llm/chunking.js";
+import { suggestMetadata } from "../llm/suggest.js";
+import Summary, { NOTE_MAX } from "../models/Summary.js";
+import { optionalJWT } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Generation costs real money per call, so keep it tighter than the global limit
+router.use(rateLimit({ windowMs: 60_000, max: 20, standardHeaders: true, legacyHeaders: false }));
+// Signed-in users get tag suggestions drawn from their own vocabulary and may send long notes
+router.use(optionalJWT);
+
+// check() reads body or query, so the stream route also works as a GET
+const validateOptions = [
+  check("note").isString().trim().isLength({ min: 1, max: NOTE_MAX }),
+  check("length").optional().isIn(LENGTHS),
+  check("tone").optional().isIn(TONES),
+  check("format").optional().isIn(FORMATS),
+];
+
+const optionsFrom = (req) => {
+  const { note, length, tone, format } = req.method === "GET" ? req.query : req.body;
+  return { note, length, tone, format };
+};
+
+// A note past one chunk costs a provider call per chunk, so anonymous callers get a single one
+const tooLongForGuests = (req) => !req.user && optionsFrom(req).note.length > chunkChars();
+const signInForLongNotes = (res) => res.status(401).json({ message: `Sign in to summarize notes longer than ${chunkChars()} characters` });
+
+// The user's most used tags; anonymous callers and database hiccups just get none
+const VOCABULARY_SIZE = 50;
+async function vocabularyFor(req) {
+  if (!req.user) return [];
+  try {
+    return (await Summary.tagCounts(req.user.id, { limit: VOCABULARY_SIZE })).map(({ tag }) => tag);
+  } catch {
+    return [];
+  }
+}
+
+// Server-Sent Events: one JSON payload per named event
+function openEventStream(res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+router.post("/", validateOptions, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  if (tooLongForGuests(req)) return signInForLongNotes(res);
+  try {
+    const provider = getProvider();
+    const prompt = await buildSummaryPrompt(provider, optionsFrom(req));
+    const summary = await provider.generate(prompt);
+    const { title, tags } = await suggestMetadata(provider, { summary, vocabulary: await vocabularyFor(req) });
+    res.json({ summary, provider: provider.name, title, tags });
+  } catch (error) {
+    res.status(error.status || 502).json({ message: error.message });
+  }
+});
+
+/**
+ * Stream a summary as it is generated.
+ * Events: progress { round, done, total } per chunk of a long document,
+ * token { text }, suggestions { title, tags } once the summary is complete,
+ * done { summary, provider }, error { message }.
+ * Closing the connection aborts the upstream provider request.
+ */
+const streamSummary = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  if (tooLongForGuests(req)) return signInForLongNotes(res);
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    return res.status(error.status || 502).json({ message: error.message });
+  }
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = openEventStream(res);
+  let summary = "";
+  try {
+    const prompt = await buildSummaryPrompt(provider, optionsFrom(req), {
+      signal: controller.signal,
+      onProgress: (progress) => send("progress", progress),
+    });
+    for await (const text of provider.stream(prompt, { signal: controller.signal })) {
+      if (controller.signal.aborted) break;
+      summary += text;
+      send("token", { text });
+    }
+    if (!controller.signal.aborted) {
+      const vocabulary = await vocabularyFor(req);
+      send("suggestions", await suggestMetadata(provider, { summary, vocabulary }, { signal: controller.signal }));
+      send("done", { summary, provider: provider.name });
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) send("error", { message: error.message });
+  } finally {
+    res.end();
+  }
+};
+
+router.get("/stream", validateOptions, streamSummary);
+router.post("/stream", validateOptions, streamSummary);
+
+export default router;
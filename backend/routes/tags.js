@@ -0,0 +1,86 @@
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import Summary from "../models/Summary.js";
+import { verifyJWT } from "../middleware/auth.js";
+import { normalizeTag, normalizeTags } from "../lib/tags.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+const MERGE_MAX = 50;
+const isTag = (value) => {
+  if (!normalizeTag(value)) throw new Error("Tag is empty once normalized");
+  return true;
+};
+
+/**
+ * Swap every tag in `from` for `into` on all of the user's summaries, trash
+ * included. Vocabulary clean-ups are not content edits, so no revisions.
+ */
+async function retag(userId, from, into) {
+  const docs = await Summary.find({ userId, tags: { $in: from } });
+  if (!docs.length) return 0;
+  await Summary.bulkWrite(
+    docs.map((doc) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { tags: normalizeTags(doc.tags.map((t) => (from.includes(t) ? into : t))) } },
+      },
+    }))
+  );
+  return docs.length;
+}
+
+/**
+ * The user's tags with usage counts, most used first. `q` narrows to tags
+ * starting with it (for autocomplete).
+ */
+router.get("/", [query("q").optional().isString(), query("limit").optional().isInt({ min: 1, max: 200 })], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const prefix = normalizeTag(req.query.q);
+    res.json(await Summary.tagCounts(req.user.id, { prefix, limit: Number(req.query.limit) || 50 }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Rename a tag everywhere. Renaming onto a tag that already exists merges the two.
+ */
+router.post("/rename", [body("from").isString().custom(isTag), body("to").isString().custom(isTag)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const from = normalizeTag(req.body.from);
+    const to = normalizeTag(req.body.to);
+    const updated = from === to ? 0 : await retag(req.user.id, [from], to);
+    res.json({ tag: to, updated });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Fold several tags into one
+ */
+router.post(
+  "/merge",
+  [body("from").isArray({ min: 1, max: MERGE_MAX }), body("from.*").isString(), body("into").isString().custom(isTag)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const into = normalizeTag(req.body.into);
+      const from = normalizeTags(req.body.from).filter((t) => t !== into);
+      const updated = from.length ? await retag(req.user.id, from, into) : 0;
+      res.json({ tag: into, updated });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+export default router;
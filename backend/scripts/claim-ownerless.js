@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { pathToFileURL } from "node:url";
+import User from "../models/User.js";
+import Summary from "../models/Summary.js";
+
+/**
+ * Summaries saved before ownership existed have no userId and are invisible
+ * to every account. Hand them to one user, or report how many are left.
+ *
+ *   node scripts/claim-ownerless.js --email owner@example.com
+ *   node scripts/claim-ownerless.js --dry-run
+ */
+const ownerless = { $or: [{ userId: { $exists: false } }, { userId: null }] };
+
+export async function countOwnerless() {
+  return Summary.countDocuments(ownerless);
+}
+
+export async function claimOwnerless(email) {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user) throw new Error(`No user with email ${email}`);
+  const { modifiedCount } = await Summary.updateMany(ownerless, { $set: { userId: user._id } });
+  return modifiedCount;
+}
+
+async function main(argv) {
+  dotenv.config();
+  const emailIdx = argv.indexOf("--email");
+  const email = emailIdx >= 0 ? argv[emailIdx + 1] : null;
+  const dryRun = argv.includes("--dry-run");
+  if (!dryRun && !email) {
+    console.error("Usage: node scripts/claim-ownerless.js --email <owner email> | --dry-run");
+    process.exitCode = 1;
+    return;
+  }
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 8000 });
+  try {
+    if (dryRun) {
+      console.log(`${await countOwnerless()} ownerless summaries`);
+    } else {
+      console.log(`✅ Assigned ${await claimOwnerless(email)} summaries to ${email}`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error("❌ Migration failed:", err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { pathToFileURL } from "node:url";
+import Summary from "../models/Summary.js";
+import { normalizeTags } from "../lib/tags.js";
+
+/**
+ * Tags written before normalization ("ML", "ml ", "machine learning") are
+ * only cleaned up when a summary is next saved. Rewrite them all at once,
+ * or report how many summaries would change.
+ *
+ *   node scripts/normalize-tags.js
+ *   node scripts/normalize-tags.js --dry-run
+ */
+const BATCH = 500;
+
+export async function normalizeAllTags({ dryRun = false } = {}) {
+  let changed = 0;
+  let ops = [];
+  const flush = async () => {
+    if (ops.length && !dryRun) await Summary.bulkWrite(ops);
+    ops = [];
+  };
+  // lean() skips the schema setter, so we see the tags exactly as stored
+  for await (const doc of Summary.find({ "tags.0": { $exists: true } }, { tags: 1 }).lean().cursor()) {
+    const next = normalizeTags(doc.tags);
+    if (JSON.stringify(next) === JSON.stringify(doc.tags)) continue;
+    changed += 1;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { tags: next } } } });
+    if (ops.length >= BATCH) await flush();
+  }
+  await flush();
+  return changed;
+}
+
+async function main(argv) {
+  dotenv.config();
+  const dryRun = argv.includes("--dry-run");
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 8000 });
+  try {
+    const changed = await normalizeAllTags({ dryRun });
+    console.log(dryRun ? `${changed} summaries have tags to normalize` : `✅ Normalized tags on ${changed} summaries`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error("❌ Migration failed:", err.message);
+    process.exitCode = 1;
+  });
+}
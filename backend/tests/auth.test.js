@@ -0,0 +1,160 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import { getMailer, createMailer, setMailer } from "../mail/index.js";
+import RefreshToken, { hashToken } from "../models/RefreshToken.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+const refreshCookie = (res) => (res.headers["set-cookie"] || []).find((c) => c.startsWith("refreshToken="));
+const cookieValue = (cookie) => cookie.split(";")[0];
+
+describe("refresh tokens", () => {
+  let first;
+
+  it("login sets an httpOnly refresh cookie", async () => {
+    await request(app).post("/api/auth/register").send({ email: "r@b.com", password: "secret1" });
+    const res = await request(app).post("/api/auth/login").send({ email: "r@b.com", password: "secret1" });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    first = refreshCookie(res);
+    assert.match(first, /HttpOnly/);
+    assert.match(first, /Path=\/api\/auth/);
+  });
+
+  it("refresh rotates the cookie and returns a new access token", async () => {
+    const res = await request(app).post("/api/auth/refresh").set("Cookie", cookieValue(first));
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.equal(res.body.user.email, "r@b.com");
+    const second = refreshCookie(res);
+    assert.notEqual(cookieValue(second), cookieValue(first));
+
+    const me = await request(app).get("/api/summaries").set("Authorization", `Bearer ${res.body.token}`);
+    assert.equal(me.status, 200);
+    first = { rotated: cookieValue(first), current: cookieValue(second) };
+  });
+
+  it("lets a tab that lost a concurrent refresh in for a few seconds", async () => {
+    const late = await request(app).post("/api/auth/refresh").set("Cookie", first.rotated);
+    assert.equal(late.status, 200);
+    assert.ok(late.body.token);
+    assert.equal(refreshCookie(late), undefined);
+  });
+
+  it("reusing a rotated token revokes the whole family", async () => {
+    // Long after the rotation, as a stolen cookie would be replayed
+    const rotated = hashToken(first.rotated.slice("refreshToken=".length));
+    await RefreshToken.updateOne({ tokenHash: rotated }, { $set: { revokedAt: new Date(Date.now() - 60_000) } });
+    const reuse = await request(app).post("/api/auth/refresh").set("Cookie", first.rotated);
+    assert.equal(reuse.status, 401);
+    assert.equal(reuse.body.message, "Refresh token reuse detected");
+    const res = await request(app).post("/api/auth/refresh").set("Cookie", first.current);
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects missing and unknown tokens", async () => {
+    assert.equal((await request(app).post("/api/auth/refresh")).status, 401);
+    assert.equal((await request(app).post("/api/auth/refresh").set("Cookie", "refreshToken=nope")).status, 401);
+  });
+
+  it("logout revokes the session and clears the cookie", async () => {
+    const agent = request.agent(app);
+    await agent.post("/api/auth/login").send({ email: "r@b.com", password: "secret1" });
+    const res = await agent.post("/api/auth/logout");
+    assert.equal(res.status, 200);
+    assert.match(refreshCookie(res), /Expires=Thu, 01 Jan 1970/);
+    const login = await request(app).post("/api/auth/login").send({ email: "r@b.com", password: "secret1" });
+    const cookie = cookieValue(refreshCookie(login));
+    await request(app).post("/api/auth/logout").set("Cookie", cookie);
+    assert.equal((await request(app).post("/api/auth/refresh").set("Cookie", cookie)).status, 401);
+  });
+});
+
+describe("email verification and password reset", () => {
+  const outbox = getMailer().outbox;
+  const lastToken = (to) => outbox.filter((m) => m.to === to).at(-1).text.match(/token=([\w-]+)/)[1];
+  // Reset mail is sent after the response, so wait for it to land
+  const forgotPassword = async (email) => {
+    const before = outbox.length;
+    const res = await request(app).post("/api/auth/forgot-password").send({ email });
+    for (let i = 0; i < 100 && outbox.length === before; i += 1) await new Promise((resolve) => setTimeout(resolve, 10));
+    return res;
+  };
+
+  it("register mails a verification link", async () => {
+    const res = await request(app).post("/api/auth/register").send({ email: "v@b.com", password: "secret1" });
+    assert.equal(res.body.user.emailVerified, false);
+    const mail = outbox.at(-1);
+    assert.equal(mail.to, "v@b.com");
+    assert.match(mail.text, /#\/verify-email\?token=/);
+  });
+
+  it("verify-email accepts the token once", async () => {
+    const token = lastToken("v@b.com");
+    const res = await request(app).post("/api/auth/verify-email").send({ token });
+    assert.equal(res.status, 200);
+    assert.equal((await request(app).post("/api/auth/verify-email").send({ token })).status, 400);
+    const login = await request(app).post("/api/auth/login").send({ email: "v@b.com", password: "secret1" });
+    assert.equal(login.body.user.emailVerified, true);
+  });
+
+  it("forgot-password answers the same for unknown emails", async () => {
+    const before = outbox.length;
+    const unknown = await request(app).post("/api/auth/forgot-password").send({ email: "nobody@b.com" });
+    assert.equal(unknown.status, 200);
+    assert.equal(outbox.length, before);
+    const known = await forgotPassword("v@b.com");
+    assert.equal(known.body.message, unknown.body.message);
+    assert.match(outbox.at(-1).text, /#\/reset-password\?token=/);
+  });
+
+  it("forgot-password answers the same when the mail cannot be sent", async () => {
+    const mailer = getMailer();
+    let attempted;
+    const sending = new Promise((resolve) => (attempted = resolve));
+    setMailer({ name: "broken", send: async () => { attempted(); throw new Error("SMTP_URL is not set"); } });
+    try {
+      const res = await request(app).post("/api/auth/forgot-password").send({ email: "v@b.com" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, "If that email has an account, a reset link is on its way");
+      await sending;
+    } finally {
+      setMailer(mailer);
+    }
+  });
+
+  it("reset-password sets a new password and ends old sessions", async () => {
+    const login = await request(app).post("/api/auth/login").send({ email: "v@b.com", password: "secret1" });
+    const cookie = login.headers["set-cookie"].find((c) => c.startsWith("refreshToken=")).split(";")[0];
+    await forgotPassword("v@b.com");
+    const token = lastToken("v@b.com");
+
+    const res = await request(app).post("/api/auth/reset-password").send({ token, password: "newpass1" });
+    assert.equal(res.status, 200);
+    assert.equal((await request(app).post("/api/auth/reset-password").send({ token, password: "again12" })).status, 400);
+    assert.equal((await request(app).post("/api/auth/refresh").set("Cookie", cookie)).status, 401);
+    assert.equal((await request(app).post("/api/auth/login").send({ email: "v@b.com", password: "secret1" })).status, 401);
+    assert.equal((await request(app).post("/api/auth/login").send({ email: "v@b.com", password: "newpass1" })).status, 200);
+  });
+
+  it("a newer reset link replaces the older one", async () => {
+    await forgotPassword("v@b.com");
+    const stale = lastToken("v@b.com");
+    await forgotPassword("v@b.com");
+    assert.equal((await request(app).post("/api/auth/reset-password").send({ token: stale, password: "newpass2" })).status, 400);
+  });
+});
+
+describe("mail transports", () => {
+  it("picks memory under test, smtp in production and file elsewhere", () => {
+    assert.equal(createMailer({ NODE_ENV: "test" }).name, "memory");
+    assert.equal(createMailer({ NODE_ENV: "development" }).name, "file");
+    assert.throws(() => createMailer({ NODE_ENV: "production" }), /SMTP_URL/);
+    assert.equal(createMailer({ NODE_ENV: "production", SMTP_URL: "smtp://localhost:2525" }).name, "smtp");
+  });
+});
+
+after(async () => { await teardownTestDB(); });
@@ -0,0 +1,75 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+describe("POST /api/summaries/bulk", () => {
+  let auth;
+  let ids;
+  const bulk = (body) => request(app).post("/api/summaries/bulk").set(...auth).send(body);
+
+  it("stars and unstars many summaries at once", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "bulk@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    ids = [];
+    for (const note of ["one", "two", "three"]) {
+      ids.push((await request(app).post("/api/summaries").set(...auth).send({ note, summary: note, tags: ["keep"] })).body._id);
+    }
+
+    const res = await bulk({ ids: ids.slice(0, 2), action: "star" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.succeeded, 2);
+    assert.ok(res.body.results.every((r) => r.ok && r.item.starred));
+    const unstar = await bulk({ ids: [ids[0]], action: "unstar" });
+    assert.equal(unstar.body.results[0].item.starred, false);
+  });
+
+  it("adds and removes tags and records revisions", async () => {
+    const add = await bulk({ ids, action: "addTags", tags: ["q3", " keep "] });
+    assert.deepEqual(add.body.results.map((r) => r.item.tags), [["keep", "q3"], ["keep", "q3"], ["keep", "q3"]]);
+    const remove = await bulk({ ids: [ids[0]], action: "removeTags", tags: ["keep"] });
+    assert.deepEqual(remove.body.results[0].item.tags, ["q3"]);
+
+    const revisions = await request(app).get(`/api/summaries/${ids[0]}/revisions`).set(...auth);
+    assert.deepEqual(revisions.body.map((r) => r.fields), [["tags"], ["tags"], []]);
+    assert.equal((await bulk({ ids, action: "addTags" })).status, 400);
+  });
+
+  it("refuses to push a summary past the tag limit", async () => {
+    const many = Array.from({ length: 9 }, (_, i) => `t${i}`);
+    const res = await bulk({ ids: [ids[1]], action: "addTags", tags: many });
+    assert.equal(res.body.results[0].ok, false);
+    assert.equal(res.body.results[0].status, 400);
+  });
+
+  it("reports missing and foreign ids per item", async () => {
+    const other = await request(app).post("/api/auth/register").send({ email: "bulk2@b.com", password: "secret1" });
+    const foreign = (await request(app).post("/api/summaries").set("Authorization", `Bearer ${other.body.token}`).send({ note: "x", summary: "x" })).body._id;
+
+    const res = await bulk({ ids: [ids[2], foreign, "nope"], action: "export" });
+    assert.equal(res.body.succeeded, 1);
+    assert.equal(res.body.failed, 2);
+    assert.equal(res.body.results[0].item.note, "three");
+    assert.deepEqual(res.body.results.slice(1).map((r) => r.status), [404, 404]);
+  });
+
+  it("moves summaries to the trash", async () => {
+    const res = await bulk({ ids: ids.slice(0, 2), action: "delete" });
+    assert.equal(res.body.succeeded, 2);
+    const list = await request(app).get("/api/summaries").set(...auth);
+    assert.deepEqual(list.body.map((s) => s.note), ["three"]);
+    const trash = await request(app).get("/api/summaries/trash").set(...auth);
+    assert.equal(trash.body.items.length, 2);
+  });
+
+  it("validates the request", async () => {
+    assert.equal((await bulk({ ids: [], action: "star" })).status, 400);
+    assert.equal((await bulk({ ids, action: "explode" })).status, 400);
+    assert.equal((await bulk({ ids: Array.from({ length: 101 }, () => ids[0]), action: "star" })).status, 400);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
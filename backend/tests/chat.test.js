@@ -0,0 +1,123 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import { setProvider } from "../llm/index.js";
+import { PASSAGE_CHARS, answerQuestion, parseAnswer, passagesOf, retrieve } from "../llm/chat.js";
+import ChatMessage from "../models/ChatMessage.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+const filler = (topic, count) => Array.from({ length: count }, (_, i) => `The ${topic} review covers item ${i} for the board.`).join(" ");
+const REPORT = [
+  "[Section: Budget]",
+  `${filler("budget", 10)} Revenue grew by 12 percent to 4.2 million dollars.`,
+  `${filler("staffing", 30)}`,
+  "Hiring froze in March after the merger, and open roles were cancelled until the integration finished.",
+  `${filler("audit", 10)} Currency exposure remains the main risk for exports.`,
+].join("\n\n");
+
+describe("grounding answers in the note", () => {
+  it("splits the note into passages that map back to it", () => {
+    const passages = passagesOf(REPORT);
+    assert.ok(passages.length > 3);
+    for (const passage of passages) {
+      assert.equal(REPORT.slice(passage.start, passage.end), passage.text);
+      assert.ok(passage.text.length <= PASSAGE_CHARS);
+    }
+    // The heading opens the passage it introduces
+    assert.match(passages[0].text, /^\[Section: Budget\]\n\nThe budget review/);
+    // Long paragraphs are cut between sentences
+    assert.ok(passages.every((passage) => /[.\]]$/.test(passage.text)));
+  });
+
+  it("finds the passages a question is about", () => {
+    const passages = passagesOf(REPORT);
+    const [best] = retrieve(passages, "What did the report say about hiring?", 2);
+    assert.match(best.text, /Hiring froze/);
+    assert.match(retrieve(passages, "How much did revenues grow?", 2)[0].text, /Revenue grew/);
+    assert.deepEqual(retrieve(passages, "zebras", 2), passages.slice(0, 2));
+  });
+
+  it("only cites passages it was given", () => {
+    const offered = passagesOf("First point here.\n\n" + "x ".repeat(200) + "\n\nSecond point here.");
+    const { citations } = parseAnswer("It says so [1][3], twice [1, 2] and not [9].", offered);
+    assert.deepEqual(citations.map((citation) => citation.passage), [1, 2]);
+    assert.equal(citations[0].quote, offered[0].text);
+  });
+
+  it("sends recent history and the question with the passages", async () => {
+    let prompt = "";
+    const provider = { name: "fake", generate: async (p) => (prompt = p) && "Roles were frozen [4]." };
+    const history = [{ role: "user", content: "What about budgets?" }, { role: "assistant", content: "Revenue grew [1]." }];
+    const answer = await answerQuestion(provider, { note: REPORT, history, question: "And hiring?" });
+    assert.match(prompt, /User: What about budgets\?\nAssistant: Revenue grew \[1\]\./);
+    assert.match(prompt, /Question: And hiring\?$/);
+    assert.equal(answer.content, "Roles were frozen [4].");
+  });
+});
+
+describe("summary chat routes", () => {
+  let auth;
+  let id;
+  const chat = () => `/api/summaries/${id}/chat`;
+
+  after(() => setProvider());
+
+  it("answers with citations and keeps the conversation", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "chat@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    const created = await request(app).post("/api/summaries").set(...auth).send({ note: REPORT, summary: "A report." });
+    id = created.body._id;
+
+    const empty = await request(app).get(chat()).set(...auth);
+    assert.deepEqual(empty.body, { messages: [] });
+
+    // The local provider echoes the top passage, citation marker included
+    const res = await request(app).post(chat()).set(...auth).send({ question: "What happened to hiring?" });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.question.role, "user");
+    assert.equal(res.body.question.content, "What happened to hiring?");
+    assert.equal(res.body.answer.role, "assistant");
+    assert.match(res.body.answer.content, /Hiring froze in March/);
+    const [citation] = res.body.answer.citations;
+    assert.match(citation.quote, /Hiring froze in March/);
+    assert.equal(REPORT.slice(citation.start, citation.end), citation.quote);
+
+    const history = await request(app).get(chat()).set(...auth);
+    assert.deepEqual(history.body.messages.map((message) => message.role), ["user", "assistant"]);
+  });
+
+  it("keeps nothing when the provider fails", async () => {
+    setProvider({ name: "broken", generate: async () => { throw Object.assign(new Error("Provider quota exceeded"), { status: 503 }); } });
+    const res = await request(app).post(chat()).set(...auth).send({ question: "Anything else?" });
+    assert.equal(res.status, 503);
+    assert.equal(await ChatMessage.countDocuments({ summaryId: id }), 2);
+    setProvider();
+  });
+
+  it("validates questions and only lets owners chat", async () => {
+    assert.equal((await request(app).post(chat()).set(...auth).send({ question: "  " })).status, 400);
+    assert.equal((await request(app).post(chat()).set(...auth).send({ question: "x".repeat(1001) })).status, 400);
+    assert.equal((await request(app).post(chat()).send({ question: "Hi?" })).status, 401);
+
+    const other = await request(app).post("/api/auth/register").send({ email: "nosy@b.com", password: "secret1" });
+    const res = await request(app).get(chat()).set("Authorization", `Bearer ${other.body.token}`);
+    assert.equal(res.status, 404);
+  });
+
+  it("clears the conversation, and deleting the summary for good removes it", async () => {
+    const cleared = await request(app).delete(chat()).set(...auth);
+    assert.equal(cleared.status, 200);
+    assert.equal(await ChatMessage.countDocuments({ summaryId: id }), 0);
+
+    await request(app).post(chat()).set(...auth).send({ question: "What are the risks?" });
+    await request(app).delete(`/api/summaries/${id}`).set(...auth);
+    assert.equal((await request(app).get(chat()).set(...auth)).status, 404);
+    await request(app).delete(`/api/summaries/trash/${id}`).set(...auth);
+    assert.equal(await ChatMessage.countDocuments({ summaryId: id }), 0);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
@@ -0,0 +1,65 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { splitIntoChunks, buildSummaryPrompt } from "../llm/chunking.js";
+
+const paragraph = (n, size) => `Paragraph ${n}. ${"word ".repeat(size)}`.trim();
+
+describe("splitIntoChunks", () => {
+  it("keeps short text whole", () => {
+    assert.deepEqual(splitIntoChunks("one\n\ntwo", 100), ["one\n\ntwo"]);
+  });
+
+  it("packs paragraphs without splitting them", () => {
+    const text = [1, 2, 3, 4].map((n) => paragraph(n, 10)).join("\n\n");
+    const chunks = splitIntoChunks(text, 140);
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[0].startsWith("Paragraph 1.") && chunks[0].includes("Paragraph 2."));
+    assert.ok(chunks[1].startsWith("Paragraph 3."));
+  });
+
+  it("treats form feeds as page breaks", () => {
+    assert.deepEqual(splitIntoChunks("page one\fpage two", 10), ["page one", "page two"]);
+  });
+
+  it("falls back to sentences, then hard cuts", () => {
+    const chunks = splitIntoChunks(`First sentence here. Second sentence here. ${"x".repeat(50)}`, 25);
+    assert.deepEqual(chunks.slice(0, 2), ["First sentence here.", "Second sentence here."]);
+    assert.ok(chunks.every((c) => c.length <= 25));
+  });
+});
+
+describe("buildSummaryPrompt", () => {
+  const recorder = () => {
+    const prompts = [];
+    return { prompts, provider: { name: "rec", generate: async (p) => (prompts.push(p), `partial ${prompts.length}.`) } };
+  };
+
+  it("uses the single prompt for short notes", async () => {
+    const { prompts, provider } = recorder();
+    const prompt = await buildSummaryPrompt(provider, { note: "short note", length: "short" }, { maxChars: 100 });
+    assert.equal(prompts.length, 0);
+    assert.match(prompt, /^Summarize the following text in a short length/);
+  });
+
+  it("maps each chunk then combines the partials", async () => {
+    const { prompts, provider } = recorder();
+    const progress = [];
+    const note = [1, 2, 3].map((n) => paragraph(n, 20)).join("\n\n");
+    const prompt = await buildSummaryPrompt(provider, { note, format: "bullets" }, {
+      maxChars: 120,
+      onProgress: (p) => progress.push(p),
+    });
+    assert.equal(prompts.length, 3);
+    assert.match(prompts[1], /^Summarize part 2 of 3/);
+    assert.deepEqual(progress.map((p) => p.done), [1, 2, 3]);
+    assert.match(prompt, /bullets format\.\n\npartial 1\.\n\npartial 2\.\n\npartial 3\.$/);
+  });
+
+  it("stops when aborted", async () => {
+    const { provider } = recorder();
+    const controller = new AbortController();
+    controller.abort();
+    const note = [1, 2].map((n) => paragraph(n, 20)).join("\n\n");
+    await assert.rejects(buildSummaryPrompt(provider, { note }, { maxChars: 120, signal: controller.signal }));
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+describe("collections", () => {
+  let auth;
+  let research;
+  let papers;
+  let reading;
+  let summaries;
+  const api = (method, path) => request(app)[method](`/api/collections${path}`).set(...auth);
+  const tree = async () => (await api("get", "")).body;
+  const list = async (collection) =>
+    (await request(app).get("/api/summaries").query({ collection }).set(...auth)).body.map((s) => s.note).sort();
+
+  it("creates top-level collections and one level of nesting", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "c@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+
+    research = (await api("post", "").send({ name: " Research " })).body;
+    reading = (await api("post", "").send({ name: "Reading" })).body;
+    papers = (await api("post", "").send({ name: "Papers", parentId: research._id })).body;
+    assert.equal(research.name, "Research");
+    assert.equal(papers.parentId, research._id);
+
+    const tooDeep = await api("post", "").send({ name: "Drafts", parentId: papers._id });
+    assert.equal(tooDeep.status, 400);
+    assert.equal((await api("post", "").send({ name: "" })).status, 400);
+
+    const nested = await tree();
+    assert.deepEqual(nested.map((c) => c.name), ["Research", "Reading"]);
+    assert.deepEqual(nested[0].children.map((c) => c.name), ["Papers"]);
+  });
+
+  it("reorders siblings and renames or moves collections", async () => {
+    const order = await api("put", "/order").send({ parentId: null, ids: [reading._id, research._id] });
+    assert.equal(order.status, 200);
+    assert.deepEqual((await tree()).map((c) => c.name), ["Reading", "Research"]);
+    assert.equal((await api("put", "/order").send({ ids: [reading._id] })).status, 400);
+
+    const renamed = await api("patch", `/${reading._id}`).send({ name: "To read" });
+    assert.equal(renamed.body.name, "To read");
+    // A collection with children cannot become a child itself
+    assert.equal((await api("patch", `/${research._id}`).send({ parentId: reading._id })).status, 400);
+    const moved = await api("patch", `/${papers._id}`).send({ parentId: reading._id });
+    assert.equal(moved.body.parentId, reading._id);
+    await api("patch", `/${papers._id}`).send({ parentId: research._id });
+  });
+
+  it("files summaries in several collections and filters by them", async () => {
+    summaries = [];
+    for (const note of ["alpha", "beta", "gamma"]) {
+      summaries.push((await request(app).post("/api/summaries").set(...auth).send({ note, summary: note })).body._id);
+    }
+    const bulk = (body) => request(app).post("/api/summaries/bulk").set(...auth).send(body);
+    await bulk({ ids: summaries.slice(0, 2), action: "addToCollection", collectionId: research._id });
+    await bulk({ ids: [summaries[1]], action: "addToCollection", collectionId: papers._id });
+    await bulk({ ids: [summaries[1]], action: "addToCollection", collectionId: reading._id });
+
+    assert.deepEqual(await list(papers._id), ["beta"]);
+    // A parent covers its sub-collections
+    assert.deepEqual(await list(research._id), ["alpha", "beta"]);
+    assert.deepEqual(await list(reading._id), ["beta"]);
+    assert.deepEqual(await list("none"), ["gamma"]);
+
+    const counts = await tree();
+    assert.equal(counts.find((c) => c.name === "Research").count, 2);
+    assert.equal(counts.find((c) => c.name === "Research").children[0].count, 1);
+
+    await bulk({ ids: [summaries[1]], action: "removeFromCollection", collectionId: reading._id });
+    assert.deepEqual(await list(reading._id), []);
+    assert.equal((await bulk({ ids: summaries, action: "addToCollection", collectionId: summaries[0] })).status, 404);
+  });
+
+  it("keeps collections private and unfiles summaries when one is deleted", async () => {
+    const other = await request(app).post("/api/auth/register").send({ email: "c2@b.com", password: "secret1" });
+    const otherAuth = ["Authorization", `Bearer ${other.body.token}`];
+    assert.deepEqual((await request(app).get("/api/collections").set(...otherAuth)).body, []);
+    assert.equal((await request(app).delete(`/api/collections/${research._id}`).set(...otherAuth)).status, 404);
+
+    const res = await api("delete", `/${research._id}`);
+    assert.equal(res.body.deleted, 2);
+    assert.deepEqual((await tree()).map((c) => c.name), ["To read"]);
+    assert.deepEqual(await list("none"), ["alpha", "beta", "gamma"]);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
@@ -26,4 +26,14 @@ describe("auth + summaries", () => {
     assert.equal(res.status, 201);
     assert.equal(res.body.summary, "hello");
   });
+
+  it("keeps long source notes in full", async () => {
+    const note = "long source text. ".repeat(2000);
+    const res = await request(app)
+      .post("/api/summaries")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ note, summary: "long" });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.note.length, note.length);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,73 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import { listFilter, listTags } from "../lib/filters.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+describe("list filter parsing", () => {
+  it("accepts comma separated and repeated tags", () => {
+    assert.deepEqual(listTags(["a, b", "c"]), ["a", "b", "c"]);
+    assert.deepEqual(listFilter({ tags: "a,b" }).tags, { $in: ["a", "b"] });
+    assert.deepEqual(listFilter({ tags: "a,b", tagMode: "all" }).tags, { $all: ["a", "b"] });
+  });
+
+  it("treats a bare `to` date as the whole day", () => {
+    const { createdAt } = listFilter({ from: "2024-01-01", to: "2024-01-31" });
+    assert.equal(createdAt.$gte.toISOString(), "2024-01-01T00:00:00.000Z");
+    assert.equal(createdAt.$lt.toISOString(), "2024-02-01T00:00:00.000Z");
+  });
+
+  it("maps starred and shared flags", () => {
+    assert.deepEqual(listFilter({ starred: "false", shared: "true" }), { starred: { $ne: true }, slug: { $exists: true } });
+  });
+});
+
+describe("GET /api/summaries filters", () => {
+  let auth;
+  const list = (params) => request(app).get("/api/summaries").query(params).set(...auth);
+
+  it("filters by tags, starred and shared and returns facets", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "f@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    const save = async (note, tags) => (await request(app).post("/api/summaries").set(...auth).send({ note, summary: note, tags })).body;
+    const a = await save("alpha", ["work", "q3"]);
+    await save("beta", ["work"]);
+    const c = await save("gamma", ["home"]);
+    await request(app).patch(`/api/summaries/${a._id}/star`).set(...auth);
+    await request(app).post(`/api/summaries/${c._id}/share`).set(...auth).send({});
+
+    assert.equal((await list({ tags: "work,home" })).body.length, 3);
+    assert.deepEqual((await list({ tags: "work,q3", tagMode: "all" })).body.map((s) => s.note), ["alpha"]);
+    assert.deepEqual((await list({ starred: "true" })).body.map((s) => s.note), ["alpha"]);
+    assert.deepEqual((await list({ shared: "true" })).body.map((s) => s.note), ["gamma"]);
+    assert.equal((await list({ shared: "false" })).body.length, 2);
+
+    const paged = await list({ page: 1, limit: 2, tags: "work" });
+    assert.equal(paged.body.total, 2);
+    assert.deepEqual(paged.body.facets, {
+      total: 2,
+      starred: 1,
+      shared: 0,
+      tags: [{ tag: "work", count: 2 }, { tag: "q3", count: 1 }],
+    });
+  });
+
+  it("filters by created date range", async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    assert.equal((await list({ from: today, to: today })).body.length, 3);
+    assert.equal((await list({ to: "2000-01-01" })).body.length, 0);
+  });
+
+  it("only accepts whitelisted sorts and valid parameters", async () => {
+    assert.deepEqual((await list({ sort: "createdAt" })).body.map((s) => s.note), ["alpha", "beta", "gamma"]);
+    assert.equal((await list({ sort: "-starred" })).body[0].note, "alpha");
+    assert.equal((await list({ sort: "password" })).status, 400);
+    assert.equal((await list({ starred: "yes" })).status, 400);
+    assert.equal((await list({ from: "last week" })).status, 400);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
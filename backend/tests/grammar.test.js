@@ -0,0 +1,174 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import { setProvider } from "../llm/index.js";
+import { checkText } from "../lib/grammar.js";
+import { checkGrammar, parseStyleIssues } from "../llm/grammar.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+// What each issue covers and what its first fix would put there
+const found = (text, issues) => issues.map((issue) => [issue.rule, text.slice(issue.offset, issue.offset + issue.length), issue.replacements[0]]);
+
+describe("rule-based grammar checks", () => {
+  it("finds spelling, grammar, punctuation and typography problems", () => {
+    const text = "i recieve the the report , and it was a error.it could of been worse!!  Really.";
+    assert.deepEqual(found(text, checkText(text)), [
+      ["pronoun-i", "i", "I"],
+      ["misspelling", "recieve", "receive"],
+      ["repeated-word", "the the", "the"],
+      ["space-before-punctuation", " ", ""],
+      ["a-an", "a", "an"],
+      ["confused-words", "could of", "could have"],
+      ["repeated-punctuation", "!!", "!"],
+      ["double-space", "  ", " "],
+    ]);
+  });
+
+  it("goes by sound for a and an and keeps the writer's capitals", () => {
+    const text = "An user met a hour ago with an FBI agent and a USB stick. Teh end.";
+    assert.deepEqual(found(text, checkText(text)), [
+      ["a-an", "An", "A"],
+      ["a-an", "a", "an"],
+      ["misspelling", "Teh", "The"],
+    ]);
+  });
+
+  it("capitalizes sentence starts but not after abbreviations", () => {
+    const text = "it rained. we stayed in, e.g. reading. Dr. smith agreed... then left.";
+    assert.deepEqual(found(text, checkText(text)), [
+      ["sentence-start", "it", "It"],
+      ["sentence-start", "we", "We"],
+    ]);
+    // Dotted initialisms end in a period without ending the sentence
+    assert.deepEqual(checkText("The U.S. economy slowed at 5 p.m. and picked up by 9 a.m. on Monday (i.e. overnight)."), []);
+    assert.deepEqual(found("It closed at 5 p.m. then it rained. then it stopped.", checkText("It closed at 5 p.m. then it rained. then it stopped.")), [
+      ["sentence-start", "then", "Then"],
+    ]);
+  });
+
+  it("suggests simpler wording and flags very long sentences", () => {
+    const wordy = "We met in order to plan.";
+    assert.deepEqual(found(wordy, checkText(wordy)), [["wordy", "in order to", "to"]]);
+
+    const long = `${"Cats and dogs run fast ".repeat(9).trim()}.`;
+    const [issue] = checkText(long);
+    assert.equal(issue.rule, "long-sentence");
+    assert.equal(issue.length, long.length);
+    assert.deepEqual(issue.replacements, []);
+  });
+
+  it("leaves clean text, numbers and links alone", () => {
+    assert.deepEqual(checkText("The total was 1,000 units at 3.14 each. See www.example.com for an hour or a unicorn."), []);
+  });
+});
+
+describe("style suggestions from the provider", () => {
+  it("places suggestions by their quotes and drops ones it cannot find", () => {
+    const text = "The plan was done by us. The plan was done by us.";
+    const reply = `Sure: [
+      {"quote": "was done by us", "message": "Passive voice.", "replacement": "we did"},
+      {"quote": "was done by us", "message": "Passive again.", "replacement": "we did"},
+      {"quote": "not in the text", "message": "Made up."},
+      {"quote": "The plan", "message": ""}
+    ]`;
+    assert.deepEqual(
+      parseStyleIssues(reply, text).map((issue) => [issue.offset, issue.message, issue.replacements]),
+      [
+        [9, "Passive voice.", ["we did"]],
+        [34, "Passive again.", ["we did"]],
+      ]
+    );
+    assert.deepEqual(parseStyleIssues("no JSON here", text), []);
+  });
+
+  it("keeps rule issues when the provider fails or overlaps them", async () => {
+    const text = "Teh results were achieved by the team.";
+    const provider = {
+      name: "fake",
+      generate: async () => '[{"quote": "Teh results", "message": "Vague."}, {"quote": "were achieved by the team", "message": "Passive voice.", "replacement": "the team achieved"}]',
+    };
+    const { issues, styleChecked } = await checkGrammar(provider, { text, style: true });
+    assert.equal(styleChecked, true);
+    assert.deepEqual(found(text, issues), [
+      ["misspelling", "Teh", "The"],
+      ["ai-style", "were achieved by the team", "the team achieved"],
+    ]);
+
+    const broken = { name: "broken", generate: async () => { throw new Error("quota"); } };
+    const fallback = await checkGrammar(broken, { text, style: true });
+    assert.equal(fallback.styleChecked, false);
+    assert.deepEqual(found(text, fallback.issues), [["misspelling", "Teh", "The"]]);
+  });
+});
+
+describe("POST /api/grammar", () => {
+  let auth;
+
+  before(async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "grammar@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+  });
+  after(() => setProvider());
+
+  it("checks text with the rules alone by default", async () => {
+    let calls = 0;
+    setProvider({ name: "fake", generate: async () => (calls += 1) && "[]" });
+    const res = await request(app).post("/api/grammar").send({ text: "This is is fine." });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.styleChecked, false);
+    assert.equal(res.body.provider, null);
+    assert.deepEqual(res.body.issues, [
+      { offset: 5, length: 5, category: "grammar", rule: "repeated-word", message: "“is” is repeated.", replacements: ["is"] },
+    ]);
+    assert.equal(calls, 0);
+  });
+
+  it("checks with the rules when no provider is configured", async () => {
+    const saved = { LLM_PROVIDER: process.env.LLM_PROVIDER, GEMINI_API_KEY: process.env.GEMINI_API_KEY };
+    process.env.LLM_PROVIDER = "gemini";
+    delete process.env.GEMINI_API_KEY;
+    setProvider();
+    try {
+      const res = await request(app).post("/api/grammar").send({ text: "Teh end." });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.provider, null);
+      assert.deepEqual(found("Teh end.", res.body.issues), [["misspelling", "Teh", "The"]]);
+      // Asking for style is what needs the provider
+      assert.equal((await request(app).post("/api/grammar").set(...auth).send({ text: "Teh end.", style: true })).status, 503);
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      setProvider();
+    }
+  });
+
+  it("adds style suggestions when asked", async () => {
+    setProvider({ name: "fake", generate: async () => '[{"quote": "very good", "message": "Be specific.", "replacement": "excellent"}]' });
+    const res = await request(app).post("/api/grammar").set(...auth).send({ text: "The food was very good.", style: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.styleChecked, true);
+    assert.equal(res.body.provider, "fake");
+    assert.deepEqual(found("The food was very good.", res.body.issues), [["ai-style", "very good", "excellent"]]);
+  });
+
+  it("only asks the provider for style on behalf of signed-in users", async () => {
+    let calls = 0;
+    setProvider({ name: "fake", generate: async () => (calls += 1) && "[]" });
+    const res = await request(app).post("/api/grammar").send({ text: "The food was very good.", style: true });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, "Sign in for style suggestions");
+    assert.equal(calls, 0);
+  });
+
+  it("validates the text and the style flag", async () => {
+    assert.equal((await request(app).post("/api/grammar").send({ text: "" })).status, 400);
+    assert.equal((await request(app).post("/api/grammar").send({ text: "Fine.", style: "yes" })).status, 400);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
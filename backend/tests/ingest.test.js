@@ -0,0 +1,150 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import request from "supertest";
+import { app } from "../server.js";
+import { PAGE_MAX_BYTES, fetchPage } from "../lib/article.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+const ARTICLE = `<!doctype html>
+<html lang="en">
+<head>
+  <title>Tide pools | Coastal Notes</title>
+  <meta property="og:site_name" content="Coastal Notes">
+</head>
+<body>
+  <nav><a href="/">Home</a> <a href="/about">About us</a> <a href="/shop">Shop the collection</a></nav>
+  <article>
+    <h1>Life in the tide pools</h1>
+    <p class="byline">By Ana Reyes</p>
+    <p>Tide pools form where the sea leaves water behind in rocky hollows at low tide. They are small, but the creatures living in them have to survive heat, waves and sudden changes in salt.</p>
+    <p>Anemones close up to keep from drying out, while crabs hide under ledges until the water comes back. Visitors who turn rocks over should always put them back the way they found them.</p>
+    <h2>What to bring</h2>
+    <ul>
+      <li>Shoes with a good grip on wet rock</li>
+      <li>A tide table for the day of the visit</li>
+    </ul>
+    <p>Go an hour before low tide, stay on bare rock where you can, and leave everything where it lives.</p>
+  </article>
+  <footer>Subscribe to our newsletter for weekly deals</footer>
+</body>
+</html>`;
+
+const PAGES = {
+  "/article": (res) => res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" }).end(ARTICLE),
+  "/moved": (res) => res.writeHead(301, { Location: "/article" }).end(),
+  // Same server, but by a name that resolves to a private address
+  "/to-localhost": (res, req) => res.writeHead(302, { Location: `http://localhost:${req.headers.host.split(":")[1]}/article` }).end(),
+  "/loop": (res) => res.writeHead(302, { Location: "/loop" }).end(),
+  "/notes.txt": (res) => res.writeHead(200, { "Content-Type": "text/plain" }).end("Packing list\n\nRain jacket and boots.\r\n\r\nSnacks for the drive."),
+  "/report.pdf": (res) => res.writeHead(200, { "Content-Type": "application/pdf" }).end("%PDF-1.7"),
+  // A page rendered by scripts has nothing to read until a browser runs them
+  "/app": (res) => res.writeHead(200, { "Content-Type": "text/html" }).end('<html><body><div id="root"></div><script src="/app.js"></script></body></html>'),
+  "/huge": (res) => res.writeHead(200, { "Content-Type": "text/html" }).end(`<p>${"a".repeat(PAGE_MAX_BYTES)}</p>`),
+};
+
+describe("POST /api/ingest/url", () => {
+  const fixture = http.createServer((req, res) => (PAGES[req.url] || ((r) => r.writeHead(404).end()))(res, req));
+  let base;
+  let auth;
+  const ingest = (url) => request(app).post("/api/ingest/url").set(...auth).send({ url });
+
+  before(async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "reader@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    await new Promise((resolve) => fixture.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${fixture.address().port}`;
+    // Only the fixture's own address is let through; "localhost" stays private
+    process.env.INGEST_ALLOW_PRIVATE_HOSTS = "127.0.0.1";
+  });
+  after(() => {
+    delete process.env.INGEST_ALLOW_PRIVATE_HOSTS;
+    fixture.close();
+  });
+
+  it("extracts the article and drops the page furniture", async () => {
+    const res = await ingest(`${base}/article`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.url, `${base}/article`);
+    assert.match(res.body.title, /tide pools/i);
+    assert.equal(res.body.siteName, "Coastal Notes");
+    assert.equal(res.body.lang, "en");
+    const paragraphs = res.body.text.split("\n\n");
+    assert.ok(paragraphs.some((p) => p.startsWith("Tide pools form where the sea")));
+    assert.ok(paragraphs.includes("[Section: What to bring]"));
+    assert.ok(paragraphs.includes("- Shoes with a good grip on wet rock"));
+    assert.doesNotMatch(res.body.text, /Shop the collection|newsletter/);
+    assert.equal(res.body.words, res.body.text.split(/\s+/).length);
+  });
+
+  it("reports where a redirected link ends up", async () => {
+    const res = await ingest(`${base}/moved`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.url, `${base}/article`);
+    assert.equal((await ingest(`${base}/loop`)).status, 502);
+  });
+
+  it("reads plain text pages as paragraphs", async () => {
+    const res = await ingest(`${base}/notes.txt`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, "Packing list");
+    assert.equal(res.body.text, "Packing list\n\nRain jacket and boots.\n\nSnacks for the drive.");
+  });
+
+  it("explains pages it cannot read", async () => {
+    assert.equal((await ingest(`${base}/report.pdf`)).status, 422);
+    assert.equal((await ingest(`${base}/app`)).status, 422);
+    assert.equal((await ingest(`${base}/missing`)).status, 502);
+    assert.equal((await ingest(`${base}/huge`)).status, 413);
+  });
+
+  it("is only for signed-in users", async () => {
+    const res = await request(app).post("/api/ingest/url").send({ url: `${base}/article` });
+    assert.equal(res.status, 401);
+  });
+
+  it("only accepts http and https links", async () => {
+    assert.equal((await ingest("ftp://example.com/file")).status, 400);
+  });
+
+  it("refuses private network addresses unless allowed", async () => {
+    delete process.env.INGEST_ALLOW_PRIVATE_HOSTS;
+    try {
+      const res = await ingest(`${base}/article`);
+      assert.equal(res.status, 400);
+      assert.match(res.body.message, /private network/);
+    } finally {
+      process.env.INGEST_ALLOW_PRIVATE_HOSTS = "127.0.0.1";
+    }
+  });
+
+  it("checks the address it connects to, on every redirect", async () => {
+    const refused = { status: 400, message: /private network/ };
+    await assert.rejects(fetchPage(`http://localhost:${fixture.address().port}/article`), refused);
+    await assert.rejects(fetchPage(`${base}/to-localhost`), refused);
+  });
+});
+
+describe("summaries keep their source link", () => {
+  it("saves, clears and validates sourceUrl", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "links@b.com", password: "secret1" });
+    const auth = ["Authorization", `Bearer ${reg.body.token}`];
+    const saved = await request(app)
+      .post("/api/summaries")
+      .set(...auth)
+      .send({ note: "article text", summary: "short", sourceUrl: "https://example.com/post" });
+    assert.equal(saved.status, 201);
+    assert.equal(saved.body.sourceUrl, "https://example.com/post");
+
+    const bad = await request(app).post("/api/summaries").set(...auth).send({ note: "n", summary: "s", sourceUrl: "javascript:alert(1)" });
+    assert.equal(bad.status, 400);
+
+    const cleared = await request(app).put(`/api/summaries/${saved.body._id}`).set(...auth).send({ sourceUrl: "" });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.body.sourceUrl, undefined);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
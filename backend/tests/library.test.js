@@ -0,0 +1,189 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { Buffer } from "node:buffer";
+import request from "supertest";
+import { strFromU8, unzipSync, zipSync, strToU8 } from "fflate";
+import { app } from "../server.js";
+import { parseCsv, csvRow } from "../lib/csv.js";
+import { ZIP_FILE_MAX_BYTES, fromMarkdown, readImport, toMarkdown, validateRecord } from "../lib/library.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+const binary = (res, done) => {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => done(null, Buffer.concat(chunks)));
+};
+
+describe("library formats", () => {
+  it("round-trips CSV fields with commas, quotes and line breaks", () => {
+    const text = csvRow(["a,b", 'say "hi"', "line\nbreak"]) + "\r\n" + csvRow(["1", "", "3"]);
+    assert.deepEqual(parseCsv(text), [["a,b", 'say "hi"', "line\nbreak"], ["1", "", "3"]]);
+    assert.throws(() => parseCsv('"open'), /Unterminated/);
+  });
+
+  it("round-trips exported Markdown and reads plain notes", () => {
+    const record = { title: "Plan: Q3", note: "Long note", summary: "Short", tags: ["work"], starred: true, createdAt: "2024-05-01T00:00:00.000Z", kind: "summary", sourceUrl: "https://example.com/plan" };
+    assert.deepEqual(fromMarkdown(toMarkdown(record)), record);
+    assert.deepEqual(fromMarkdown("# Trip\n\nPack light.\n\nBook trains."), {
+      title: "Trip",
+      note: "# Trip\n\nPack light.\n\nBook trains.",
+      summary: "Pack light.",
+    });
+  });
+
+  it("names the field that fails validation", () => {
+    assert.equal(validateRecord({ note: "n" }).error, "summary is required");
+    assert.equal(validateRecord({ note: "n", summary: "s", createdAt: "soon" }).error, "createdAt is not a valid date");
+    assert.equal(validateRecord({ note: "n", summary: "s", starred: "maybe" }).error, "starred must be true or false");
+    assert.deepEqual(validateRecord({ note: " n ", summary: "s", tags: "Work, #ideas", starred: "yes" }).record.tags, ["work", "ideas"]);
+    assert.equal(validateRecord({ note: "n", summary: "s", kind: "poem" }).error, "kind must be one of summary, paraphrase");
+    assert.equal(validateRecord({ note: "n", summary: "s", sourceUrl: "javascript:alert(1)" }).error, "sourceUrl must be an http or https link");
+    assert.equal(validateRecord({ note: "n", summary: "s", sourceUrl: " https://example.com/a " }).record.sourceUrl, "https://example.com/a");
+    assert.equal(validateRecord({ note: "n", summary: "s", sourceUrl: "" }).record.sourceUrl, undefined);
+  });
+
+  it("refuses archives that unpack too large", () => {
+    // Zeros compress to almost nothing, as in a zip bomb
+    const bomb = zipSync({ "notes/a.md": strToU8("# A\n\nFine."), "notes/bomb.md": new Uint8Array(ZIP_FILE_MAX_BYTES + 1) });
+    assert.ok(bomb.length < 100_000);
+    assert.throws(() => readImport(Buffer.from(bomb), "md-zip"), /archive too large: notes\/bomb\.md unpacks to more than 8 MB/);
+    const many = zipSync(Object.fromEntries(Array.from({ length: 5001 }, (_, i) => [`n${i}.md`, strToU8("x")])));
+    assert.throws(() => readImport(Buffer.from(many), "md-zip"), /more than 5000 files/);
+  });
+
+  it("allows paraphrases as long as their note", () => {
+    const long = "x".repeat(9000);
+    assert.equal(validateRecord({ note: "n", summary: long }).error, "summary is longer than 8000 characters");
+    assert.equal(validateRecord({ note: "n", summary: long, kind: "paraphrase" }).record.kind, "paraphrase");
+    assert.equal(validateRecord({ note: "n", summary: "s", kind: "" }).record.kind, "summary");
+  });
+});
+
+describe("/api/export and /api/import", () => {
+  let auth;
+  const importFile = (body, format, query = {}) =>
+    request(app)
+      .post("/api/import")
+      .query({ format, ...query })
+      .set(...auth)
+      .set("Content-Type", "application/octet-stream")
+      .send(Buffer.isBuffer(body) ? body : Buffer.from(body));
+
+  it("requires a signed-in user", async () => {
+    assert.equal((await request(app).get("/api/export")).status, 401);
+    assert.equal((await request(app).post("/api/import")).status, 401);
+  });
+
+  it("imports CSV and reports bad rows and duplicates", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "library@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    await request(app).post("/api/summaries").set(...auth).send({ note: "existing", summary: "already here" });
+
+    const csv = [
+      "title,note,summary,tags,starred,createdAt",
+      'First,"note, one",summary one,"a, b",true,2024-01-02T00:00:00.000Z',
+      ",no summary,,,,",
+      "Again,existing,already here,,,",
+      'First copy,"note, one",summary one,,,',
+      "Bad date,note two,summary two,,,someday",
+    ].join("\n");
+    const res = await importFile(csv, "csv");
+    assert.equal(res.status, 201);
+    assert.equal(res.body.total, 5);
+    assert.equal(res.body.imported, 1);
+    assert.deepEqual(res.body.duplicates, [{ row: 3 }, { row: 4 }]);
+    assert.deepEqual(res.body.errors, [
+      { row: 2, message: "summary is required" },
+      { row: 5, message: "createdAt is not a valid date" },
+    ]);
+
+    const list = await request(app).get("/api/summaries").set(...auth);
+    const first = list.body.find((s) => s.title === "First");
+    assert.deepEqual(first.tags, ["a", "b"]);
+    assert.equal(first.starred, true);
+    assert.equal(first.createdAt, "2024-01-02T00:00:00.000Z");
+  });
+
+  it("takes JSON sent as application/json up to the import limit", async () => {
+    const big = JSON.stringify(Array.from({ length: 7 }, (_, i) => ({ note: `${i} ${"x".repeat(450_000)}`, summary: "big" })));
+    const res = await request(app).post("/api/import").query({ dryRun: "true" }).set(...auth).set("Content-Type", "application/json").send(big);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.imported, 7);
+  });
+
+  it("checks a file without saving on a dry run", async () => {
+    const res = await importFile(JSON.stringify([{ note: "dry", summary: "run" }]), "json", { dryRun: "true" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.imported, 1);
+    const list = await request(app).get("/api/summaries").set(...auth);
+    assert.ok(!list.body.some((s) => s.note === "dry"));
+  });
+
+  it("rejects files it cannot read", async () => {
+    assert.equal((await importFile("not json", "json")).status, 400);
+    assert.equal((await importFile("a,b\n1,2", "csv")).status, 400);
+    assert.equal((await importFile("x", undefined)).status, 400);
+    const bomb = await importFile(Buffer.from(zipSync({ "bomb.md": new Uint8Array(ZIP_FILE_MAX_BYTES + 1) })), "md-zip");
+    assert.equal(bomb.status, 400);
+    assert.match(bomb.body.message, /archive too large/);
+  });
+
+  it("exports JSON that imports back as duplicates", async () => {
+    const res = await request(app).get("/api/export").set(...auth);
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-disposition"], /summaries-.*\.json/);
+    const { summaries } = JSON.parse(res.text);
+    assert.equal(summaries.length, 2);
+    assert.deepEqual(Object.keys(summaries[0]).sort(), ["createdAt", "kind", "note", "sourceUrl", "starred", "summary", "tags", "title"]);
+
+    const again = await importFile(res.text, "json");
+    assert.equal(again.body.imported, 0);
+    assert.equal(again.body.duplicates.length, 2);
+  });
+
+  it("exports CSV with a header row", async () => {
+    const res = await request(app).get("/api/export").query({ format: "csv" }).set(...auth);
+    assert.match(res.headers["content-type"], /text\/csv/);
+    const [header, ...rows] = parseCsv(res.text);
+    assert.deepEqual(header, ["title", "note", "summary", "tags", "starred", "createdAt", "kind", "sourceUrl"]);
+    assert.equal(rows.length, 2);
+  });
+
+  it("exports a Markdown zip and imports zips by file", async () => {
+    const res = await request(app).get("/api/export").query({ format: "md-zip" }).set(...auth).buffer(true).parse(binary);
+    assert.equal(res.headers["content-type"], "application/zip");
+    const files = unzipSync(new Uint8Array(res.body));
+    assert.equal(Object.keys(files).length, 2);
+    assert.ok(Object.keys(files).some((name) => /^2024-01-02-first\.md$/.test(name)));
+
+    const upload = zipSync({
+      "notes/meeting.md": strToU8("# Meeting\n\nShip on Friday.\n\nEveryone agreed."),
+      "notes/empty.md": strToU8(""),
+      "__MACOSX/notes/._meeting.md": strToU8("junk"),
+    });
+    const imported = await importFile(Buffer.from(upload), "md-zip");
+    assert.equal(imported.body.imported, 1);
+    assert.deepEqual(imported.body.errors, [{ row: 1, file: "notes/empty.md", message: "note is required" }]);
+    const meeting = (await request(app).get("/api/summaries").set(...auth)).body.find((s) => s.title === "Meeting");
+    assert.equal(meeting.summary, "Ship on Friday.");
+    assert.equal(strFromU8(files[Object.keys(files)[0]]).startsWith("---\n"), true);
+  });
+
+  it("keeps long paraphrases and source links through an export and import", async () => {
+    const long = "A rewritten sentence. ".repeat(500);
+    await request(app).post("/api/summaries").set(...auth).send({ note: "The original text.", summary: long, kind: "paraphrase", sourceUrl: "https://example.com/original" });
+    const exported = await request(app).get("/api/export").set(...auth);
+
+    const reg = await request(app).post("/api/auth/register").send({ email: "library2@b.com", password: "secret1" });
+    const other = ["Authorization", `Bearer ${reg.body.token}`];
+    const imported = await request(app).post("/api/import").query({ format: "json" }).set(...other).set("Content-Type", "application/octet-stream").send(Buffer.from(exported.text));
+    assert.deepEqual(imported.body.errors, []);
+    const [paraphrase] = (await request(app).get("/api/summaries").query({ kind: "paraphrase" }).set(...other)).body;
+    assert.equal(paraphrase.summary, long.trim());
+    assert.equal(paraphrase.sourceUrl, "https://example.com/original");
+  });
+});
+
+after(async () => { await teardownTestDB(); });
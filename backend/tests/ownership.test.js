@@ -0,0 +1,73 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import Summary from "../models/Summary.js";
+import { claimOwnerless, countOwnerless } from "../scripts/claim-ownerless.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+const register = async (email) => {
+  const res = await request(app).post("/api/auth/register").send({ email, password: "secret1" });
+  return res.body.token;
+};
+
+let alice;
+let bob;
+let aliceId;
+
+describe("summary ownership", () => {
+  it("requires auth to list", async () => {
+    const res = await request(app).get("/api/summaries");
+    assert.equal(res.status, 401);
+  });
+
+  it("lists only the caller's summaries", async () => {
+    alice = await register("alice@example.com");
+    bob = await register("bob@example.com");
+    const created = await request(app)
+      .post("/api/summaries")
+      .set("Authorization", `Bearer ${alice}`)
+      .send({ note: "alice note", summary: "alice summary" });
+    assert.equal(created.status, 201);
+    aliceId = created.body._id;
+    assert.ok(created.body.userId);
+
+    const mine = await request(app).get("/api/summaries").set("Authorization", `Bearer ${alice}`);
+    assert.equal(mine.body.length, 1);
+    const theirs = await request(app).get("/api/summaries").set("Authorization", `Bearer ${bob}`);
+    assert.deepEqual(theirs.body, []);
+  });
+
+  it("hides other users' summaries from update, star, share and delete", async () => {
+    const auth = ["Authorization", `Bearer ${bob}`];
+    assert.equal((await request(app).put(`/api/summaries/${aliceId}`).set(...auth).send({ summary: "x" })).status, 404);
+    assert.equal((await request(app).patch(`/api/summaries/${aliceId}/star`).set(...auth).send({})).status, 404);
+    assert.equal((await request(app).post(`/api/summaries/${aliceId}/share`).set(...auth)).status, 404);
+    assert.equal((await request(app).delete(`/api/summaries/${aliceId}`).set(...auth)).status, 404);
+    assert.ok(await Summary.findById(aliceId));
+  });
+
+  it("ignores attempts to reassign the owner", async () => {
+    const res = await request(app)
+      .put(`/api/summaries/${aliceId}`)
+      .set("Authorization", `Bearer ${alice}`)
+      .send({ summary: "edited", userId: "000000000000000000000000" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.summary, "edited");
+    assert.notEqual(res.body.userId, "000000000000000000000000");
+  });
+
+  it("claims ownerless records for a user", async () => {
+    await Summary.collection.insertOne({ note: "legacy", summary: "legacy", tags: [], createdAt: new Date() });
+    assert.equal(await countOwnerless(), 1);
+    assert.equal(await claimOwnerless("bob@example.com"), 1);
+    assert.equal(await countOwnerless(), 0);
+    const res = await request(app).get("/api/summaries").set("Authorization", `Bearer ${bob}`);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].note, "legacy");
+  });
+});
+
+after(async () => { await teardownTestDB(); });
@@ -0,0 +1,76 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import mongoose from "mongoose";
+import { app } from "../server.js";
+import Summary from "../models/Summary.js";
+import { encodeCursor, decodeCursor } from "../lib/cursor.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+await Summary.init();
+
+describe("cursor encoding", () => {
+  it("round-trips the sort key and rejects foreign cursors", () => {
+    const _id = new mongoose.Types.ObjectId();
+    const cursor = encodeCursor("-createdAt", { createdAt: new Date(5), _id });
+    const [createdAt, id] = decodeCursor("-createdAt", cursor);
+    assert.equal(createdAt.getTime(), 5);
+    assert.ok(id.equals(_id));
+    assert.equal(decodeCursor("createdAt", cursor), null);
+    assert.equal(decodeCursor("-createdAt", "not-a-cursor"), null);
+  });
+});
+
+describe("GET /api/summaries?cursor=", () => {
+  let auth;
+  const save = (note) => request(app).post("/api/summaries").set(...auth).send({ note, summary: `${note} summary` });
+  const list = (params) => request(app).get("/api/summaries").query(params).set(...auth);
+
+  it("pages without duplicates or gaps while records change", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "p@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    const saved = [];
+    for (const note of ["one", "two", "three", "four", "five"]) saved.push((await save(note)).body);
+
+    const first = await list({ cursor: "", limit: 2 });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.items.map((s) => s.note), ["five", "four"]);
+    assert.equal(first.body.total, 5);
+    assert.ok(first.body.facets);
+
+    // A new record and a deleted one between loads must not shift the next page
+    await save("six");
+    await request(app).delete(`/api/summaries/${saved[0]._id}`).set(...auth);
+
+    const second = await list({ cursor: first.body.nextCursor, limit: 2 });
+    assert.deepEqual(second.body.items.map((s) => s.note), ["three", "two"]);
+    assert.equal(second.body.facets, undefined);
+
+    const third = await list({ cursor: second.body.nextCursor, limit: 2 });
+    assert.deepEqual(third.body.items, []);
+    assert.equal(third.body.nextCursor, null);
+  });
+
+  it("follows the requested sort and search ranking", async () => {
+    const oldest = await list({ cursor: "", limit: 2, sort: "createdAt" });
+    assert.deepEqual(oldest.body.items.map((s) => s.note), ["two", "three"]);
+
+    await save("budget budget budget");
+    await save("budget plan");
+    const ranked = await list({ cursor: "", limit: 1, q: "budget" });
+    assert.equal(ranked.body.items[0].note, "budget budget budget");
+    assert.ok(ranked.body.items[0].highlights.note);
+    const next = await list({ cursor: ranked.body.nextCursor, limit: 1, q: "budget" });
+    assert.equal(next.body.items[0].note, "budget plan");
+    assert.equal(next.body.nextCursor, null);
+  });
+
+  it("rejects malformed cursors and cursors from another sort", async () => {
+    assert.equal((await list({ cursor: "garbage" })).status, 400);
+    const { body } = await list({ cursor: "", limit: 1 });
+    assert.equal((await list({ cursor: body.nextCursor, sort: "createdAt" })).status, 400);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
@@ -0,0 +1,83 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import { setProvider } from "../llm/index.js";
+import { paraphrase, parseSynonyms } from "../llm/paraphrase.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+describe("paraphrasing", () => {
+  it("rewrites long text chunk by chunk and keeps the paragraphs", async () => {
+    const prompts = [];
+    const provider = { name: "fake", generate: async (prompt) => prompts.push(prompt) && "```\nRewritten.\n```" };
+    const progress = [];
+    const text = `${"First paragraph. ".repeat(500)}\n\n${"Second paragraph. ".repeat(500)}`;
+    const result = await paraphrase(provider, { text, mode: "formal" }, { onProgress: (p) => progress.push(p) });
+    assert.equal(result, "Rewritten.\n\nRewritten.");
+    assert.deepEqual(progress, [{ done: 1, total: 2 }, { done: 2, total: 2 }]);
+    assert.match(prompts[0], /formal/);
+  });
+
+  it("reads synonyms from JSON or lists and drops the word itself", () => {
+    assert.deepEqual(parseSynonyms('Here: ["quick", "Fast", "rapid", "fast", "swift"]', "fast"), ["quick", "rapid", "swift"]);
+    assert.deepEqual(parseSynonyms("1. brisk\n2. speedy\n- hasty", "quick"), ["brisk", "speedy", "hasty"]);
+  });
+});
+
+describe("POST /api/paraphrase", () => {
+  let auth;
+
+  before(async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "rewrite@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+  });
+  after(() => setProvider());
+
+  it("is only for signed-in users", async () => {
+    assert.equal((await request(app).post("/api/paraphrase").send({ text: "One idea." })).status, 401);
+    assert.equal((await request(app).post("/api/paraphrase/synonyms").send({ word: "big" })).status, 401);
+  });
+
+  it("paraphrases with the local provider", async () => {
+    const res = await request(app).post("/api/paraphrase").set(...auth).send({ text: "One idea. Two ideas. Three ideas. Four ideas.", mode: "simple" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.mode, "simple");
+    assert.equal(res.body.provider, "local");
+    assert.equal(res.body.paraphrase, "One idea. Two ideas. Three ideas.");
+  });
+
+  it("validates the mode and text", async () => {
+    assert.equal((await request(app).post("/api/paraphrase").set(...auth).send({ text: "hi", mode: "pirate" })).status, 400);
+    assert.equal((await request(app).post("/api/paraphrase").set(...auth).send({ text: "  " })).status, 400);
+  });
+
+  it("suggests synonyms and tolerates a failing provider", async () => {
+    setProvider({ name: "fake", generate: async () => '["large", "huge", "big"]' });
+    const res = await request(app).post("/api/paraphrase/synonyms").set(...auth).send({ word: "big", context: "A big house." });
+    assert.deepEqual(res.body, { word: "big", synonyms: ["large", "huge"] });
+
+    setProvider({ name: "broken", generate: async () => { throw new Error("quota"); } });
+    const failed = await request(app).post("/api/paraphrase/synonyms").set(...auth).send({ word: "big" });
+    assert.deepEqual(failed.body.synonyms, []);
+  });
+});
+
+describe("paraphrases in history", () => {
+  it("saves a kind and filters the list by it", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "kinds@b.com", password: "secret1" });
+    const auth = ["Authorization", `Bearer ${reg.body.token}`];
+    await request(app).post("/api/summaries").set(...auth).send({ note: "source", summary: "short" });
+    const saved = await request(app).post("/api/summaries").set(...auth).send({ note: "original", summary: "rewritten", kind: "paraphrase" });
+    assert.equal(saved.body.kind, "paraphrase");
+
+    const paraphrases = await request(app).get("/api/summaries").query({ kind: "paraphrase" }).set(...auth);
+    assert.deepEqual(paraphrases.body.map((s) => s.summary), ["rewritten"]);
+    const summaries = await request(app).get("/api/summaries").query({ kind: "summary" }).set(...auth);
+    assert.deepEqual(summaries.body.map((s) => s.kind), ["summary"]);
+    assert.equal((await request(app).get("/api/summaries").query({ kind: "poem" }).set(...auth)).status, 400);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
@@ -0,0 +1,69 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import Revision from "../models/Revision.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+describe("summary revisions", () => {
+  let auth;
+  let id;
+  const revisions = () => request(app).get(`/api/summaries/${id}/revisions`).set(...auth);
+
+  it("reports an unedited summary as its only version", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "r@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    const created = await request(app).post("/api/summaries").set(...auth).send({ note: "first note", summary: "first summary", tags: ["a"] });
+    id = created.body._id;
+
+    const res = await revisions();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].version, 1);
+    assert.equal(res.body[0].summary, "first summary");
+    assert.equal(await Revision.countDocuments({ summaryId: id }), 0);
+  });
+
+  it("keeps the original and records who changed which fields", async () => {
+    await request(app).put(`/api/summaries/${id}`).set(...auth).send({ summary: "second summary", tags: ["a", "b"] });
+    // Starring alone is not a content change
+    await request(app).put(`/api/summaries/${id}`).set(...auth).send({ starred: true });
+
+    const res = await revisions();
+    assert.deepEqual(res.body.map((r) => r.version), [2, 1]);
+    assert.deepEqual(res.body[0].fields, ["summary", "tags"]);
+    assert.equal(res.body[0].summary, "second summary");
+    assert.ok(res.body[0].userId);
+    assert.equal(res.body[1].summary, "first summary");
+    assert.deepEqual(res.body[1].fields, []);
+  });
+
+  it("restores an earlier version as a new revision", async () => {
+    const res = await request(app).post(`/api/summaries/${id}/revisions/1/restore`).set(...auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.summary, "first summary");
+    assert.deepEqual(res.body.tags, ["a"]);
+    assert.equal(res.body.starred, true);
+
+    const list = await revisions();
+    assert.equal(list.body[0].version, 3);
+    assert.equal(list.body[0].restoredFrom, 1);
+    assert.deepEqual(list.body[0].fields, ["summary", "tags"]);
+    assert.equal((await request(app).post(`/api/summaries/${id}/revisions/9/restore`).set(...auth)).status, 404);
+  });
+
+  it("keeps revisions private to the owner and drops them when the summary is purged", async () => {
+    const other = await request(app).post("/api/auth/register").send({ email: "r2@b.com", password: "secret1" });
+    const res = await request(app).get(`/api/summaries/${id}/revisions`).set("Authorization", `Bearer ${other.body.token}`);
+    assert.equal(res.status, 404);
+
+    await request(app).delete(`/api/summaries/${id}`).set(...auth);
+    assert.equal(await Revision.countDocuments({ summaryId: id }), 3);
+    await request(app).delete(`/api/summaries/trash/${id}`).set(...auth);
+    assert.equal(await Revision.countDocuments({ summaryId: id }), 0);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
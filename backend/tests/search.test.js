@@ -0,0 +1,76 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import Summary from "../models/Summary.js";
+import { parseSearch, searchFilter, highlight, escapeRegex } from "../lib/search.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+await Summary.init();
+
+describe("search query parsing", () => {
+  it("splits words, phrases and exclusions", () => {
+    assert.deepEqual(parseSearch('budget "quarterly review" -draft -"old plan"'), {
+      terms: ["budget"],
+      phrases: ["quarterly review"],
+      excluded: ["draft", "old plan"],
+    });
+  });
+
+  it("builds a $text search when there is a positive term", () => {
+    const { filter, ranked } = searchFilter(parseSearch('budget "q3 review" -"old plan"'));
+    assert.equal(ranked, true);
+    assert.equal(filter.$text.$search, 'budget "q3 review" -"old plan"');
+  });
+
+  it("escapes regex input for exclusion-only queries", () => {
+    const { filter, ranked } = searchFilter(parseSearch("-(a+)+$"));
+    assert.equal(ranked, false);
+    assert.equal(filter.$nor[0].note.source, escapeRegex("(a+)+$"));
+  });
+
+  it("highlights word prefixes with snippet-relative offsets", () => {
+    const hl = highlight({ summary: "We are planning the budget.", note: "", tags: ["Budget"] }, parseSearch("plan budget"));
+    assert.equal(hl.summary.snippet, "We are planning the budget.");
+    assert.deepEqual(hl.summary.matches, [{ offset: 7, length: 8 }, { offset: 20, length: 6 }]);
+    assert.deepEqual(hl.tags, ["Budget"]);
+  });
+});
+
+describe("GET /api/summaries?q=", () => {
+  let auth;
+
+  it("ranks by relevance and returns highlights", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "q@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    const save = (note, summary) => request(app).post("/api/summaries").set(...auth).send({ note, summary });
+    await save("Roadmap notes", "Budget once.");
+    await save("Budget budget budget review", "Budget planning for budget season.");
+    await save("Hiring plan", "Interview loop changes.");
+
+    const res = await request(app).get("/api/summaries").query({ q: "budget" }).set(...auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 2);
+    assert.equal(res.body[0].note, "Budget budget budget review");
+    assert.ok(res.body[0].score > res.body[1].score);
+    assert.equal(res.body[0].highlights.summary.matches.length, 2);
+  });
+
+  it("supports phrases and exclusions", async () => {
+    const phrase = await request(app).get("/api/summaries").query({ q: '"budget season"' }).set(...auth);
+    assert.deepEqual(phrase.body.map((s) => s.note), ["Budget budget budget review"]);
+    const excluded = await request(app).get("/api/summaries").query({ q: "budget -review" }).set(...auth);
+    assert.deepEqual(excluded.body.map((s) => s.note), ["Roadmap notes"]);
+    const onlyExcluded = await request(app).get("/api/summaries").query({ q: "-budget" }).set(...auth);
+    assert.deepEqual(onlyExcluded.body.map((s) => s.note), ["Hiring plan"]);
+  });
+
+  it("treats regex metacharacters as plain text", async () => {
+    const res = await request(app).get("/api/summaries").query({ q: "(a+)+$" }).set(...auth);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, []);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
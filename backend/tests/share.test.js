@@ -0,0 +1,75 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+let auth;
+let id;
+
+const share = (body = {}) => request(app).post(`/api/summaries/${id}/share`).set(...auth).send(body);
+
+describe("share links", () => {
+  it("requires the owner to share", async () => {
+    const res = await request(app).post("/api/auth/register").send({ email: "s@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${res.body.token}`];
+    const created = await request(app).post("/api/summaries").set(...auth).send({ note: "source", summary: "short", tags: ["x"] });
+    id = created.body._id;
+    assert.equal((await request(app).post(`/api/summaries/${id}/share`)).status, 401);
+  });
+
+  it("creates a link once and counts views", async () => {
+    const first = await share();
+    assert.equal(first.status, 200);
+    assert.equal((await share()).body.slug, first.body.slug);
+
+    const view = await request(app).get(`/api/s/${first.body.slug}`);
+    assert.equal(view.status, 200);
+    assert.deepEqual(Object.keys(view.body).sort(), ["createdAt", "note", "summary", "tags"]);
+    await request(app).get(`/api/s/${first.body.slug}`);
+
+    const settings = await request(app).get(`/api/summaries/${id}/share`).set(...auth);
+    assert.equal(settings.body.views, 2);
+    assert.equal(settings.body.hasPassword, false);
+  });
+
+  it("hides fields that are not shared", async () => {
+    const { body } = await share({ fields: ["tags"] });
+    const view = await request(app).get(`/api/s/${body.slug}`);
+    assert.equal(view.body.note, undefined);
+    assert.deepEqual(view.body.tags, ["x"]);
+  });
+
+  it("protects links with a password", async () => {
+    const { body } = await share({ password: "open-sesame" });
+    assert.equal(body.hasPassword, true);
+    assert.equal(body.passwordHash, undefined);
+    assert.equal((await request(app).get(`/api/s/${body.slug}`)).status, 401);
+    assert.equal((await request(app).get(`/api/s/${body.slug}`).set("X-Share-Password", "nope")).status, 403);
+    assert.equal((await request(app).get(`/api/s/${body.slug}`).set("X-Share-Password", "open-sesame")).status, 200);
+    assert.equal((await share({ password: null })).body.hasPassword, false);
+  });
+
+  it("stops serving expired links", async () => {
+    const { body } = await share({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.equal((await request(app).get(`/api/s/${body.slug}`)).status, 410);
+    await share({ expiresAt: null });
+    assert.equal((await request(app).get(`/api/s/${body.slug}`)).status, 200);
+  });
+
+  it("regenerates and revokes links", async () => {
+    const before = (await share()).body.slug;
+    const next = (await share({ regenerate: true })).body;
+    assert.notEqual(next.slug, before);
+    assert.equal(next.views, 0);
+    assert.equal((await request(app).get(`/api/s/${before}`)).status, 404);
+
+    assert.equal((await request(app).delete(`/api/summaries/${id}/share`).set(...auth)).status, 200);
+    assert.equal((await request(app).get(`/api/s/${next.slug}`)).status, 404);
+    assert.equal((await request(app).get(`/api/summaries/${id}/share`).set(...auth)).body, null);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
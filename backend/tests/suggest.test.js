@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fallbackSuggestions, parseSuggestions, suggestMetadata } from "../llm/suggest.js";
+
+const summary = "Photosynthesis turns light into chemical energy. Plants store that energy as glucose in their leaves.";
+
+describe("parseSuggestions", () => {
+  it("reads JSON wrapped in prose or code fences", () => {
+    const reply = 'Sure!\n```json\n{"title": "How Plants Make Food.", "tags": ["Biology", "plants", "energy"]}\n```';
+    assert.deepEqual(parseSuggestions(reply, summary), { title: "How Plants Make Food", tags: ["biology", "plants", "energy"] });
+  });
+
+  it("puts tags from the user's vocabulary first and caps at five", () => {
+    const reply = JSON.stringify({ title: "t", tags: ["a", "b", "biology", "c", "d", "e"] });
+    assert.deepEqual(parseSuggestions(reply, summary, ["biology"]).tags, ["biology", "a", "b", "c", "d"]);
+  });
+
+  it("tops up thin or unreadable replies from the summary", () => {
+    const parsed = parseSuggestions("no json here", summary, ["leaves", "physics"]);
+    assert.equal(parsed.title, "Photosynthesis turns light into chemical energy");
+    assert.equal(parsed.tags[0], "leaves");
+    assert.ok(!parsed.tags.includes("physics"));
+    assert.ok(parsed.tags.length >= 3 && parsed.tags.length <= 5);
+  });
+});
+
+describe("fallbackSuggestions", () => {
+  it("matches vocabulary tags on whole words", () => {
+    const { tags } = fallbackSuggestions("She said the machine learning model was ready.", ["ai", "machine-learning"]);
+    assert.equal(tags[0], "machine-learning");
+    assert.ok(!tags.includes("ai"));
+  });
+
+  it("skips stopwords and short words", () => {
+    const { tags } = fallbackSuggestions("This is about energy and energy with their plants.");
+    assert.deepEqual(tags, ["energy", "plants"]);
+  });
+});
+
+describe("suggestMetadata", () => {
+  it("falls back when the provider fails", async () => {
+    const provider = { generate: async () => { throw new Error("quota exceeded"); } };
+    const result = await suggestMetadata(provider, { summary });
+    assert.equal(result.title, "Photosynthesis turns light into chemical energy");
+  });
+
+  it("passes the vocabulary to the prompt", async () => {
+    let prompt;
+    const provider = { generate: async (p) => ((prompt = p), '{"title": "Plants", "tags": ["biology", "botany", "energy"]}') };
+    const result = await suggestMetadata(provider, { summary, vocabulary: ["biology"] });
+    assert.match(prompt, /existing tags where they fit: biology/);
+    assert.deepEqual(result, { title: "Plants", tags: ["biology", "botany", "energy"] });
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import request from "supertest";
+import { app } from "../server.js";
+import { createProvider, setProvider } from "../llm/index.js";
+import { createOpenAIProvider } from "../llm/openai.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+describe("POST /api/summarize", () => {
+  it("summarizes with the local provider", async () => {
+    const res = await request(app)
+      .post("/api/summarize")
+      .send({ note: "First point. Second point! Third point? Fourth point.", length: "short" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.provider, "local");
+    assert.equal(res.body.summary, "First point. Second point! Third point?");
+  });
+
+  it("suggests a title and tags alongside the summary", async () => {
+    const res = await request(app)
+      .post("/api/summarize")
+      .send({ note: "Budget review for the marketing team. Spending grew twenty percent. Marketing wants more budget." });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, "Budget review for the marketing team");
+    assert.ok(res.body.tags.includes("budget") && res.body.tags.includes("marketing"));
+  });
+
+  it("validates length, tone and format", async () => {
+    const res = await request(app).post("/api/summarize").send({ note: "text", tone: "angry" });
+    assert.equal(res.status, 400);
+  });
+
+  it("rejects an empty note", async () => {
+    const res = await request(app).post("/api/summarize").send({ note: "   " });
+    assert.equal(res.status, 400);
+  });
+
+  it("surfaces provider failures", async () => {
+    setProvider({ name: "broken", generate: async () => { throw new Error("quota exceeded"); } });
+    const res = await request(app).post("/api/summarize").send({ note: "text" });
+    setProvider();
+    assert.equal(res.status, 502);
+    assert.equal(res.body.message, "quota exceeded");
+  });
+});
+
+const parseEvents = (text) =>
+  text.trim().split("\n\n").map((block) => {
+    const [eventLine, dataLine] = block.split("\n");
+    return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+  });
+
+describe("summarize stream", () => {
+  it("streams tokens then a done event", async () => {
+    const res = await request(app)
+      .post("/api/summarize/stream")
+      .send({ note: "Alpha beta. Gamma delta." });
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-type"], /text\/event-stream/);
+    const events = parseEvents(res.text);
+    const tokens = events.filter((e) => e.event === "token").map((e) => e.data.text);
+    assert.ok(tokens.length > 1);
+    assert.deepEqual(events.at(-1), { event: "done", data: { summary: tokens.join(""), provider: "local" } });
+  });
+
+  it("sends suggestions before the done event", async () => {
+    const res = await request(app).post("/api/summarize/stream").send({ note: "Quarterly planning notes. Planning starts Monday." });
+    const events = parseEvents(res.text);
+    const suggestions = events.at(-2);
+    assert.equal(suggestions.event, "suggestions");
+    assert.equal(suggestions.data.title, "Quarterly planning notes");
+    assert.equal(suggestions.data.tags[0], "planning");
+  });
+
+  it("reports progress per chunk for long documents", async () => {
+    const note = Array.from({ length: 3 }, (_, i) => `Section ${i}. ${"filler ".repeat(1000)}`).join("\n\n");
+    const reg = await request(app).post("/api/auth/register").send({ email: "long@b.com", password: "secret1" });
+    const res = await request(app).post("/api/summarize/stream").set("Authorization", `Bearer ${reg.body.token}`).send({ note });
+    const events = parseEvents(res.text);
+    const progress = events.filter((e) => e.event === "progress").map((e) => e.data);
+    assert.deepEqual(progress, [1, 2, 3].map((done) => ({ round: 1, done, total: 3 })));
+    assert.equal(events.at(-1).event, "done");
+  });
+
+  it("keeps anonymous callers to notes that fit in one chunk", async () => {
+    const note = Array.from({ length: 3 }, (_, i) => `Section ${i}. ${"filler ".repeat(1000)}`).join("\n\n");
+    const streamed = await request(app).post("/api/summarize/stream").send({ note });
+    assert.equal(streamed.status, 401);
+    assert.match(streamed.body.message, /Sign in to summarize notes longer than 12000 characters/);
+    assert.equal((await request(app).post("/api/summarize").send({ note })).status, 401);
+  });
+
+  it("accepts query parameters over GET", async () => {
+    const res = await request(app).get("/api/summarize/stream").query({ note: "One. Two.", format: "bullets" });
+    assert.equal(res.status, 200);
+    assert.equal(parseEvents(res.text).at(-1).data.summary, "One. Two.");
+  });
+
+  it("reports provider errors as an event", async () => {
+    setProvider({ name: "broken", stream: async function* () { yield "partial "; throw new Error("boom"); } });
+    const res = await request(app).post("/api/summarize/stream").send({ note: "text" });
+    setProvider();
+    const events = parseEvents(res.text);
+    assert.deepEqual(events.map((e) => e.event), ["token", "error"]);
+    assert.equal(events[1].data.message, "boom");
+  });
+
+  it("aborts the provider when the client disconnects", async () => {
+    let aborted;
+    const upstreamAborted = new Promise((resolve) => (aborted = resolve));
+    setProvider({
+      name: "slow",
+      stream: async function* (_prompt, { signal }) {
+        signal.addEventListener("abort", aborted);
+        yield "first ";
+        await new Promise((resolve) => signal.addEventListener("abort", resolve));
+      },
+    });
+    const server = app.listen(0);
+    const { port } = server.address();
+    const controller = new AbortController();
+    const res = await fetch(`http://127.0.0.1:${port}/api/summarize/stream`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ note: "text" }),
+      signal: controller.signal,
+    });
+    const reader = res.body.getReader();
+    await reader.read();
+    controller.abort();
+    await upstreamAborted;
+    setProvider();
+    server.close();
+  });
+});
+
+describe("provider selection", () => {
+  it("defaults to local under test", () => {
+    assert.equal(createProvider({ NODE_ENV: "test" }).name, "local");
+  });
+
+  it("requires a Gemini key", () => {
+    assert.throws(() => createProvider({ LLM_PROVIDER: "gemini" }), /GEMINI_API_KEY/);
+  });
+
+  it("rejects unknown providers", () => {
+    assert.throws(() => createProvider({ LLM_PROVIDER: "nope" }), /Unknown LLM_PROVIDER/);
+  });
+});
+
+describe("openai-compatible provider", () => {
+  let received;
+  const fixture = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      received = { url: req.url, auth: req.headers.authorization, body: JSON.parse(raw) };
+      if (received.body.stream) {
+        res.setHeader("Content-Type", "text/event-stream");
+        const chunk = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+        return res.end(`${chunk("fixture ")}${chunk("summary")}data: [DONE]\n\n`);
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ choices: [{ message: { content: "fixture summary" } }] }));
+    });
+  });
+  after(() => fixture.close());
+
+  it("posts a chat completion and returns the message", async () => {
+    await new Promise((resolve) => fixture.listen(0, "127.0.0.1", resolve));
+    const { port } = fixture.address();
+    const provider = createOpenAIProvider({ apiKey: "k", baseUrl: `http://127.0.0.1:${port}/v1/`, model: "m" });
+    assert.equal(await provider.generate("hello"), "fixture summary");
+    assert.equal(received.url, "/v1/chat/completions");
+    assert.equal(received.auth, "Bearer k");
+    assert.deepEqual(received.body, { model: "m", messages: [{ role: "user", content: "hello" }] });
+  });
+
+  it("streams deltas", async () => {
+    const { port } = fixture.address();
+    const provider = createOpenAIProvider({ baseUrl: `http://127.0.0.1:${port}/v1` });
+    const parts = [];
+    for await (const text of provider.stream("hello")) parts.push(text);
+    assert.deepEqual(parts, ["fixture ", "summary"]);
+    assert.equal(received.body.stream, true);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
@@ -0,0 +1,96 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import Summary from "../models/Summary.js";
+import { normalizeTag, normalizeTags } from "../lib/tags.js";
+import { normalizeAllTags } from "../scripts/normalize-tags.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+describe("tag normalization", () => {
+  it("folds case, whitespace, underscores and leading hashes", () => {
+    assert.equal(normalizeTag("  Machine   Learning "), "machine-learning");
+    assert.equal(normalizeTag("#ML"), "ml");
+    assert.equal(normalizeTag("deep_learning"), "deep-learning");
+    assert.equal(normalizeTag(" - "), "");
+    assert.deepEqual(normalizeTags(["ML", "ml ", "#ml", "", "C++"]), ["ml", "c++"]);
+  });
+});
+
+describe("/api/tags", () => {
+  let auth;
+  const tags = (query = {}) => request(app).get("/api/tags").query(query).set(...auth);
+  const save = (note, list) => request(app).post("/api/summaries").set(...auth).send({ note, summary: note, tags: list });
+
+  it("normalizes tags on save and counts them", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "tags@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    const first = await save("one", ["ML", "ml ", "Machine Learning"]);
+    assert.deepEqual(first.body.tags, ["ml", "machine-learning"]);
+    await save("two", ["machine_learning", "NLP"]);
+    await save("three", ["ml"]);
+
+    const res = await tags();
+    assert.deepEqual(res.body, [
+      { tag: "machine-learning", count: 2 },
+      { tag: "ml", count: 2 },
+      { tag: "nlp", count: 1 },
+    ]);
+    assert.deepEqual((await tags({ q: "M" })).body.map((t) => t.tag), ["machine-learning", "ml"]);
+    assert.deepEqual((await tags({ limit: 1 })).body.length, 1);
+  });
+
+  it("matches list filters regardless of how the tag is typed", async () => {
+    const res = await request(app).get("/api/summaries").query({ tags: "NLP" }).set(...auth);
+    assert.deepEqual(res.body.map((s) => s.note), ["two"]);
+  });
+
+  it("renames a tag across summaries and merges on collision", async () => {
+    const renamed = await request(app).post("/api/tags/rename").set(...auth).send({ from: "nlp", to: "Language" });
+    assert.deepEqual(renamed.body, { tag: "language", updated: 1 });
+
+    const merged = await request(app).post("/api/tags/rename").set(...auth).send({ from: "ml", to: "machine learning" });
+    assert.equal(merged.body.updated, 2);
+    assert.deepEqual((await tags()).body, [
+      { tag: "machine-learning", count: 3 },
+      { tag: "language", count: 1 },
+    ]);
+    const one = await Summary.findOne({ note: "one" });
+    assert.deepEqual([...one.tags], ["machine-learning"]);
+  });
+
+  it("merges several tags into one", async () => {
+    const res = await request(app).post("/api/tags/merge").set(...auth).send({ from: ["language", "machine-learning"], into: "AI" });
+    assert.deepEqual(res.body, { tag: "ai", updated: 3 });
+    assert.deepEqual((await tags()).body, [{ tag: "ai", count: 3 }]);
+    assert.equal((await request(app).post("/api/tags/merge").set(...auth).send({ from: ["ai"], into: "#" })).status, 400);
+  });
+
+  it("draws summarize suggestions from the user's vocabulary", async () => {
+    const res = await request(app).post("/api/summarize").set(...auth).send({ note: "Notes on AI safety. Safety research needs funding." });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.tags[0], "ai");
+  });
+
+  it("saves a title and tracks edits to it", async () => {
+    const saved = await request(app).post("/api/summaries").set(...auth).send({ note: "n", summary: "s", title: "  First title " });
+    assert.equal(saved.body.title, "First title");
+    const edited = await request(app).put(`/api/summaries/${saved.body._id}`).set(...auth).send({ title: "Second title" });
+    assert.equal(edited.body.title, "Second title");
+    const versions = await request(app).get(`/api/summaries/${saved.body._id}/revisions`).set(...auth);
+    assert.deepEqual(versions.body[0].fields, ["title"]);
+    assert.equal(versions.body[1].title, "First title");
+  });
+
+  it("rewrites tags stored before normalization", async () => {
+    const legacy = await Summary.create({ userId: (await Summary.findOne({ note: "one" })).userId, note: "old", summary: "old" });
+    await Summary.collection.updateOne({ _id: legacy._id }, { $set: { tags: ["Legacy Tag", "legacy_tag"] } });
+    assert.equal(await normalizeAllTags({ dryRun: true }), 1);
+    assert.equal(await normalizeAllTags(), 1);
+    assert.deepEqual((await Summary.findById(legacy._id).lean()).tags, ["legacy-tag"]);
+  });
+});
+
+after(async () => { await teardownTestDB(); });
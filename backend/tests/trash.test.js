@@ -0,0 +1,82 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app } from "../server.js";
+import Summary from "../models/Summary.js";
+import { purgeExpired } from "../lib/trash.js";
+import { setupTestDB, teardownTestDB } from "./setup.js";
+
+await setupTestDB();
+
+describe("trash", () => {
+  let auth;
+  const save = async (note) => (await request(app).post("/api/summaries").set(...auth).send({ note, summary: note })).body;
+  const list = async () => (await request(app).get("/api/summaries").set(...auth)).body.map((s) => s.note);
+  const trash = async () => (await request(app).get("/api/summaries/trash").set(...auth)).body;
+
+  it("moves deleted summaries to the trash and restores them", async () => {
+    const reg = await request(app).post("/api/auth/register").send({ email: "t@b.com", password: "secret1" });
+    auth = ["Authorization", `Bearer ${reg.body.token}`];
+    const kept = await save("kept");
+
+    const del = await request(app).delete(`/api/summaries/${kept._id}`).set(...auth);
+    assert.equal(del.status, 200);
+    assert.ok(del.body.purgeAt);
+    assert.deepEqual(await list(), []);
+
+    const binned = await trash();
+    assert.equal(binned.retentionDays, 30);
+    assert.deepEqual(binned.items.map((s) => s.note), ["kept"]);
+    assert.ok(new Date(binned.items[0].purgeAt) > new Date(binned.items[0].deletedAt));
+
+    // Trashed summaries cannot be edited or deleted twice
+    assert.equal((await request(app).put(`/api/summaries/${kept._id}`).set(...auth).send({ summary: "x" })).status, 404);
+    assert.equal((await request(app).delete(`/api/summaries/${kept._id}`).set(...auth)).status, 404);
+
+    const restored = await request(app).post(`/api/summaries/${kept._id}/restore`).set(...auth);
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.deletedAt, undefined);
+    assert.deepEqual(await list(), ["kept"]);
+    assert.equal((await request(app).post(`/api/summaries/${kept._id}/restore`).set(...auth)).status, 404);
+  });
+
+  it("hides trashed summaries behind share links", async () => {
+    const shared = await save("shared");
+    const { body } = await request(app).post(`/api/summaries/${shared._id}/share`).set(...auth).send({});
+    await request(app).delete(`/api/summaries/${shared._id}`).set(...auth);
+    assert.equal((await request(app).get(`/api/s/${body.slug}`)).status, 404);
+    await request(app).post(`/api/summaries/${shared._id}/restore`).set(...auth);
+    assert.equal((await request(app).get(`/api/s/${body.slug}`)).status, 200);
+  });
+
+  it("empties the trash in one go", async () => {
+    for (const note of ["a", "b"]) {
+      const doc = await save(note);
+      await request(app).delete(`/api/summaries/${doc._id}`).set(...auth);
+    }
+    const res = await request(app).delete("/api/summaries/trash").set(...auth);
+    assert.equal(res.body.deleted, 2);
+    assert.deepEqual((await trash()).items, []);
+    assert.equal(await Summary.countDocuments({ note: { $in: ["a", "b"] } }), 0);
+  });
+
+  it("purges summaries past the retention period", async () => {
+    const old = await save("old");
+    const recent = await save("recent");
+    await Summary.updateOne({ _id: old._id }, { $set: { deletedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) } });
+    await Summary.updateOne({ _id: recent._id }, { $set: { deletedAt: new Date() } });
+
+    assert.equal(await purgeExpired(), 1);
+    assert.deepEqual((await trash()).items.map((s) => s.note), ["recent"]);
+
+    process.env.TRASH_RETENTION_DAYS = "0.000001";
+    try {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      assert.equal(await purgeExpired(), 1);
+    } finally {
+      delete process.env.TRASH_RETENTION_DAYS;
+    }
+  });
+});
+
+after(async () => { await teardownTestDB(); });
@@ -1,16 +1,39 @@
 import React, { useEffect, useRef, useState, useCallback } from "react";
-import * as pdfjsLib from "pdfjs-dist";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { summaryAPI, authAPI } from "./api";
-import { jsPDF } from "jspdf";
+import { summaryAPI, authAPI, aiAPI, collectionAPI, ingestAPI } from "./api";
+import { useLocation, useNavigate } from "react-router-dom";
+import * as exporters from "./exporters";
+import { ACCEPT, extractFiles } from "./ingest";
+import AuthModal from "./AuthModal";
+import ShareDialog from "./ShareDialog";
+import EditDialog from "./EditDialog";
+import TrashDialog from "./TrashDialog";
+import LibraryDialog from "./LibraryDialog";
+import ExportMenu from "./ExportMenu";
+import ExportDialog from "./ExportDialog";
+import BulkToolbar from "./BulkToolbar";
+import CollectionNavigator from "./CollectionNavigator";
+import TagInput from "./TagInput";
+import SuggestionReview from "./SuggestionReview";
+import Paraphraser from "./Paraphraser";
+import GrammarChecker from "./GrammarChecker";
+import DocumentChat from "./DocumentChat";
+import Highlight from "./Highlight";
+import HistoryFilters, { EMPTY_FILTERS, filterParams, hasActiveFilters } from "./HistoryFilters";
 import "./index.css";
 
-pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
-  "pdfjs-dist/build/pdf.worker.mjs",
-  import.meta.url
-).toString();
+// The part of a source link worth showing on a card
+const hostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return url;
+  }
+};
+
+// Workspace tools reachable by path; anything else shows the summarizer
+const VIEWS = { "/paraphraser": "paraphraser", "/grammar": "grammar", "/chat": "chat" };
+const VIEW_TITLES = { summarizer: "AI Summarizer", paraphraser: "AI Paraphraser", grammar: "Grammar Checker", chat: "AI Chat" };
 
-const genAI = new GoogleGenerativeAI(import.meta.env.VITE_GEMINI_API_KEY);
 const parseJwt = (token) => {
   try {
     return JSON.parse(atob(token.split(".")[1]));
@@ -24,7 +47,13 @@ function App() {
   const [note, setNote] = useState("");
   const [summary, setSummary] = useState("");
   const [loading, setLoading] = useState(false);
-  const [pdfLoading, setPdfLoading] = useState(false);
+  const [chunkProgress, setChunkProgress] = useState(null);
+  const [ingesting, setIngesting] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [link, setLink] = useState("");
+  const [fetchingLink, setFetchingLink] = useState(false);
+  // The page the note came from: { url, title, siteName }
+  const [source, setSource] = useState(null);
   const [history, setHistory] = useState([]);
   const [historyLoading, setHistoryLoading] = useState(true);
   const [length, setLength] = useState("medium");
@@ -32,23 +61,47 @@ function App() {
   const [paused, setPaused] = useState(false);
   const [showResumeOptions, setShowResumeOptions] = useState(false);
   const [search, setSearch] = useState("");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [facets, setFacets] = useState(null);
   const [toast, setToast] = useState(null);
   const [editingItem, setEditingItem] = useState(null);
+  const [sharingItem, setSharingItem] = useState(null);
+  // The summary whose document is open in the AI Chat view
+  const [chatId, setChatId] = useState(null);
+  const [exportingItem, setExportingItem] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [undoToast, setUndoToast] = useState(null);
+  const [selecting, setSelecting] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [collections, setCollections] = useState([]);
   const [tone, setTone] = useState("neutral");
   const [format, setFormat] = useState("paragraph");
-  const [tagsInput, setTagsInput] = useState("");
-  const [page, setPage] = useState(1);
-  const [hasMore, setHasMore] = useState(true);
+  const [draftTags, setDraftTags] = useState([]);
+  // A finished summary waiting for its title and tags to be reviewed before saving
+  const [pending, setPending] = useState(null);
+  const [draftTitle, setDraftTitle] = useState("");
+  const [suggestedTags, setSuggestedTags] = useState([]);
+  const [savingPending, setSavingPending] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
   const [token, setToken] = useState(localStorage.getItem("token"));
   const payload = token ? parseJwt(token) : null;
   const userEmail = payload?.email;
   const [showAuth, setShowAuth] = useState(false);
   const [authMode, setAuthMode] = useState("login");
-  const [authEmail, setAuthEmail] = useState("");
-  const [authPassword, setAuthPassword] = useState("");
-  const [authLoading, setAuthLoading] = useState(false);
+  const [resetToken, setResetToken] = useState("");
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
   const draftSaveTimer = useRef(null);
+  const handledLinkToken = useRef(null);
   const utteranceRef = useRef(null);
+  const streamAbortRef = useRef(null);
+  const historyRequest = useRef(0);
+  const loadingMore = useRef(false);
+  const historyEndRef = useRef(null);
+  const undoTimer = useRef(null);
 
   useEffect(() => {
     const saved = localStorage.getItem(DRAFT_KEY);
@@ -92,219 +145,376 @@ function App() {
     return true;
   };
 
-  const handleAuthSubmit = async (event) => {
-    event.preventDefault();
-    if (!authEmail || !authPassword) return;
-    setAuthLoading(true);
-    try {
-      const api = authMode === "login" ? authAPI.login : authAPI.register;
-      const res = await api(authEmail, authPassword);
-      if (res?.token) {
-        localStorage.setItem("token", res.token);
-        setToken(res.token);
-        setShowAuth(false);
-        setAuthEmail("");
-        setAuthPassword("");
-      } else {
-        alert(res?.message || "Authentication failed");
-      }
-    } catch (error) {
-      console.error("Auth error", error);
-      alert("Auth error");
-    } finally {
-      setAuthLoading(false);
+  const showNotice = useCallback((message) => {
+    setToast(message);
+    setTimeout(() => setToast(null), 2500);
+  }, []);
+
+  // A toast with an Undo button; a newer one replaces it
+  const showUndo = (message, onUndo) => {
+    clearTimeout(undoTimer.current);
+    setUndoToast({ message, onUndo });
+    undoTimer.current = setTimeout(() => setUndoToast(null), 6000);
+  };
+
+  const runUndo = () => {
+    clearTimeout(undoTimer.current);
+    const pending = undoToast;
+    setUndoToast(null);
+    pending?.onUndo();
+  };
+
+  const handleSignedIn = (res) => {
+    localStorage.setItem("token", res.token);
+    setToken(res.token);
+    setNeedsVerification(res.user?.emailVerified === false);
+    setShowAuth(false);
+    setAuthMode("login");
+  };
+
+  // Mailed links land on #/verify-email?token=... or #/reset-password?token=...
+  useEffect(() => {
+    const linkToken = new URLSearchParams(location.search).get("token");
+    const action = location.pathname.slice(1);
+    if (!linkToken || !["verify-email", "reset-password"].includes(action)) return;
+    // StrictMode runs effects twice; a link token must only be spent once
+    if (handledLinkToken.current === linkToken) return;
+    handledLinkToken.current = linkToken;
+    navigate("/", { replace: true });
+    if (action === "reset-password") {
+      setResetToken(linkToken);
+      setAuthMode("reset");
+      setShowAuth(true);
+      return;
     }
+    authAPI
+      .verifyEmail(linkToken)
+      .then((res) => {
+        if (res.ok) setNeedsVerification(false);
+        showNotice(res.ok ? "Email verified" : res.message || "Verification failed");
+      })
+      .catch(() => showNotice("Verification failed"));
+  }, [location, navigate]);
+
+  const resendVerification = async () => {
+    const res = await authAPI.resendVerification().catch(() => ({ message: "Could not send email" }));
+    if (res.ok || res.message === "Email already verified") setNeedsVerification(false);
+    showNotice(res.ok ? "Verification email sent" : res.message);
   };
 
+  useEffect(() => {
+    const onToken = (event) => setToken(event.detail);
+    window.addEventListener("auth-token", onToken);
+    return () => window.removeEventListener("auth-token", onToken);
+  }, []);
+
   const signOut = () => {
+    authAPI.logout().catch((error) => console.error("Logout failed", error));
     localStorage.removeItem("token");
     setToken(null);
+    setNeedsVerification(false);
+    setHistory([]);
+    setChatId(null);
   };
 
-  const loadHistoryPaged = useCallback(
-    async (pageToLoad = 1, reset = false) => {
+  // Loads the first page when called without a cursor, otherwise appends the page after it
+  const loadHistory = useCallback(
+    async (cursor = "") => {
+      const reset = !cursor;
+      if (!token) {
+        setHistory([]);
+        setFacets(null);
+        setNextCursor(null);
+        setHistoryLoading(false);
+        return;
+      }
+      if (!reset && loadingMore.current) return;
+      // A newer first-page load wins over anything still in flight
+      const requestId = reset ? ++historyRequest.current : historyRequest.current;
+      loadingMore.current = !reset;
       try {
-        const data = await summaryAPI.getAll({ q: search, page: pageToLoad, limit: 10, sort: "-createdAt" });
-        const items = Array.isArray(data) ? data : data.items;
-        setHistory((prev) => (reset ? items : [...prev, ...items]));
-        if (!Array.isArray(data)) {
-          setHasMore(pageToLoad < data.pages);
-          setPage(pageToLoad + 1);
-        } else {
-          setHasMore(false);
-        }
+        // Searches come back ranked by relevance, so only pin the order when browsing
+        const sort = filters.sort || (search.trim() ? undefined : "-createdAt");
+        const data = await summaryAPI.getPage({ ...filterParams(filters), q: search, limit: 10, sort }, cursor);
+        if (requestId !== historyRequest.current) return;
+        if (!data.ok) throw new Error(data.message || "Failed to load history");
+        setHistory((prev) => {
+          if (reset) return data.items;
+          const seen = new Set(prev.map((item) => item._id));
+          return [...prev, ...data.items.filter((item) => !seen.has(item._id))];
+        });
+        if (data.facets) setFacets(data.facets);
+        setNextCursor(data.nextCursor);
       } catch (error) {
         console.error("Failed to load history", error);
-        setHasMore(false);
+        setNextCursor(null);
         setToast("Failed to load history");
         setTimeout(() => setToast(null), 1500);
       } finally {
-        setHistoryLoading(false);
+        if (!reset) loadingMore.current = false;
+        if (requestId === historyRequest.current) setHistoryLoading(false);
       }
     },
-    [search]
+    [search, filters, token]
   );
 
   useEffect(() => {
     setHistoryLoading(true);
-    loadHistoryPaged(1, true);
-  }, [loadHistoryPaged]);
+    loadHistory();
+  }, [loadHistory]);
 
   useEffect(() => {
     const timeout = setTimeout(() => {
       setHistoryLoading(true);
-      loadHistoryPaged(1, true);
+      loadHistory();
     }, 300);
     return () => clearTimeout(timeout);
-  }, [search, loadHistoryPaged]);
+  }, [search, loadHistory]);
 
-  const deriveTags = () =>
-    tagsInput
-      .split(",")
-      .map((tag) => tag.trim())
-      .filter(Boolean);
+  const loadCollections = useCallback(async () => {
+    if (!token) {
+      setCollections([]);
+      return;
+    }
+    try {
+      const tree = await collectionAPI.getAll();
+      setCollections(Array.isArray(tree) ? tree : []);
+    } catch (error) {
+      console.error("Failed to load collections", error);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadCollections();
+  }, [loadCollections]);
+
+  // Infinite scroll: fetch the next page once the end of the list comes into view
+  useEffect(() => {
+    const end = historyEndRef.current;
+    if (!end || !nextCursor) return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadHistory(nextCursor);
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(end);
+    return () => observer.disconnect();
+  }, [nextCursor, historyLoading, loadHistory]);
 
   const handleSummarize = async () => {
     if (note.trim() === "") {
       alert("Please enter some text");
       return;
     }
+    const controller = new AbortController();
+    streamAbortRef.current = controller;
     setLoading(true);
+    setSummary("");
+    setPending(null);
     try {
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-      const prompt = `Summarize the following text in a ${length} length with a ${tone} tone and ${format} format.\n\n${note}`;
-      const result = await model.generateContent(prompt);
-      const response = await result.response.text();
+      const result = await aiAPI.summarizeStream(
+        { note, length, tone, format },
+        {
+          signal: controller.signal,
+          onProgress: setChunkProgress,
+          onToken: (text) => {
+            setChunkProgress(null);
+            setSummary((prev) => prev + text);
+          },
+        }
+      );
+      const response = result.summary;
       setSummary(response);
 
       if (!requireAuth()) return;
-
-      const tags = deriveTags();
-      const tempId = `temp-${Date.now()}`;
-      const tempEntry = {
-        _id: tempId,
-        note,
-        summary: response,
-        tags,
-        starred: false,
-        createdAt: new Date().toISOString(),
-      };
-      setHistory((prev) => [tempEntry, ...prev]);
-
-      try {
-        const saved = await summaryAPI.save(note, response, tags);
-        setHistory((prev) => prev.map((item) => (item._id === tempId ? saved : item)));
-        setToast("Summary saved");
-        setTimeout(() => setToast(null), 1000);
-        setNote("");
-        setSummary(response);
-        setTagsInput("");
-        localStorage.removeItem(DRAFT_KEY);
-      } catch (error) {
-        console.error("Save failed", error);
-        setToast("Save failed");
-        setTimeout(() => setToast(null), 1500);
-      }
+      setPending({ note, summary: response, sourceUrl: source?.url });
+      // An article's own headline beats a suggested one
+      setDraftTitle(source?.title || result.title || "");
+      setSuggestedTags((result.tags || []).filter((tag) => !draftTags.includes(tag)));
     } catch (error) {
+      if (controller.signal.aborted) {
+        setToast("Summarization cancelled");
+        setTimeout(() => setToast(null), 1200);
+        return;
+      }
+      // Notes long enough to need chunking are only summarized for signed-in users
+      if (error.status === 401 && !requireAuth()) return showNotice(error.message);
       console.error("Summarization failed", error);
       setToast("Summarization failed");
       setTimeout(() => setToast(null), 1500);
     } finally {
+      streamAbortRef.current = null;
+      setChunkProgress(null);
       setLoading(false);
     }
   };
 
-  const extractTextFromPDF = async (file) => {
-    const reader = new FileReader();
-    return new Promise((resolve, reject) => {
-      reader.onload = async () => {
-        try {
-          const typedArray = new Uint8Array(reader.result);
-          const pdf = await pdfjsLib.getDocument({ data: typedArray }).promise;
-          let textContent = "";
-          for (let pageIndex = 1; pageIndex <= pdf.numPages; pageIndex += 1) {
-            const pageData = await pdf.getPage(pageIndex);
-            const content = await pageData.getTextContent();
-            textContent += content.items.map((item) => item.str).join(" ") + "\n";
-          }
-          resolve(textContent);
-        } catch (error) {
-          reject(error);
-        }
-      };
-      reader.onerror = reject;
-      reader.readAsArrayBuffer(file);
-    });
+  const acceptSuggestion = (tag) => {
+    setDraftTags((prev) => (prev.includes(tag) ? prev : [...prev, tag].slice(0, 10)));
+    setSuggestedTags((prev) => prev.filter((t) => t !== tag));
+  };
+
+  const acceptAllSuggestions = () => {
+    setDraftTags((prev) => [...new Set([...prev, ...suggestedTags])].slice(0, 10));
+    setSuggestedTags([]);
+  };
+
+  const discardPending = () => {
+    setPending(null);
+    setSuggestedTags([]);
+    setDraftTitle("");
   };
 
-  const handlePDFUpload = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
-    setPdfLoading(true);
+  const savePending = async () => {
+    if (!pending || !requireAuth()) return;
+    const tags = draftTags;
+    const title = draftTitle.trim();
+    const tempId = `temp-${Date.now()}`;
+    const tempEntry = {
+      _id: tempId,
+      title,
+      note: pending.note,
+      summary: pending.summary,
+      tags,
+      sourceUrl: pending.sourceUrl,
+      starred: false,
+      createdAt: new Date().toISOString(),
+    };
+    setHistory((prev) => [tempEntry, ...prev]);
+    setSavingPending(true);
+
     try {
-      const text = await extractTextFromPDF(file);
-      setNote(text);
-      setToast("PDF text extracted");
-      setTimeout(() => setToast(null), 1200);
+      const saved = await summaryAPI.save(pending.note, pending.summary, tags, title, pending.sourceUrl);
+      if (!saved?._id) throw new Error(saved?.message || "Save failed");
+      setHistory((prev) => prev.map((item) => (item._id === tempId ? saved : item)));
+      setToast("Summary saved");
+      setTimeout(() => setToast(null), 1000);
+      setNote("");
+      setSource(null);
+      setDraftTags([]);
+      discardPending();
+      localStorage.removeItem(DRAFT_KEY);
     } catch (error) {
-      console.error("PDF extraction failed", error);
-      alert("Failed to extract text from PDF");
+      console.error("Save failed", error);
+      setHistory((prev) => prev.filter((item) => item._id !== tempId));
+      setToast("Save failed");
+      setTimeout(() => setToast(null), 1500);
     } finally {
-      setPdfLoading(false);
+      setSavingPending(false);
     }
   };
 
-  const download = (blob, filename) => {
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = filename;
-    link.click();
-    URL.revokeObjectURL(url);
+  const cancelSummarize = () => {
+    streamAbortRef.current?.abort();
+  };
+
+  // Read dropped or picked files into the note, after whatever is already there
+  const ingestFiles = async (fileList) => {
+    const files = [...(fileList || [])];
+    if (!files.length || ingesting) return;
+    setIngesting({ name: files[0].name, index: 0, total: files.length });
+    try {
+      const { text, failed } = await extractFiles(files, {
+        onFile: (file) => setIngesting(file),
+        onProgress: ({ done, total, ocr, fraction }) =>
+          setIngesting((current) => current && { ...current, page: done, pages: total, ocr, fraction }),
+      });
+      if (text) setNote((current) => (current.trim() ? `${current.trimEnd()}\n\n${text}` : text));
+      if (failed.length) {
+        showNotice(`Could not read ${failed.map((file) => file.name).join(", ")}`);
+      } else if (text) {
+        showNotice(files.length > 1 ? `Text extracted from ${files.length} files` : "Text extracted");
+      } else {
+        showNotice("No text found in that file");
+      }
+    } finally {
+      setIngesting(null);
+    }
   };
 
-  const exportTxt = () => {
-    const blob = new Blob([summary], { type: "text/plain;charset=utf-8" });
-    download(blob, "summary.txt");
+  // Fetch the article at a link into the note and remember where it came from
+  const handleFetchLink = async (event) => {
+    event.preventDefault();
+    const url = link.trim();
+    if (!url || fetchingLink || !requireAuth()) return;
+    setFetchingLink(true);
+    try {
+      const res = await ingestAPI.url(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+      if (!res.ok) {
+        showNotice(res.message || res.errors?.[0]?.msg || "Could not read that page");
+        return;
+      }
+      setNote((current) => (current.trim() ? `${current.trimEnd()}\n\n${res.text}` : res.text));
+      setSource({ url: res.url, title: res.title, siteName: res.siteName });
+      setLink("");
+      showNotice(`Article text added from ${res.siteName}`);
+    } catch (error) {
+      console.error("Link fetch failed", error);
+      showNotice("Could not read that page");
+    } finally {
+      setFetchingLink(false);
+    }
   };
 
-  const exportMd = () => {
-    const md = `# Summary\n\n## Note\n\n${note}\n\n---\n\n## Summary\n\n${summary}\n`;
-    const blob = new Blob([md], { type: "text/markdown;charset=utf-8" });
-    download(blob, "summary.md");
+  const handleFileInput = (event) => {
+    ingestFiles(event.target.files);
+    // Picking the same file again should still fire a change
+    event.target.value = "";
   };
 
-  const exportPdf = () => {
-    const doc = new jsPDF({ unit: "pt", format: "a4" });
-    const margin = 40;
-    let y = margin;
-    doc.setFontSize(16);
-    doc.text("Summary", margin, y);
-    y += 24;
-    doc.setFontSize(12);
-    const lines = doc.splitTextToSize(summary, 515);
-    lines.forEach((line) => {
-      if (y > 780) {
-        doc.addPage();
-        y = margin;
-      }
-      doc.text(line, margin, y);
-      y += 16;
-    });
-    doc.save("summary.pdf");
+  const dropHandlers = {
+    onDragOver: (event) => {
+      if (!event.dataTransfer.types.includes("Files")) return;
+      event.preventDefault();
+      setDragActive(true);
+    },
+    onDragLeave: (event) => {
+      if (!event.currentTarget.contains(event.relatedTarget)) setDragActive(false);
+    },
+    onDrop: (event) => {
+      if (!event.dataTransfer.files.length) return;
+      event.preventDefault();
+      setDragActive(false);
+      ingestFiles(event.dataTransfer.files);
+    },
   };
 
+  // The summary on screen, shaped like a saved one so every exporter can take it
+  const currentItem = {
+    title: draftTitle,
+    note: pending?.note ?? note,
+    summary,
+    tags: draftTags,
+    createdAt: new Date().toISOString(),
+  };
+  const exportPdf = () => exporters.exportPdf(currentItem);
+
+  // Deleting only moves the summary to the trash, so there is nothing to confirm up front
   const handleDelete = async (id) => {
     if (!requireAuth()) return;
-    if (!confirm("Delete this summary?")) return;
     const backup = history;
+    const index = history.findIndex((item) => item._id === id);
+    const removed = history[index];
     setHistory((prev) => prev.filter((item) => item._id !== id));
+    setSelected((prev) => prev.filter((s) => s !== id));
     try {
       const res = await summaryAPI.delete(id);
-      if (res?.message) {
-        setToast("Deleted");
-        setTimeout(() => setToast(null), 1200);
-      }
+      if (!res?.deletedAt) throw new Error(res?.message || "Delete failed");
+      loadCollections();
+      showUndo("Moved to trash", async () => {
+        const restored = await summaryAPI.restoreFromTrash(id).catch(() => ({ ok: false }));
+        if (!restored.ok) {
+          showNotice("Restore failed");
+          return;
+        }
+        if (!removed) return loadHistory();
+        setHistory((prev) => {
+          const next = prev.filter((entry) => entry._id !== id);
+          next.splice(index, 0, removed);
+          return next;
+        });
+      });
     } catch (error) {
       console.error("Delete failed", error);
       setHistory(backup);
@@ -313,24 +523,64 @@ function App() {
     }
   };
 
+  // Unsaved (temp-) entries have no server id yet, so they cannot take part in bulk actions
+  const selectable = history.filter((item) => !item._id.startsWith("temp-"));
+  const toggleSelected = (id) => setSelected((prev) => (prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]));
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelected([]);
+  };
+
+  const runBulk = async (action, extra) => {
+    if (!requireAuth() || !selected.length) return;
+    setBulkBusy(true);
+    try {
+      const res = await summaryAPI.bulk(selected, action, extra);
+      if (!res.ok) throw new Error(res.message || "Bulk action failed");
+      const done = res.results.filter((result) => result.ok);
+      if (action === "export") {
+        exporters.exportMdBundle(done.map((result) => result.item));
+      } else if (action === "delete") {
+        const gone = done.map((result) => result.id);
+        setHistory((prev) => prev.filter((item) => !gone.includes(item._id)));
+        setSelected([]);
+        showUndo(`Moved ${gone.length} to trash`, async () => {
+          await Promise.all(gone.map((id) => summaryAPI.restoreFromTrash(id))).catch(() => showNotice("Restore failed"));
+          loadHistory();
+        });
+      } else {
+        const updated = new Map(done.map((result) => [result.id, result.item]));
+        setHistory((prev) => prev.map((item) => (updated.has(item._id) ? { ...item, ...updated.get(item._id) } : item)));
+      }
+      loadCollections();
+      if (res.failed) showNotice(`${res.failed} of ${res.results.length} could not be updated`);
+      else if (action !== "delete") showNotice(`Updated ${res.succeeded} ${res.succeeded === 1 ? "summary" : "summaries"}`);
+    } catch (error) {
+      console.error("Bulk action failed", error);
+      showNotice("Bulk action failed");
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
   const openEdit = (item) => {
     setEditingItem({ ...item });
   };
 
-  const saveEdit = async () => {
-    if (!requireAuth() || !editingItem) return;
-    const { _id, note: nextNote, summary: nextSummary, tags, starred } = editingItem;
-    setHistory((prev) => prev.map((item) => (item._id === _id ? { ...item, note: nextNote, summary: nextSummary, tags, starred } : item)));
+  const saveEdit = async (edited) => {
+    if (!requireAuth() || !edited) return;
+    const { _id, title, note: nextNote, summary: nextSummary, tags, starred } = edited;
+    setHistory((prev) => prev.map((item) => (item._id === _id ? { ...item, title, note: nextNote, summary: nextSummary, tags, starred } : item)));
     setEditingItem(null);
     try {
-      await summaryAPI.update(_id, nextNote, nextSummary, tags, starred);
+      await summaryAPI.update(_id, nextNote, nextSummary, tags, starred, title);
       setToast("Updated");
       setTimeout(() => setToast(null), 1200);
     } catch (error) {
       console.error("Update failed", error);
       setToast("Update failed");
       setTimeout(() => setToast(null), 1500);
-      loadHistoryPaged(1, true);
+      loadHistory();
     }
   };
 
@@ -346,19 +596,9 @@ function App() {
     }
   };
 
-  const shareItem = async (item) => {
+  const shareItem = (item) => {
     if (!requireAuth()) return;
-    try {
-      const { slug } = await summaryAPI.share(item._id);
-      const url = `${window.location.origin}/#/s/${slug}`;
-      await navigator.clipboard.writeText(url);
-      setToast("Share link copied");
-      setTimeout(() => setToast(null), 1200);
-    } catch (error) {
-      console.error("Share failed", error);
-      setToast("Share failed");
-      setTimeout(() => setToast(null), 1200);
-    }
+    setSharingItem(item);
   };
 
   const onTextareaKeyDown = (event) => {
@@ -408,11 +648,12 @@ function App() {
 
   const wordCountDisplay = wordCount(note);
 
+  const view = VIEWS[location.pathname] || "summarizer";
   const navItems = [
-    { label: "Paraphraser" },
-    { label: "Summarizer", active: true },
-    { label: "AI Chat" },
-    { label: "Grammar" },
+    { label: "Paraphraser", path: "/paraphraser", active: view === "paraphraser" },
+    { label: "Summarizer", path: "/", active: view === "summarizer" },
+    { label: "AI Chat", path: "/chat", active: view === "chat" },
+    { label: "Grammar", path: "/grammar", active: view === "grammar" },
     { label: "Plagiarism" },
     { label: "Citation" },
   ];
@@ -426,6 +667,7 @@ function App() {
             <button
               key={item.label}
               type="button"
+              onClick={item.path ? () => navigate(item.path) : undefined}
               className={`flex items-center justify-between rounded-xl px-4 py-3 text-sm font-semibold transition ${
                 item.active
                   ? "bg-emerald-500 text-white shadow"
@@ -452,7 +694,7 @@ function App() {
               </div>
               <div>
                 <p className="text-xs font-semibold uppercase tracking-[0.3em] text-emerald-500">Sahban Summaries</p>
-                <p className="text-xl font-semibold text-slate-800">AI Summarizer</p>
+                <p className="text-xl font-semibold text-slate-800">{VIEW_TITLES[view]}</p>
               </div>
             </div>
             <div className="flex items-center gap-3">
@@ -460,6 +702,11 @@ function App() {
                 <>
                   <div className="hidden text-right text-sm sm:block">
                     <p className="font-medium text-slate-700">{userEmail}</p>
+                    {needsVerification && (
+                      <button onClick={resendVerification} type="button" className="mr-3 text-xs font-semibold text-amber-600 underline underline-offset-4">
+                        Resend verification
+                      </button>
+                    )}
                     <button onClick={signOut} type="button" className="text-xs font-semibold text-emerald-600 underline underline-offset-4">
                       Sign out
                     </button>
@@ -486,177 +733,253 @@ function App() {
         </header>
 
         <main className="flex-1 overflow-y-auto">
-          <section className="bg-gradient-to-b from-white to-emerald-50/60">
-            <div className="mx-auto flex max-w-6xl flex-col gap-12 px-6 py-12 lg:flex-row lg:items-center">
-              <div className="flex-1 space-y-4">
-                <h1 className="text-4xl font-semibold text-slate-900 sm:text-5xl">Free AI Summarizer</h1>
-                <p className="text-lg text-slate-600">Condense articles, reports, and study material into clear takeaways instantly. Paste text or upload a PDF, choose your tone, and let the AI deliver key points while preserving context.</p>
-                <div className="grid gap-3 text-sm text-slate-600 sm:grid-cols-2">
-                  <div className="rounded-2xl border border-emerald-100 bg-white p-4 shadow-sm">
-                    <p className="font-semibold text-emerald-600">Instant results</p>
-                    <p className="mt-1 text-slate-500">Gemini Flash condenses long-form content in seconds.</p>
-                  </div>
-                  <div className="rounded-2xl border border-emerald-100 bg-white p-4 shadow-sm">
-                    <p className="font-semibold text-emerald-600">Flexible outputs</p>
-                    <p className="mt-1 text-slate-500">Switch between paragraph and bullet formats anytime.</p>
-                  </div>
-                </div>
-              </div>
-
-              <div className="w-full max-w-xl">
-                <div className="rounded-3xl border border-emerald-100 bg-white p-8 shadow-xl">
-                  <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
-                    <div>
-                      <p className="text-xs font-semibold uppercase tracking-[0.3em] text-emerald-500">Current session</p>
-                      <p className="text-2xl font-semibold text-slate-900">Summarizer</p>
+          {view === "paraphraser" ? (
+            <Paraphraser onRequireAuth={requireAuth} onSaved={(saved) => setHistory((prev) => [saved, ...prev])} onNotice={showNotice} />
+          ) : view === "grammar" ? (
+            <GrammarChecker onRequireAuth={requireAuth} onNotice={showNotice} />
+          ) : view === "chat" ? (
+            <DocumentChat
+              items={history.filter((item) => !item._id.startsWith("temp-"))}
+              selectedId={chatId}
+              onSelect={setChatId}
+              signedIn={Boolean(token)}
+              onSignIn={() => setShowAuth(true)}
+              onNotice={showNotice}
+            />
+          ) : (
+            <section className="bg-gradient-to-b from-white to-emerald-50/60">
+              <div className="mx-auto flex max-w-6xl flex-col gap-12 px-6 py-12 lg:flex-row lg:items-center">
+                <div className="flex-1 space-y-4">
+                  <h1 className="text-4xl font-semibold text-slate-900 sm:text-5xl">Free AI Summarizer</h1>
+                  <p className="text-lg text-slate-600">Condense articles, reports, and study material into clear takeaways instantly. Paste text or upload a PDF, choose your tone, and let the AI deliver key points while preserving context.</p>
+                  <div className="grid gap-3 text-sm text-slate-600 sm:grid-cols-2">
+                    <div className="rounded-2xl border border-emerald-100 bg-white p-4 shadow-sm">
+                      <p className="font-semibold text-emerald-600">Instant results</p>
+                      <p className="mt-1 text-slate-500">Gemini Flash condenses long-form content in seconds.</p>
                     </div>
-                    <div className="rounded-full bg-emerald-100 px-4 py-1 text-sm font-semibold text-emerald-600">
-                      {wordCountDisplay} words
+                    <div className="rounded-2xl border border-emerald-100 bg-white p-4 shadow-sm">
+                      <p className="font-semibold text-emerald-600">Flexible outputs</p>
+                      <p className="mt-1 text-slate-500">Switch between paragraph and bullet formats anytime.</p>
                     </div>
                   </div>
+                </div>
 
-                  <div className="flex flex-wrap gap-3 rounded-2xl bg-emerald-50 px-4 py-3 text-sm text-emerald-700">
-                    <div className="flex items-center gap-2">
-                      <span className="font-semibold">Length</span>
-                      <select
-                        value={length}
-                        onChange={(event) => setLength(event.target.value)}
-                        className="rounded-lg border border-emerald-200 bg-white px-3 py-2 text-sm font-medium text-emerald-700 outline-none transition hover:border-emerald-300"
-                      >
-                        <option value="short">Short</option>
-                        <option value="medium">Medium</option>
-                        <option value="detailed">Detailed</option>
-                      </select>
+                <div className="w-full max-w-xl">
+                  <div className="rounded-3xl border border-emerald-100 bg-white p-8 shadow-xl">
+                    <div className="mb-6 flex flex-wrap items-center justify-between gap-3">
+                      <div>
+                        <p className="text-xs font-semibold uppercase tracking-[0.3em] text-emerald-500">Current session</p>
+                        <p className="text-2xl font-semibold text-slate-900">Summarizer</p>
+                      </div>
+                      <div className="rounded-full bg-emerald-100 px-4 py-1 text-sm font-semibold text-emerald-600">
+                        {wordCountDisplay} words
+                      </div>
                     </div>
-                    <div className="flex items-center gap-2">
-                      <span className="font-semibold">Tone</span>
-                      <select
-                        value={tone}
-                        onChange={(event) => setTone(event.target.value)}
-                        className="rounded-lg border border-emerald-200 bg-white px-3 py-2 text-sm font-medium text-emerald-700 outline-none transition hover:border-emerald-300"
-                      >
-                        <option value="neutral">Neutral</option>
-                        <option value="formal">Formal</option>
-                        <option value="casual">Casual</option>
-                      </select>
+
+                    <div className="flex flex-wrap gap-3 rounded-2xl bg-emerald-50 px-4 py-3 text-sm text-emerald-700">
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold">Length</span>
+                        <select
+                          value={length}
+                          onChange={(event) => setLength(event.target.value)}
+                          className="rounded-lg border border-emerald-200 bg-white px-3 py-2 text-sm font-medium text-emerald-700 outline-none transition hover:border-emerald-300"
+                        >
+                          <option value="short">Short</option>
+                          <option value="medium">Medium</option>
+                          <option value="detailed">Detailed</option>
+                        </select>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold">Tone</span>
+                        <select
+                          value={tone}
+                          onChange={(event) => setTone(event.target.value)}
+                          className="rounded-lg border border-emerald-200 bg-white px-3 py-2 text-sm font-medium text-emerald-700 outline-none transition hover:border-emerald-300"
+                        >
+                          <option value="neutral">Neutral</option>
+                          <option value="formal">Formal</option>
+                          <option value="casual">Casual</option>
+                        </select>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold">Format</span>
+                        <select
+                          value={format}
+                          onChange={(event) => setFormat(event.target.value)}
+                          className="rounded-lg border border-emerald-200 bg-white px-3 py-2 text-sm font-medium text-emerald-700 outline-none transition hover:border-emerald-300"
+                        >
+                          <option value="paragraph">Paragraph</option>
+                          <option value="bullets">Bullets</option>
+                        </select>
+                      </div>
                     </div>
-                    <div className="flex items-center gap-2">
-                      <span className="font-semibold">Format</span>
-                      <select
-                        value={format}
-                        onChange={(event) => setFormat(event.target.value)}
-                        className="rounded-lg border border-emerald-200 bg-white px-3 py-2 text-sm font-medium text-emerald-700 outline-none transition hover:border-emerald-300"
+
+                    <div {...dropHandlers}>
+                      <label
+                        className={`mt-6 block cursor-pointer rounded-2xl border border-dashed px-6 py-6 text-center text-sm text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-100 ${
+                          dragActive ? "border-emerald-400 bg-emerald-100" : "border-emerald-200 bg-emerald-50"
+                        }`}
                       >
-                        <option value="paragraph">Paragraph</option>
-                        <option value="bullets">Bullets</option>
-                      </select>
+                        <input type="file" accept={ACCEPT} multiple onChange={handleFileInput} className="hidden" />
+                        <p className="text-lg font-semibold text-emerald-700">Paste or upload</p>
+                        <p className="mt-1 text-slate-500">Drop PDF, Word, EPUB, HTML, Markdown, text or image files here, or click to browse</p>
+                        {ingesting && (
+                          <p className="mt-3 text-sm font-semibold text-emerald-600">
+                            {ingesting.ocr ? "Reading scanned text from" : "Extracting text from"} {ingesting.name}
+                            {ingesting.total > 1 && ` (${ingesting.index + 1} of ${ingesting.total})`}
+                            {ingesting.pages > 1 && `, page ${Math.min(ingesting.page + (ingesting.ocr ? 1 : 0), ingesting.pages)} of ${ingesting.pages}`}
+                            {ingesting.ocr && ` ${Math.round((ingesting.fraction || 0) * 100)}%`}...
+                          </p>
+                        )}
+                      </label>
+
+                      <textarea
+                        className={`mt-6 h-40 w-full rounded-2xl border px-4 py-3 text-sm text-slate-700 shadow-inner outline-none transition focus:border-emerald-400 focus:bg-white ${
+                          dragActive ? "border-emerald-400 bg-emerald-100" : "border-emerald-200 bg-emerald-50"
+                        }`}
+                        placeholder="Paste your content here and press Summarize"
+                        value={note}
+                        onChange={(event) => {
+                          setNote(event.target.value);
+                          if (!event.target.value.trim()) setSource(null);
+                        }}
+                        onKeyDown={onTextareaKeyDown}
+                      />
                     </div>
-                  </div>
 
-                  <label className="mt-6 block cursor-pointer rounded-2xl border border-dashed border-emerald-200 bg-emerald-50 px-6 py-6 text-center text-sm text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-100">
-                    <input type="file" accept="application/pdf" onChange={handlePDFUpload} className="hidden" />
-                    <p className="text-lg font-semibold text-emerald-700">Paste or upload</p>
-                    <p className="mt-1 text-slate-500">Drop your PDF here or click to browse</p>
-                    {pdfLoading && <p className="mt-3 text-sm font-semibold text-emerald-600">Extracting text...</p>}
-                  </label>
-
-                  <textarea
-                    className="mt-6 h-40 w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-slate-700 shadow-inner outline-none transition focus:border-emerald-400 focus:bg-white"
-                    placeholder="Paste your content here and press Summarize"
-                    value={note}
-                    onChange={(event) => setNote(event.target.value)}
-                    onKeyDown={onTextareaKeyDown}
-                  />
+                    <form onSubmit={handleFetchLink} className="mt-3 flex gap-2">
+                      <input
+                        type="text"
+                        inputMode="url"
+                        value={link}
+                        onChange={(event) => setLink(event.target.value)}
+                        placeholder="Or paste a link to an article"
+                        aria-label="Article link"
+                        className="min-w-0 flex-1 rounded-xl border border-emerald-200 bg-white px-3 py-2 text-sm text-slate-700 outline-none transition focus:border-emerald-400"
+                      />
+                      <button
+                        type="submit"
+                        disabled={fetchingLink || !link.trim()}
+                        className="rounded-xl border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-700 transition hover:border-emerald-300 hover:bg-emerald-50 disabled:cursor-not-allowed disabled:opacity-60"
+                      >
+                        {fetchingLink ? "Fetching..." : "Fetch"}
+                      </button>
+                    </form>
+                    {source && (
+                      <p className="mt-2 flex items-center gap-2 text-xs text-slate-500">
+                        <span>
+                          Source:{" "}
+                          <a href={source.url} target="_blank" rel="noopener noreferrer" className="font-semibold text-emerald-600 underline underline-offset-2">
+                            {source.title || source.siteName}
+                          </a>
+                        </span>
+                        <button type="button" onClick={() => setSource(null)} aria-label="Forget source link" className="text-slate-400 hover:text-slate-600">
+                          &times;
+                        </button>
+                      </p>
+                    )}
 
-                  <div className="mt-4">
-                    <label className="text-sm font-semibold text-emerald-700">Tags</label>
-                    <input
-                      type="text"
-                      value={tagsInput}
-                      onChange={(event) => setTagsInput(event.target.value)}
-                      placeholder="research, finals, client update"
-                      className="mt-2 w-full rounded-2xl border border-emerald-200 bg-white px-4 py-2 text-sm text-slate-700 outline-none transition focus:border-emerald-400"
-                    />
-                  </div>
+                    <div className="mt-4">
+                      <label className="text-sm font-semibold text-emerald-700">Tags</label>
+                      <TagInput value={draftTags} onChange={setDraftTags} placeholder="research, finals, client update" enabled={Boolean(token)} />
+                    </div>
 
-                  <div className="mt-4 flex items-center justify-between text-xs text-slate-500">
-                    <span>Ctrl/Cmd + Enter to summarize</span>
-                    <span className="font-semibold text-emerald-600">Free plan</span>
-                  </div>
+                    <div className="mt-4 flex items-center justify-between text-xs text-slate-500">
+                      <span>Ctrl/Cmd + Enter to summarize</span>
+                      <span className="font-semibold text-emerald-600">Free plan</span>
+                    </div>
 
-                  <div className="mt-6 flex gap-3">
-                    <button
-                      onClick={handleSummarize}
-                      disabled={loading}
-                      className={`flex-1 rounded-xl bg-emerald-500 px-5 py-3 text-sm font-semibold text-white shadow-lg transition hover:bg-emerald-600 ${
-                        loading ? "cursor-not-allowed opacity-70" : ""
-                      }`}
-                    >
-                      {loading ? "Summarizing..." : "Summarize"}
-                    </button>
-                    {summary && (
+                    <div className="mt-6 flex gap-3">
                       <button
-                        type="button"
-                        onClick={() => copyToClipboard(summary)}
-                        className="rounded-xl border border-emerald-200 px-5 py-3 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
+                        onClick={handleSummarize}
+                        disabled={loading}
+                        className={`flex-1 rounded-xl bg-emerald-500 px-5 py-3 text-sm font-semibold text-white shadow-lg transition hover:bg-emerald-600 ${
+                          loading ? "cursor-not-allowed opacity-70" : ""
+                        }`}
                       >
-                        Copy
+                        {chunkProgress
+                          ? `Summarizing part ${chunkProgress.done} of ${chunkProgress.total}...`
+                          : loading
+                            ? "Summarizing..."
+                            : "Summarize"}
                       </button>
-                    )}
-                  </div>
+                      {loading && (
+                        <button
+                          type="button"
+                          onClick={cancelSummarize}
+                          className="rounded-xl border border-rose-200 px-5 py-3 text-sm font-semibold text-rose-600 transition hover:border-rose-300 hover:bg-rose-50"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                      {summary && !loading && (
+                        <button
+                          type="button"
+                          onClick={() => copyToClipboard(summary)}
+                          className="rounded-xl border border-emerald-200 px-5 py-3 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
+                        >
+                          Copy
+                        </button>
+                      )}
+                    </div>
 
-                  {summary && (
-                    <div className="mt-6 space-y-4 rounded-2xl border border-emerald-100 bg-emerald-50/80 p-5">
-                      <div className="flex flex-wrap items-center justify-between gap-3">
-                        <div>
-                          <p className="text-lg font-semibold text-emerald-700">Summary</p>
-                          <p className="text-xs text-slate-500">Listen, edit, or export below</p>
-                        </div>
-                        <div className="flex flex-wrap gap-2">
-                          <button
-                            onClick={handleSpeak}
-                            className={`rounded-full px-4 py-2 text-sm font-semibold text-white transition ${
-                              isSpeaking ? "bg-rose-500 hover:bg-rose-600" : "bg-emerald-500 hover:bg-emerald-600"
-                            }`}
-                          >
-                            {isSpeaking ? "Pause audio" : "Listen"}
-                          </button>
-                          <button onClick={exportPdf} className="rounded-full bg-slate-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-slate-700">
-                            Download PDF
-                          </button>
+                    {summary && (
+                      <div className="mt-6 space-y-4 rounded-2xl border border-emerald-100 bg-emerald-50/80 p-5">
+                        <div className="flex flex-wrap items-center justify-between gap-3">
+                          <div>
+                            <p className="text-lg font-semibold text-emerald-700">Summary</p>
+                            <p className="text-xs text-slate-500">{loading ? "Writing..." : "Listen, edit, or export below"}</p>
+                          </div>
+                          <div className="flex flex-wrap gap-2">
+                            <button
+                              onClick={handleSpeak}
+                              className={`rounded-full px-4 py-2 text-sm font-semibold text-white transition ${
+                                isSpeaking ? "bg-rose-500 hover:bg-rose-600" : "bg-emerald-500 hover:bg-emerald-600"
+                              }`}
+                            >
+                              {isSpeaking ? "Pause audio" : "Listen"}
+                            </button>
+                            <button onClick={exportPdf} className="rounded-full bg-slate-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-slate-700">
+                              Download PDF
+                            </button>
+                          </div>
                         </div>
-                      </div>
 
-                      {showResumeOptions && (
-                        <div className="flex gap-3">
-                          <button onClick={restartSpeech} className="rounded-full bg-emerald-500 px-4 py-2 text-sm font-semibold text-white hover:bg-emerald-600">
-                            Restart
-                          </button>
-                          <button onClick={handleSpeak} className="rounded-full bg-amber-500 px-4 py-2 text-sm font-semibold text-white hover:bg-amber-600">
-                            Continue
-                          </button>
-                        </div>
-                      )}
+                        {showResumeOptions && (
+                          <div className="flex gap-3">
+                            <button onClick={restartSpeech} className="rounded-full bg-emerald-500 px-4 py-2 text-sm font-semibold text-white hover:bg-emerald-600">
+                              Restart
+                            </button>
+                            <button onClick={handleSpeak} className="rounded-full bg-amber-500 px-4 py-2 text-sm font-semibold text-white hover:bg-amber-600">
+                              Continue
+                            </button>
+                          </div>
+                        )}
 
-                      <div className="flex flex-wrap gap-2 text-sm">
-                        <button onClick={exportTxt} className="rounded-full border border-emerald-200 px-3 py-1 text-emerald-600 transition hover:border-emerald-300">
-                          Export TXT
-                        </button>
-                        <button onClick={exportMd} className="rounded-full border border-emerald-200 px-3 py-1 text-emerald-600 transition hover:border-emerald-300">
-                          Export MD
-                        </button>
-                        <button onClick={exportPdf} className="rounded-full border border-emerald-200 px-3 py-1 text-emerald-600 transition hover:border-emerald-300">
-                          Export PDF
-                        </button>
-                      </div>
+                        <ExportMenu item={currentItem} onNotice={showNotice} />
 
-                      <p className="text-sm leading-relaxed text-slate-700">{summary}</p>
-                    </div>
-                  )}
+                        <p className="text-sm leading-relaxed text-slate-700">{summary}</p>
+
+                        {pending && !loading && (
+                          <SuggestionReview
+                            title={draftTitle}
+                            onTitleChange={setDraftTitle}
+                            suggestions={suggestedTags}
+                            onAccept={acceptSuggestion}
+                            onReject={(tag) => setSuggestedTags((prev) => prev.filter((t) => t !== tag))}
+                            onAcceptAll={acceptAllSuggestions}
+                            onSave={savePending}
+                            onDiscard={discardPending}
+                            saving={savingPending}
+                          />
+                        )}
+                      </div>
+                    )}
+                  </div>
                 </div>
               </div>
-            </div>
-          </section>
+            </section>
+          )}
 
           <section className="border-t border-b border-emerald-100 bg-white">
             <div className="mx-auto flex max-w-6xl flex-col gap-8 px-6 py-12 lg:flex-row lg:items-center lg:justify-between">
@@ -678,7 +1001,7 @@ function App() {
             </div>
           </section>
 
-          {history.length > 0 && (
+          {token && (
             <section id="history-section" className="bg-gradient-to-b from-white to-emerald-50/60">
               <div className="mx-auto max-w-6xl px-6 py-12">
                 <div className="flex flex-wrap items-center justify-between gap-4">
@@ -697,95 +1020,203 @@ function App() {
                     <button
                       onClick={() => {
                         setSearch("");
+                        setFilters(EMPTY_FILTERS);
                         setHistoryLoading(true);
-                        loadHistoryPaged(1, true);
+                        loadHistory();
                       }}
                       className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
                     >
                       Reset
                     </button>
+                    <button
+                      onClick={() => (selecting ? stopSelecting() : setSelecting(true))}
+                      className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
+                    >
+                      {selecting ? "Cancel selection" : "Select"}
+                    </button>
+                    <button
+                      onClick={() => setShowTrash(true)}
+                      className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
+                    >
+                      Trash
+                    </button>
+                    <button
+                      onClick={() => setShowLibrary(true)}
+                      className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
+                    >
+                      Import / export
+                    </button>
                   </div>
                 </div>
 
-                <div className="mt-8 rounded-3xl border border-emerald-100 bg-white p-6 shadow">
-                  {historyLoading ? (
-                    <p className="text-center text-sm text-slate-500">Loading your history...</p>
-                  ) : (
-                    <>
-                      <ul className="space-y-4">
-                        {history.map((item) => (
-                          <li key={item._id} className="rounded-2xl border border-emerald-100 p-5 shadow-sm transition hover:border-emerald-300 hover:shadow">
-                            <div className="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between">
-                              <div className="space-y-3">
-                                <div className="flex flex-wrap items-center gap-2 text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">
-                                  <span>Note</span>
-                                  <span className="hidden sm:inline-block">-</span>
-                                  <span className="text-slate-500">{new Date(item.createdAt).toLocaleString()}</span>
-                                </div>
-                                <p className="line-clamp-2 text-sm text-slate-600">{item.note.slice(0, 240)}{item.note.length > 240 ? "..." : ""}</p>
-                                <div className="space-y-1">
-                                  <div className="flex items-center justify-between">
-                                    <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Summary</p>
-                                    <button onClick={() => openEdit(item)} className="text-xs font-semibold text-emerald-600">Edit</button>
+                <HistoryFilters filters={filters} facets={facets} onChange={setFilters} />
+
+                {selecting && (
+                  <BulkToolbar
+                    count={selected.length}
+                    total={selectable.length}
+                    busy={bulkBusy}
+                    collections={collections}
+                    onAction={runBulk}
+                    onSelectAll={() => setSelected(selectable.map((item) => item._id))}
+                    onClear={() => setSelected([])}
+                    onDone={stopSelecting}
+                  />
+                )}
+
+                <div className="mt-8 grid gap-6 lg:grid-cols-[15rem_1fr]">
+                  <CollectionNavigator
+                    collections={collections}
+                    active={filters.collection}
+                    onSelect={(collection) => setFilters((prev) => ({ ...prev, collection }))}
+                    onChanged={loadCollections}
+                    onNotice={showNotice}
+                  />
+                  <div className="min-w-0 rounded-3xl border border-emerald-100 bg-white p-6 shadow">
+                    {historyLoading ? (
+                      <p className="text-center text-sm text-slate-500">Loading your history...</p>
+                    ) : history.length === 0 ? (
+                      <p className="text-center text-sm text-slate-500">
+                        {search.trim() || hasActiveFilters(filters) ? "No summaries match these filters." : "Summaries you save will show up here."}
+                      </p>
+                    ) : (
+                      <>
+                        <ul className="space-y-4">
+                          {history.map((item) => (
+                            <li
+                              key={item._id}
+                              className={`rounded-2xl border p-5 shadow-sm transition hover:border-emerald-300 hover:shadow ${
+                                selected.includes(item._id) ? "border-emerald-400 bg-emerald-50/60" : "border-emerald-100"
+                              }`}
+                            >
+                              <div className="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between">
+                                <div className="space-y-3">
+                                  <div className="flex flex-wrap items-center gap-2 text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">
+                                    {selecting && (
+                                      <input
+                                        type="checkbox"
+                                        aria-label="Select summary"
+                                        checked={selected.includes(item._id)}
+                                        disabled={item._id.startsWith("temp-")}
+                                        onChange={() => toggleSelected(item._id)}
+                                        className="h-4 w-4 accent-emerald-500"
+                                      />
+                                    )}
+                                    {item.kind === "paraphrase" && (
+                                      <span className="rounded-full bg-sky-100 px-2 py-0.5 tracking-normal text-sky-700">Paraphrase</span>
+                                    )}
+                                    <span>{item.title ? "Title" : item.kind === "paraphrase" ? "Original" : "Note"}</span>
+                                    <span className="hidden sm:inline-block">-</span>
+                                    <span className="text-slate-500">{new Date(item.createdAt).toLocaleString()}</span>
+                                    {item.sourceUrl && (
+                                      <>
+                                        <span className="hidden sm:inline-block">-</span>
+                                        <a
+                                          href={item.sourceUrl}
+                                          target="_blank"
+                                          rel="noopener noreferrer"
+                                          className="normal-case tracking-normal text-emerald-600 underline underline-offset-2"
+                                        >
+                                          {hostname(item.sourceUrl)}
+                                        </a>
+                                      </>
+                                    )}
                                   </div>
-                                  <p className="text-sm leading-relaxed text-slate-700">{item.summary}</p>
-                                </div>
-                                {item.tags?.length ? (
-                                  <div className="flex flex-wrap gap-2">
-                                    {item.tags.map((tag) => (
-                                      <span key={tag} className="rounded-full border border-emerald-200 px-3 py-1 text-xs font-semibold text-emerald-600">
-                                        {tag}
-                                      </span>
-                                    ))}
+                                  {item.title ? (
+                                    <h3 className="text-base font-semibold text-slate-900">{item.title}</h3>
+                                  ) : (
+                                    <p className="line-clamp-2 text-sm text-slate-600">
+                                      {item.highlights?.note ? (
+                                        <Highlight text={item.note} highlight={item.highlights.note} />
+                                      ) : (
+                                        <>{item.note.slice(0, 240)}{item.note.length > 240 ? "..." : ""}</>
+                                      )}
+                                    </p>
+                                  )}
+                                  <div className="space-y-1">
+                                    <div className="flex items-center justify-between">
+                                      <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">
+                                        {item.kind === "paraphrase" ? "Paraphrase" : "Summary"}
+                                      </p>
+                                      <button onClick={() => openEdit(item)} className="text-xs font-semibold text-emerald-600">Edit</button>
+                                    </div>
+                                    <p className="text-sm leading-relaxed text-slate-700">
+                                      {item.highlights?.summary ? <Highlight text={item.summary} highlight={item.highlights.summary} /> : item.summary}
+                                    </p>
                                   </div>
-                                ) : null}
-                              </div>
-                              <div className="flex flex-wrap items-center gap-2">
-                                <button
-                                  onClick={() => toggleStar(item)}
-                                  className={`rounded-full px-3 py-1 text-sm font-semibold transition ${
-                                    item.starred
-                                      ? "bg-amber-100 text-amber-600"
-                                      : "border border-emerald-200 text-emerald-600 hover:border-emerald-300"
-                                  }`}
-                                >
-                                  {item.starred ? "Starred" : "Star"}
-                                </button>
-                                <button
-                                  onClick={() => shareItem(item)}
-                                  className="rounded-full border border-emerald-200 px-3 py-1 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300"
-                                >
-                                  Share
-                                </button>
-                                <button
-                                  onClick={() => copyToClipboard(item.summary)}
-                                  className="rounded-full border border-emerald-200 px-3 py-1 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300"
-                                >
-                                  Copy
-                                </button>
-                                <button
-                                  onClick={() => handleDelete(item._id)}
-                                  className="rounded-full bg-rose-500 px-3 py-1 text-sm font-semibold text-white transition hover:bg-rose-600"
-                                >
-                                  Delete
-                                </button>
+                                  {item.tags?.length ? (
+                                    <div className="flex flex-wrap gap-2">
+                                      {item.tags.map((tag) => (
+                                        <span
+                                          key={tag}
+                                          className={`rounded-full border px-3 py-1 text-xs font-semibold ${
+                                            item.highlights?.tags?.includes(tag) ? "border-amber-300 bg-amber-100 text-amber-700" : "border-emerald-200 text-emerald-600"
+                                          }`}
+                                        >
+                                          {tag}
+                                        </span>
+                                      ))}
+                                    </div>
+                                  ) : null}
+                                </div>
+                                <div className="flex flex-wrap items-center gap-2">
+                                  <button
+                                    onClick={() => toggleStar(item)}
+                                    className={`rounded-full px-3 py-1 text-sm font-semibold transition ${
+                                      item.starred
+                                        ? "bg-amber-100 text-amber-600"
+                                        : "border border-emerald-200 text-emerald-600 hover:border-emerald-300"
+                                    }`}
+                                  >
+                                    {item.starred ? "Starred" : "Star"}
+                                  </button>
+                                  <button
+                                    onClick={() => {
+                                      setChatId(item._id);
+                                      navigate("/chat");
+                                    }}
+                                    disabled={item._id.startsWith("temp-")}
+                                    className="rounded-full border border-emerald-200 px-3 py-1 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 disabled:opacity-50"
+                                  >
+                                    Ask
+                                  </button>
+                                  <button
+                                    onClick={() => shareItem(item)}
+                                    className="rounded-full border border-emerald-200 px-3 py-1 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300"
+                                  >
+                                    Share
+                                  </button>
+                                  <button
+                                    onClick={() => setExportingItem(item)}
+                                    className="rounded-full border border-emerald-200 px-3 py-1 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300"
+                                  >
+                                    Export
+                                  </button>
+                                  <button
+                                    onClick={() => copyToClipboard(item.summary)}
+                                    className="rounded-full border border-emerald-200 px-3 py-1 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300"
+                                  >
+                                    Copy
+                                  </button>
+                                  <button
+                                    onClick={() => handleDelete(item._id)}
+                                    className="rounded-full bg-rose-500 px-3 py-1 text-sm font-semibold text-white transition hover:bg-rose-600"
+                                  >
+                                    Delete
+                                  </button>
+                                </div>
                               </div>
-                            </div>
-                          </li>
-                        ))}
-                      </ul>
-                      {hasMore && (
-                        <div className="mt-6 flex justify-center">
-                          <button
-                            onClick={() => loadHistoryPaged(page, false)}
-                            className="rounded-full border border-emerald-200 px-5 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
-                          >
-                            Load more
-                          </button>
-                        </div>
-                      )}
-                    </>
-                  )}
+                            </li>
+                          ))}
+                        </ul>
+                        {nextCursor && (
+                          <div ref={historyEndRef} className="mt-6 flex justify-center">
+                            <p className="text-sm text-slate-500">Loading more...</p>
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </div>
                 </div>
               </div>
             </section>
@@ -806,75 +1237,62 @@ function App() {
         </div>
       )}
 
-      {editingItem && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 px-4">
-          <div className="w-full max-w-2xl space-y-4 rounded-3xl border border-emerald-100 bg-white p-6 shadow-xl">
-            <div className="flex items-center justify-between">
-              <h3 className="text-xl font-semibold text-slate-900">Edit summary</h3>
-              <button onClick={() => setEditingItem(null)} className="text-sm font-semibold text-slate-500">Close</button>
-            </div>
-            <textarea
-              className="h-32 w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-2 text-sm text-slate-700 outline-none transition focus:border-emerald-400"
-              value={editingItem.note}
-              onChange={(event) => setEditingItem({ ...editingItem, note: event.target.value })}
-            />
-            <textarea
-              className="h-32 w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-2 text-sm text-slate-700 outline-none transition focus:border-emerald-400"
-              value={editingItem.summary}
-              onChange={(event) => setEditingItem({ ...editingItem, summary: event.target.value })}
-            />
-            <div className="flex justify-end gap-2">
-              <button onClick={() => setEditingItem(null)} className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50">
-                Cancel
-              </button>
-              <button onClick={saveEdit} className="rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600">
-                Save changes
-              </button>
-            </div>
-          </div>
+      {undoToast && (
+        <div className="fixed bottom-6 right-6 z-50 flex items-center gap-3 rounded-full bg-slate-900 px-4 py-2 text-sm font-semibold text-white shadow-lg">
+          {undoToast.message}
+          <button onClick={runUndo} className="text-emerald-300 underline underline-offset-4 hover:text-emerald-200">
+            Undo
+          </button>
         </div>
       )}
 
+      {showTrash && (
+        <TrashDialog
+          onClose={() => setShowTrash(false)}
+          onRestored={() => {
+            loadHistory();
+            loadCollections();
+          }}
+          onNotice={showNotice}
+        />
+      )}
+
+      {exportingItem && <ExportDialog item={exportingItem} onClose={() => setExportingItem(null)} onNotice={showNotice} />}
+
+      {showLibrary && (
+        <LibraryDialog
+          onClose={() => setShowLibrary(false)}
+          onImported={() => {
+            loadHistory();
+            loadCollections();
+          }}
+          onNotice={showNotice}
+        />
+      )}
+
+      {editingItem && (
+        <EditDialog
+          item={editingItem}
+          onSave={saveEdit}
+          onClose={() => setEditingItem(null)}
+          onRestored={(doc) => setHistory((prev) => prev.map((entry) => (entry._id === doc._id ? { ...entry, ...doc } : entry)))}
+          onNotice={showNotice}
+        />
+      )}
+
+      {sharingItem && <ShareDialog item={sharingItem} onClose={() => setSharingItem(null)} onNotice={showNotice} />}
+
       {showAuth && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 px-4">
-          <form onSubmit={handleAuthSubmit} className="w-full max-w-md space-y-4 rounded-3xl border border-emerald-100 bg-white p-6 shadow-xl">
-            <div className="flex items-center justify-between">
-              <h3 className="text-xl font-semibold text-slate-900">{authMode === "login" ? "Sign in" : "Create account"}</h3>
-              <button
-                type="button"
-                onClick={() => setAuthMode((mode) => (mode === "login" ? "register" : "login"))}
-                className="text-sm font-semibold text-emerald-600"
-              >
-                {authMode === "login" ? "Need an account?" : "Have an account?"}
-              </button>
-            </div>
-            <input
-              type="email"
-              value={authEmail}
-              onChange={(event) => setAuthEmail(event.target.value)}
-              placeholder="Email"
-              className="w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-2 text-sm text-slate-700 outline-none transition focus:border-emerald-400"
-              required
-            />
-            <input
-              type="password"
-              value={authPassword}
-              onChange={(event) => setAuthPassword(event.target.value)}
-              placeholder="Password"
-              minLength={6}
-              className="w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-2 text-sm text-slate-700 outline-none transition focus:border-emerald-400"
-              required
-            />
-            <div className="flex justify-end gap-2">
-              <button type="button" onClick={() => setShowAuth(false)} className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50">
-                Cancel
-              </button>
-              <button type="submit" disabled={authLoading} className="rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600">
-                {authLoading ? "Please wait..." : authMode === "login" ? "Sign in" : "Register"}
-              </button>
-            </div>
-          </form>
-        </div>
+        <AuthModal
+          initialMode={authMode}
+          resetToken={resetToken}
+          onClose={() => {
+            setShowAuth(false);
+            setAuthMode("login");
+          }}
+          onSignedIn={handleSignedIn}
+          onNotice={showNotice}
+        />
       )}
     </div>
   );
@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { authAPI } from "./api";
+
+const TITLES = {
+  login: "Sign in",
+  register: "Create account",
+  forgot: "Reset your password",
+  reset: "Choose a new password",
+};
+
+const SUBMIT_LABELS = {
+  login: "Sign in",
+  register: "Register",
+  forgot: "Send reset link",
+  reset: "Update password",
+};
+
+const inputClass =
+  "w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-2 text-sm text-slate-700 outline-none transition focus:border-emerald-400";
+
+// AuthModal.jsx
+export default function AuthModal({ initialMode = "login", resetToken = "", onClose, onSignedIn, onNotice }) {
+  const [mode, setMode] = useState(initialMode);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const needsEmail = mode !== "reset";
+  const needsPassword = mode !== "forgot";
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if ((needsEmail && !email) || (needsPassword && !password)) return;
+    setLoading(true);
+    try {
+      if (mode === "forgot") {
+        const res = await authAPI.forgotPassword(email);
+        onNotice(res.message || "Check your inbox");
+        if (res.ok) setMode("login");
+      } else if (mode === "reset") {
+        const res = await authAPI.resetPassword(resetToken, password);
+        onNotice(res.ok ? "Password updated, sign in with your new password" : res.message || "Reset failed");
+        if (res.ok) {
+          setPassword("");
+          setMode("login");
+        }
+      } else {
+        const api = mode === "login" ? authAPI.login : authAPI.register;
+        const res = await api(email, password);
+        if (res?.token) {
+          onSignedIn(res);
+          if (mode === "register") onNotice("Check your inbox to confirm your email");
+        } else {
+          alert(res?.message || "Authentication failed");
+        }
+      }
+    } catch (error) {
+      console.error("Auth error", error);
+      alert("Auth error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-md space-y-4 rounded-3xl border border-emerald-100 bg-white p-6 shadow-xl">
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold text-slate-900">{TITLES[mode]}</h3>
+          {mode === "login" || mode === "register" ? (
+            <button
+              type="button"
+              onClick={() => setMode((current) => (current === "login" ? "register" : "login"))}
+              className="text-sm font-semibold text-emerald-600"
+            >
+              {mode === "login" ? "Need an account?" : "Have an account?"}
+            </button>
+          ) : (
+            <button type="button" onClick={() => setMode("login")} className="text-sm font-semibold text-emerald-600">
+              Back to sign in
+            </button>
+          )}
+        </div>
+        {mode === "forgot" && <p className="text-sm text-slate-600">Enter your account email and we will send you a link to choose a new password.</p>}
+        {needsEmail && (
+          <input type="email" value={email} onChange={(event) => setEmail(event.target.value)} placeholder="Email" className={inputClass} required />
+        )}
+        {needsPassword && (
+          <input
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            placeholder={mode === "reset" ? "New password" : "Password"}
+            minLength={6}
+            className={inputClass}
+            required
+          />
+        )}
+        {mode === "login" && (
+          <button type="button" onClick={() => setMode("forgot")} className="text-xs font-semibold text-emerald-600 underline underline-offset-4">
+            Forgot password?
+          </button>
+        )}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50">
+            Cancel
+          </button>
+          <button type="submit" disabled={loading} className="rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600">
+            {loading ? "Please wait..." : SUBMIT_LABELS[mode]}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+AuthModal.propTypes = {
+  initialMode: PropTypes.oneOf(["login", "register", "forgot", "reset"]),
+  resetToken: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  onSignedIn: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
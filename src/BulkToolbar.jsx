@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+
+const buttonClass =
+  "rounded-full border border-emerald-200 px-3 py-1 text-xs font-semibold text-emerald-600 transition hover:border-emerald-300 disabled:opacity-50";
+
+// BulkToolbar.jsx - actions for the summaries picked in select mode
+export default function BulkToolbar({ count, total, busy, collections, onAction, onSelectAll, onClear, onDone }) {
+  const [tagsInput, setTagsInput] = useState("");
+  const [collectionId, setCollectionId] = useState("");
+  const tags = tagsInput.split(",").map((t) => t.trim()).filter(Boolean);
+  const disabled = busy || count === 0;
+
+  const runTags = (action) => {
+    onAction(action, { tags });
+    setTagsInput("");
+  };
+
+  return (
+    <div className="sticky top-4 z-30 mt-6 space-y-3 rounded-3xl border border-emerald-200 bg-white/95 p-4 shadow-lg backdrop-blur">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-semibold text-slate-800">{count} selected</span>
+        <button onClick={count === total ? onClear : onSelectAll} className={buttonClass}>
+          {count === total ? "Clear selection" : `Select all ${total}`}
+        </button>
+        <span className="flex-1" />
+        <button onClick={onDone} className="text-xs font-semibold text-slate-500">
+          Done
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => onAction("star")} disabled={disabled} className={buttonClass}>
+          Star
+        </button>
+        <button onClick={() => onAction("unstar")} disabled={disabled} className={buttonClass}>
+          Unstar
+        </button>
+        <button onClick={() => onAction("export")} disabled={disabled} className={buttonClass}>
+          Export MD
+        </button>
+        <input
+          value={tagsInput}
+          onChange={(event) => setTagsInput(event.target.value)}
+          placeholder="tag, another tag"
+          className="rounded-full border border-emerald-200 px-3 py-1 text-xs text-slate-700 outline-none transition focus:border-emerald-400"
+        />
+        <button onClick={() => runTags("addTags")} disabled={disabled || !tags.length} className={buttonClass}>
+          Add tags
+        </button>
+        <button onClick={() => runTags("removeTags")} disabled={disabled || !tags.length} className={buttonClass}>
+          Remove tags
+        </button>
+        {collections.length > 0 && (
+          <>
+            <select
+              value={collectionId}
+              onChange={(event) => setCollectionId(event.target.value)}
+              className="rounded-full border border-emerald-200 bg-white px-3 py-1 text-xs text-slate-700 outline-none transition focus:border-emerald-400"
+            >
+              <option value="">Collection...</option>
+              {collections.flatMap((collection) => [
+                <option key={collection._id} value={collection._id}>
+                  {collection.name}
+                </option>,
+                ...collection.children.map((child) => (
+                  <option key={child._id} value={child._id}>
+                    {collection.name} / {child.name}
+                  </option>
+                )),
+              ])}
+            </select>
+            <button onClick={() => onAction("addToCollection", { collectionId })} disabled={disabled || !collectionId} className={buttonClass}>
+              Add to collection
+            </button>
+            <button onClick={() => onAction("removeFromCollection", { collectionId })} disabled={disabled || !collectionId} className={buttonClass}>
+              Remove from collection
+            </button>
+          </>
+        )}
+        <button
+          onClick={() => onAction("delete")}
+          disabled={disabled}
+          className="rounded-full bg-rose-500 px-3 py-1 text-xs font-semibold text-white transition hover:bg-rose-600 disabled:opacity-50"
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+BulkToolbar.propTypes = {
+  count: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  busy: PropTypes.bool.isRequired,
+  collections: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      children: PropTypes.arrayOf(PropTypes.shape({ _id: PropTypes.string, name: PropTypes.string })).isRequired,
+    })
+  ).isRequired,
+  onAction: PropTypes.func.isRequired,
+  onSelectAll: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  onDone: PropTypes.func.isRequired,
+};
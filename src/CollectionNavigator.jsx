@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { collectionAPI } from "./api";
+
+const inputClass =
+  "w-full rounded-full border border-emerald-200 px-3 py-1.5 text-xs text-slate-700 outline-none transition focus:border-emerald-400";
+const iconButton = "rounded px-1 text-xs text-slate-400 transition hover:text-emerald-600 disabled:opacity-30";
+
+// CollectionNavigator.jsx - folder tree beside the history list; picking one filters the list
+export default function CollectionNavigator({ collections, active, onSelect, onChanged, onNotice }) {
+  const [newName, setNewName] = useState("");
+  const [addingTo, setAddingTo] = useState(null);
+  const [childName, setChildName] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [renameValue, setRenameValue] = useState("");
+
+  const run = async (action, failure) => {
+    try {
+      const res = await action();
+      if (!res.ok) throw new Error(res.message || failure);
+      onChanged();
+      return res;
+    } catch (error) {
+      console.error(failure, error);
+      onNotice(error.message || failure);
+      return null;
+    }
+  };
+
+  const create = async (event, parentId = null) => {
+    event.preventDefault();
+    const name = (parentId ? childName : newName).trim();
+    if (!name) return;
+    if (await run(() => collectionAPI.create(name, parentId), "Could not create collection")) {
+      if (parentId) {
+        setChildName("");
+        setAddingTo(null);
+      } else {
+        setNewName("");
+      }
+    }
+  };
+
+  const rename = async (event, collection) => {
+    event.preventDefault();
+    const name = renameValue.trim();
+    setRenaming(null);
+    if (name && name !== collection.name) await run(() => collectionAPI.update(collection._id, { name }), "Rename failed");
+  };
+
+  const remove = async (collection) => {
+    if (await run(() => collectionAPI.delete(collection._id), "Delete failed")) {
+      if (active === collection._id || collection.children?.some((child) => child._id === active)) onSelect("");
+      onNotice(`Deleted "${collection.name}"; its summaries were kept`);
+    }
+  };
+
+  const move = (siblings, index, step, parentId) => {
+    const ids = siblings.map((c) => c._id);
+    [ids[index], ids[index + step]] = [ids[index + step], ids[index]];
+    run(() => collectionAPI.reorder(parentId, ids), "Reorder failed");
+  };
+
+  const itemClass = (id) =>
+    `flex-1 truncate rounded-full px-3 py-1.5 text-left text-sm font-semibold transition ${
+      active === id ? "bg-emerald-500 text-white" : "text-slate-700 hover:bg-emerald-50"
+    }`;
+
+  const renderRow = (collection, siblings, index, parentId) => (
+    <div className="group flex items-center gap-1">
+      {renaming === collection._id ? (
+        <form onSubmit={(event) => rename(event, collection)} className="flex-1">
+          <input autoFocus value={renameValue} onChange={(event) => setRenameValue(event.target.value)} onBlur={() => setRenaming(null)} className={inputClass} />
+        </form>
+      ) : (
+        <button onClick={() => onSelect(collection._id)} onDoubleClick={() => { setRenaming(collection._id); setRenameValue(collection.name); }} className={itemClass(collection._id)}>
+          {collection.name}{" "}
+          <span className={active === collection._id ? "text-emerald-100" : "text-slate-400"}>{collection.count}</span>
+        </button>
+      )}
+      <div className="hidden items-center group-hover:flex">
+        <button onClick={() => move(siblings, index, -1, parentId)} disabled={index === 0} aria-label="Move up" className={iconButton}>↑</button>
+        <button onClick={() => move(siblings, index, 1, parentId)} disabled={index === siblings.length - 1} aria-label="Move down" className={iconButton}>↓</button>
+        {!parentId && (
+          <button onClick={() => setAddingTo(addingTo === collection._id ? null : collection._id)} aria-label="Add sub-collection" className={iconButton}>+</button>
+        )}
+        <button onClick={() => { setRenaming(collection._id); setRenameValue(collection.name); }} aria-label="Rename" className={iconButton}>✎</button>
+        <button onClick={() => remove(collection)} aria-label="Delete collection" className={`${iconButton} hover:text-rose-600`}>×</button>
+      </div>
+    </div>
+  );
+
+  return (
+    <nav className="space-y-3 rounded-3xl border border-emerald-100 bg-white p-4 shadow">
+      <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Collections</p>
+      <div className="space-y-1">
+        <button onClick={() => onSelect("")} className={`w-full ${itemClass("")}`}>All summaries</button>
+        <button onClick={() => onSelect("none")} className={`w-full ${itemClass("none")}`}>Not in a collection</button>
+      </div>
+      <ul className="space-y-1">
+        {collections.map((collection, index) => (
+          <li key={collection._id} className="space-y-1">
+            {renderRow(collection, collections, index, null)}
+            {collection.children.length > 0 && (
+              <ul className="ml-4 space-y-1 border-l border-emerald-100 pl-2">
+                {collection.children.map((child, childIndex) => (
+                  <li key={child._id}>{renderRow(child, collection.children, childIndex, collection._id)}</li>
+                ))}
+              </ul>
+            )}
+            {addingTo === collection._id && (
+              <form onSubmit={(event) => create(event, collection._id)} className="ml-4 pl-2">
+                <input autoFocus value={childName} onChange={(event) => setChildName(event.target.value)} placeholder={`New in ${collection.name}`} className={inputClass} />
+              </form>
+            )}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={create}>
+        <input value={newName} onChange={(event) => setNewName(event.target.value)} placeholder="New collection" maxLength={80} className={inputClass} />
+      </form>
+    </nav>
+  );
+}
+
+const collectionShape = {
+  _id: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  count: PropTypes.number,
+};
+
+CollectionNavigator.propTypes = {
+  collections: PropTypes.arrayOf(
+    PropTypes.shape({ ...collectionShape, children: PropTypes.arrayOf(PropTypes.shape(collectionShape)).isRequired })
+  ).isRequired,
+  active: PropTypes.string.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onChanged: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
@@ -0,0 +1,272 @@
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { summaryAPI } from "./api";
+
+const QUESTION_MAX = 1000;
+// Citation markers the answer uses: [2] or [2, 5]
+const MARKER = /(\[\d+(?:\s*[,;]\s*\d+)*\])/;
+
+const itemLabel = (item) => item.title || `${item.note.slice(0, 60)}${item.note.length > 60 ? "..." : ""}`;
+
+// An answer with its [n] markers turned into buttons for the passages it cites
+function Answer({ message, openPassage, onOpenPassage }) {
+  const cited = new Map((message.citations || []).map((citation) => [citation.passage, citation]));
+  const open = cited.get(openPassage);
+  return (
+    <div className="space-y-2">
+      <p className="whitespace-pre-wrap">
+        {message.content.split(MARKER).map((part, index) => {
+          if (!MARKER.test(part)) return <span key={index}>{part}</span>;
+          const numbers = part.match(/\d+/g).map(Number);
+          if (!numbers.some((number) => cited.has(number))) return <span key={index}>{part}</span>;
+          return (
+            <span key={index}>
+              {numbers.map((number) =>
+                cited.has(number) ? (
+                  <button
+                    key={number}
+                    type="button"
+                    onClick={() => onOpenPassage(openPassage === number ? null : number)}
+                    aria-expanded={openPassage === number}
+                    className={`mx-0.5 rounded-full px-1.5 text-xs font-semibold align-super transition ${
+                      openPassage === number ? "bg-emerald-500 text-white" : "bg-emerald-100 text-emerald-700 hover:bg-emerald-200"
+                    }`}
+                  >
+                    {number}
+                  </button>
+                ) : null
+              )}
+            </span>
+          );
+        })}
+      </p>
+      {open && (
+        <blockquote className="max-h-48 overflow-y-auto whitespace-pre-wrap rounded-xl border-l-4 border-emerald-300 bg-white px-3 py-2 text-xs leading-relaxed text-slate-600">
+          <span className="mb-1 block font-semibold uppercase tracking-[0.2em] text-emerald-500">Passage {open.passage}</span>
+          {open.quote}
+        </blockquote>
+      )}
+    </div>
+  );
+}
+
+Answer.propTypes = {
+  message: PropTypes.shape({
+    content: PropTypes.string.isRequired,
+    citations: PropTypes.arrayOf(PropTypes.shape({ passage: PropTypes.number, quote: PropTypes.string })),
+  }).isRequired,
+  openPassage: PropTypes.number,
+  onOpenPassage: PropTypes.func.isRequired,
+};
+
+// DocumentChat.jsx - ask questions about a saved summary's source and get answers that cite it
+export default function DocumentChat({ items, selectedId = null, onSelect, signedIn, onSignIn, onNotice }) {
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [asking, setAsking] = useState(null);
+  const [question, setQuestion] = useState("");
+  // The cited passage on show: { messageId, passage }
+  const [opened, setOpened] = useState(null);
+  const endRef = useRef(null);
+  // Answers for a summary that is no longer selected are dropped
+  const current = useRef(selectedId);
+
+  const item = items.find((entry) => entry._id === selectedId) || null;
+
+  useEffect(() => {
+    current.current = selectedId;
+    setMessages([]);
+    setOpened(null);
+    setAsking(null);
+    if (!selectedId || !signedIn) return;
+    setLoading(true);
+    summaryAPI
+      .chat(selectedId)
+      .then((res) => {
+        if (current.current !== selectedId) return;
+        if (!res.ok) throw new Error(res.message || "Failed to load the conversation");
+        setMessages(res.messages);
+      })
+      .catch((error) => {
+        console.error("Failed to load the conversation", error);
+        onNotice("Failed to load the conversation");
+      })
+      .finally(() => {
+        if (current.current === selectedId) setLoading(false);
+      });
+  }, [selectedId, signedIn, onNotice]);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView?.({ behavior: "smooth", block: "end" });
+  }, [messages, asking]);
+
+  const ask = async () => {
+    const text = question.trim();
+    if (!text || asking || !item) return;
+    const summaryId = item._id;
+    setAsking(text);
+    setQuestion("");
+    try {
+      const res = await summaryAPI.ask(summaryId, text);
+      if (!res.ok) throw new Error(res.message || res.errors?.[0]?.msg || "No answer this time");
+      if (current.current === summaryId) setMessages((prev) => [...prev, res.question, res.answer]);
+    } catch (error) {
+      console.error("Chat failed", error);
+      onNotice(error.message);
+      if (current.current === summaryId) setQuestion(text);
+    } finally {
+      if (current.current === summaryId) setAsking(null);
+    }
+  };
+
+  const clear = async () => {
+    if (!item || !window.confirm("Clear this conversation?")) return;
+    const res = await summaryAPI.clearChat(item._id).catch(() => ({ ok: false }));
+    if (!res.ok) return onNotice("Failed to clear the conversation");
+    setMessages([]);
+    setOpened(null);
+  };
+
+  if (!signedIn) {
+    return (
+      <section className="bg-gradient-to-b from-white to-emerald-50/60">
+        <div className="mx-auto max-w-3xl space-y-4 px-6 py-16 text-center">
+          <h1 className="text-4xl font-semibold text-slate-900">Chat with your documents</h1>
+          <p className="text-lg text-slate-600">Sign in to ask questions about the notes behind your saved summaries.</p>
+          <button type="button" onClick={onSignIn} className="rounded-xl bg-emerald-500 px-6 py-3 text-sm font-semibold text-white shadow transition hover:bg-emerald-600">
+            Sign in
+          </button>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="bg-gradient-to-b from-white to-emerald-50/60">
+      <div className="mx-auto max-w-6xl space-y-8 px-6 py-12">
+        <div className="space-y-3">
+          <h1 className="text-4xl font-semibold text-slate-900 sm:text-5xl">Chat with your documents</h1>
+          <p className="text-lg text-slate-600">
+            Ask what a report said about anything. Answers come from the original note and cite the passages they are drawn from.
+          </p>
+        </div>
+
+        <div className="grid gap-6 lg:grid-cols-[18rem_1fr]">
+          <nav aria-label="Summaries" className="max-h-[36rem] space-y-2 overflow-y-auto rounded-3xl border border-emerald-100 bg-white p-4 shadow">
+            {items.length ? (
+              items.map((entry) => (
+                <button
+                  key={entry._id}
+                  type="button"
+                  onClick={() => onSelect(entry._id)}
+                  aria-current={entry._id === selectedId}
+                  className={`block w-full rounded-xl px-3 py-2 text-left text-sm transition ${
+                    entry._id === selectedId ? "bg-emerald-500 font-semibold text-white" : "text-slate-700 hover:bg-emerald-50"
+                  }`}
+                >
+                  {itemLabel(entry)}
+                </button>
+              ))
+            ) : (
+              <p className="p-2 text-sm text-slate-500">Save a summary to start a conversation about it.</p>
+            )}
+          </nav>
+
+          <div className="flex min-h-[28rem] flex-col rounded-3xl border border-emerald-100 bg-white shadow-xl">
+            {item ? (
+              <>
+                <div className="flex items-start justify-between gap-4 border-b border-emerald-100 p-6">
+                  <div className="min-w-0 space-y-1">
+                    <p className="truncate text-lg font-semibold text-slate-900">{itemLabel(item)}</p>
+                    <p className="line-clamp-2 text-sm text-slate-500">{item.summary}</p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={clear}
+                    disabled={!messages.length || Boolean(asking)}
+                    className="shrink-0 rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:bg-emerald-50 disabled:opacity-50"
+                  >
+                    Clear chat
+                  </button>
+                </div>
+
+                <div className="max-h-[32rem] flex-1 space-y-4 overflow-y-auto p-6 text-sm leading-relaxed">
+                  {loading && <p className="text-center text-slate-500">Loading the conversation...</p>}
+                  {!loading && !messages.length && !asking && (
+                    <p className="text-center text-slate-500">Ask anything about this document, like &ldquo;What did it say about costs?&rdquo;</p>
+                  )}
+                  {messages.map((message) =>
+                    message.role === "user" ? (
+                      <div key={message._id} className="ml-auto max-w-[80%] whitespace-pre-wrap rounded-2xl bg-emerald-500 px-4 py-3 text-white">
+                        {message.content}
+                      </div>
+                    ) : (
+                      <div key={message._id} className="max-w-[85%] rounded-2xl bg-emerald-50 px-4 py-3 text-slate-700">
+                        <Answer
+                          message={message}
+                          openPassage={opened?.messageId === message._id ? opened.passage : null}
+                          onOpenPassage={(passage) => setOpened(passage ? { messageId: message._id, passage } : null)}
+                        />
+                      </div>
+                    )
+                  )}
+                  {asking && (
+                    <>
+                      <div className="ml-auto max-w-[80%] whitespace-pre-wrap rounded-2xl bg-emerald-500/80 px-4 py-3 text-white">{asking}</div>
+                      <div className="max-w-[85%] rounded-2xl bg-emerald-50 px-4 py-3 text-slate-500">Reading the document...</div>
+                    </>
+                  )}
+                  <div ref={endRef} />
+                </div>
+
+                <div className="flex items-end gap-3 border-t border-emerald-100 p-4">
+                  <textarea
+                    rows={2}
+                    value={question}
+                    maxLength={QUESTION_MAX}
+                    onChange={(event) => setQuestion(event.target.value)}
+                    onKeyDown={(event) => {
+                      if (event.key === "Enter" && !event.shiftKey) {
+                        event.preventDefault();
+                        ask();
+                      }
+                    }}
+                    placeholder="Ask a question about this document"
+                    aria-label="Question"
+                    className="flex-1 resize-none rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-slate-700 outline-none transition focus:border-emerald-400 focus:bg-white"
+                  />
+                  <button
+                    type="button"
+                    onClick={ask}
+                    disabled={Boolean(asking) || !question.trim()}
+                    className="rounded-xl bg-emerald-500 px-6 py-3 text-sm font-semibold text-white shadow transition hover:bg-emerald-600 disabled:cursor-not-allowed disabled:opacity-70"
+                  >
+                    {asking ? "Asking..." : "Ask"}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <p className="m-auto p-6 text-center text-sm text-slate-500">Pick a summary to chat about its document.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+DocumentChat.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      title: PropTypes.string,
+      note: PropTypes.string.isRequired,
+      summary: PropTypes.string,
+    })
+  ).isRequired,
+  selectedId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  signedIn: PropTypes.bool.isRequired,
+  onSignIn: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
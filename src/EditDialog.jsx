@@ -0,0 +1,217 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { summaryAPI } from "./api";
+import { diffWords } from "./diff";
+
+const FIELD_LABELS = { title: "Title", summary: "Summary", note: "Note", tags: "Tags" };
+
+const textareaClass =
+  "h-32 w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-2 text-sm text-slate-700 outline-none transition focus:border-emerald-400";
+const selectClass =
+  "rounded-full border border-emerald-200 bg-white px-3 py-1.5 text-xs font-semibold text-emerald-700 outline-none transition focus:border-emerald-400";
+
+const fieldText = (revision, field) => (field === "tags" ? (revision.tags || []).join(", ") : revision[field] || "");
+
+const describe = (revision) => {
+  if (revision.restoredFrom) return `Restored version ${revision.restoredFrom}`;
+  if (!revision.fields.length) return "Original";
+  return `Edited ${revision.fields.map((field) => FIELD_LABELS[field].toLowerCase()).join(", ")}`;
+};
+
+function RevisionHistory({ item, onRestored, onNotice }) {
+  const [revisions, setRevisions] = useState(null);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [field, setField] = useState("summary");
+  const [restoring, setRestoring] = useState(false);
+
+  const load = useCallback(
+    () =>
+      summaryAPI.revisions(item._id).then((list) => {
+        if (!Array.isArray(list)) throw new Error(list.message || "Failed to load history");
+        setRevisions(list);
+        // Default to comparing the previous version with the current one
+        setTo(list[0].version);
+        setFrom(list[Math.min(1, list.length - 1)].version);
+      }),
+    [item._id]
+  );
+
+  useEffect(() => {
+    load().catch((error) => {
+      console.error("Failed to load history", error);
+      onNotice("Failed to load history");
+    });
+  }, [load, onNotice]);
+
+  const parts = useMemo(() => {
+    const before = revisions?.find((revision) => revision.version === from);
+    const after = revisions?.find((revision) => revision.version === to);
+    return before && after ? diffWords(fieldText(before, field), fieldText(after, field)) : [];
+  }, [revisions, from, to, field]);
+
+  const restore = async (version) => {
+    setRestoring(true);
+    try {
+      const { ok, status, message, ...doc } = await summaryAPI.restore(item._id, version);
+      if (!ok) throw new Error(message || `Restore failed (${status})`);
+      onRestored(doc);
+      onNotice(`Restored version ${version}`);
+      await load();
+    } catch (error) {
+      console.error("Restore failed", error);
+      onNotice("Restore failed");
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (!revisions) return <p className="text-sm text-slate-500">Loading history...</p>;
+
+  const current = revisions[0].version;
+  const versionOptions = revisions.map((revision) => (
+    <option key={revision.version} value={revision.version}>
+      v{revision.version}
+      {revision.version === current ? " (current)" : ""}
+    </option>
+  ));
+
+  return (
+    <div className="space-y-4">
+      <ul className="max-h-40 space-y-2 overflow-y-auto">
+        {revisions.map((revision) => (
+          <li key={revision.version} className="flex items-center justify-between gap-3 rounded-2xl border border-emerald-100 px-4 py-2 text-sm">
+            <div>
+              <p className="font-semibold text-slate-800">
+                v{revision.version} - {describe(revision)}
+              </p>
+              <p className="text-xs text-slate-500">{new Date(revision.createdAt).toLocaleString()}</p>
+            </div>
+            {revision.version === current ? (
+              <span className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Current</span>
+            ) : (
+              <button
+                onClick={() => restore(revision.version)}
+                disabled={restoring}
+                className="rounded-full border border-emerald-200 px-3 py-1 text-xs font-semibold text-emerald-600 transition hover:border-emerald-300"
+              >
+                Restore
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs font-semibold text-emerald-700">
+        Compare
+        <select value={from ?? ""} onChange={(event) => setFrom(Number(event.target.value))} className={selectClass}>
+          {versionOptions}
+        </select>
+        with
+        <select value={to ?? ""} onChange={(event) => setTo(Number(event.target.value))} className={selectClass}>
+          {versionOptions}
+        </select>
+        <select value={field} onChange={(event) => setField(event.target.value)} className={selectClass}>
+          {Object.entries(FIELD_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <p className="max-h-64 overflow-y-auto whitespace-pre-wrap rounded-2xl border border-emerald-100 bg-white p-4 text-sm leading-relaxed text-slate-700">
+        {parts.map((part, index) =>
+          part.type === "same" ? (
+            <span key={index}>{part.text}</span>
+          ) : part.type === "added" ? (
+            <ins key={index} className="bg-emerald-100 text-emerald-800 no-underline">
+              {part.text}
+            </ins>
+          ) : (
+            <del key={index} className="bg-rose-100 text-rose-700">
+              {part.text}
+            </del>
+          )
+        )}
+        {from === to && <span className="block text-xs text-slate-400">Pick two different versions to see what changed.</span>}
+      </p>
+    </div>
+  );
+}
+
+RevisionHistory.propTypes = {
+  item: PropTypes.shape({ _id: PropTypes.string.isRequired }).isRequired,
+  onRestored: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
+
+// EditDialog.jsx - edit a saved summary, or browse and restore its earlier versions
+export default function EditDialog({ item, onSave, onClose, onRestored, onNotice }) {
+  const [tab, setTab] = useState("edit");
+  const [draft, setDraft] = useState(item);
+
+  const handleRestored = (doc) => {
+    setDraft((prev) => ({ ...prev, title: doc.title, note: doc.note, summary: doc.summary, tags: doc.tags }));
+    onRestored(doc);
+  };
+
+  const tabClass = (name) =>
+    `rounded-full px-4 py-1.5 text-sm font-semibold transition ${
+      tab === name ? "bg-emerald-500 text-white" : "border border-emerald-200 text-emerald-600 hover:border-emerald-300"
+    }`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 px-4">
+      <div className="w-full max-w-2xl space-y-4 rounded-3xl border border-emerald-100 bg-white p-6 shadow-xl">
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold text-slate-900">Edit summary</h3>
+          <button onClick={onClose} className="text-sm font-semibold text-slate-500">Close</button>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => setTab("edit")} className={tabClass("edit")}>Edit</button>
+          <button onClick={() => setTab("history")} className={tabClass("history")}>History</button>
+        </div>
+
+        {tab === "edit" ? (
+          <>
+            <input
+              type="text"
+              value={draft.title || ""}
+              maxLength={120}
+              onChange={(event) => setDraft({ ...draft, title: event.target.value })}
+              placeholder="Untitled summary"
+              className="w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-2 text-sm font-semibold text-slate-700 outline-none transition focus:border-emerald-400"
+            />
+            <textarea className={textareaClass} value={draft.note} onChange={(event) => setDraft({ ...draft, note: event.target.value })} />
+            <textarea className={textareaClass} value={draft.summary} onChange={(event) => setDraft({ ...draft, summary: event.target.value })} />
+            <div className="flex justify-end gap-2">
+              <button onClick={onClose} className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50">
+                Cancel
+              </button>
+              <button onClick={() => onSave(draft)} className="rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600">
+                Save changes
+              </button>
+            </div>
+          </>
+        ) : (
+          <RevisionHistory item={item} onRestored={handleRestored} onNotice={onNotice} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+EditDialog.propTypes = {
+  item: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    note: PropTypes.string,
+    summary: PropTypes.string,
+    tags: PropTypes.arrayOf(PropTypes.string),
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRestored: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
@@ -0,0 +1,28 @@
+import React from "react";
+import PropTypes from "prop-types";
+import ExportMenu from "./ExportMenu";
+
+// ExportDialog.jsx - export a saved summary from the history list
+export default function ExportDialog({ item, onClose, onNotice }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 px-4">
+      <div className="w-full max-w-lg space-y-4 rounded-3xl border border-emerald-100 bg-white p-6 shadow-xl">
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold text-slate-900">Export summary</h3>
+          <button onClick={onClose} className="text-sm font-semibold text-slate-500">Close</button>
+        </div>
+        <p className="line-clamp-2 text-sm text-slate-600">{item.title || item.summary}</p>
+        <ExportMenu item={item} onNotice={onNotice} />
+      </div>
+    </div>
+  );
+}
+
+ExportDialog.propTypes = {
+  item: PropTypes.shape({
+    title: PropTypes.string,
+    summary: PropTypes.string.isRequired,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import * as exporters from "./exporters";
+
+const FORMATS = [
+  { id: "txt", label: "TXT", run: (item) => exporters.exportTxt(item) },
+  { id: "md", label: "MD", run: exporters.exportMd },
+  { id: "pdf", label: "PDF", run: exporters.exportPdf },
+  { id: "docx", label: "DOCX", run: exporters.exportDocx },
+  { id: "html", label: "HTML", run: exporters.exportHtml },
+];
+
+// ExportMenu.jsx - one row of export buttons for a summary, with the note appendix option
+export default function ExportMenu({ item, onNotice = () => {} }) {
+  const [includeNote, setIncludeNote] = useState(false);
+  const [busy, setBusy] = useState(null);
+
+  const run = async ({ id, label, run: exporter }) => {
+    setBusy(id);
+    try {
+      await exporter(item, { includeNote });
+    } catch (error) {
+      console.error(`${label} export failed`, error);
+      onNotice(`${label} export failed`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      {FORMATS.map((format) => (
+        <button
+          key={format.id}
+          onClick={() => run(format)}
+          disabled={Boolean(busy)}
+          className="rounded-full border border-emerald-200 px-3 py-1 text-emerald-600 transition hover:border-emerald-300"
+        >
+          {busy === format.id ? "Exporting..." : `Export ${format.label}`}
+        </button>
+      ))}
+      {item.note && (
+        <label className="flex items-center gap-2 text-xs text-slate-600">
+          <input type="checkbox" checked={includeNote} onChange={(event) => setIncludeNote(event.target.checked)} className="accent-emerald-500" />
+          Include original note
+        </label>
+      )}
+    </div>
+  );
+}
+
+ExportMenu.propTypes = {
+  item: PropTypes.shape({
+    title: PropTypes.string,
+    note: PropTypes.string,
+    summary: PropTypes.string.isRequired,
+    tags: PropTypes.arrayOf(PropTypes.string),
+    createdAt: PropTypes.string,
+  }).isRequired,
+  onNotice: PropTypes.func,
+};
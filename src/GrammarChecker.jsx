@@ -0,0 +1,274 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { grammarAPI } from "./api";
+
+const TEXT_MAX = 20_000;
+const CATEGORY_STYLES = {
+  spelling: { label: "Spelling", underline: "decoration-rose-500", chip: "bg-rose-100 text-rose-700" },
+  grammar: { label: "Grammar", underline: "decoration-amber-500", chip: "bg-amber-100 text-amber-700" },
+  punctuation: { label: "Punctuation", underline: "decoration-sky-500", chip: "bg-sky-100 text-sky-700" },
+  style: { label: "Style", underline: "decoration-violet-500", chip: "bg-violet-100 text-violet-700" },
+  typography: { label: "Typography", underline: "decoration-slate-400", chip: "bg-slate-100 text-slate-600" },
+};
+const categoryStyle = (category) => CATEGORY_STYLES[category] || CATEGORY_STYLES.grammar;
+
+/**
+ * Put `replacement` in place of `issue` and move the issues after it by the
+ * change in length. Issues never overlap, so the rest stay valid.
+ */
+const applyFix = (text, issues, issue, replacement) => {
+  const end = issue.offset + issue.length;
+  const delta = replacement.length - issue.length;
+  return {
+    text: text.slice(0, issue.offset) + replacement + text.slice(end),
+    issues: issues.filter((other) => other.id !== issue.id).map((other) => (other.offset >= end ? { ...other, offset: other.offset + delta } : other)),
+  };
+};
+
+// A replacement as shown on its button; deleting a stray space has no visible text
+const replacementLabel = (replacement) => (replacement.trim() ? replacement : replacement ? "Single space" : "Remove");
+
+// GrammarChecker.jsx - check text for grammar, spelling and style issues and fix them inline
+export default function GrammarChecker({ onRequireAuth, onNotice }) {
+  const [text, setText] = useState("");
+  const [style, setStyle] = useState(false);
+  const [checking, setChecking] = useState(false);
+  // null while editing; the issues still open once the text has been checked
+  const [issues, setIssues] = useState(null);
+  const [styleChecked, setStyleChecked] = useState(false);
+  const [openId, setOpenId] = useState(null);
+
+  useEffect(() => {
+    if (openId === null) return undefined;
+    const onKey = (event) => {
+      if (event.key === "Escape") setOpenId(null);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [openId]);
+
+  const runCheck = async () => {
+    // The rules are for everyone; style suggestions need an account
+    if (!text.trim() || checking || (style && !onRequireAuth())) return;
+    setChecking(true);
+    setOpenId(null);
+    try {
+      const res = await grammarAPI.check(text, style);
+      if (!res.ok) throw new Error(res.message || "Checking failed");
+      setIssues(res.issues.map((issue, id) => ({ ...issue, id })));
+      setStyleChecked(res.styleChecked);
+      if (style && !res.styleChecked) onNotice("Style suggestions are unavailable right now; showing rule-based checks only");
+    } catch (error) {
+      console.error("Grammar check failed", error);
+      onNotice(error.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const accept = (issue, replacement) => {
+    const next = applyFix(text, issues, issue, replacement);
+    setText(next.text);
+    setIssues(next.issues);
+    setOpenId(null);
+  };
+
+  const ignore = (issue) => {
+    setIssues((current) => current.filter((other) => other.id !== issue.id));
+    setOpenId(null);
+  };
+
+  // Fix from the end of the text backwards so earlier offsets never move
+  const acceptAll = () => {
+    let next = { text, issues };
+    for (const issue of [...issues].reverse()) {
+      if (issue.replacements.length) next = applyFix(next.text, next.issues, issue, issue.replacements[0]);
+    }
+    setText(next.text);
+    setIssues(next.issues);
+    setOpenId(null);
+    onNotice(next.issues.length ? "Fixes applied; the remaining suggestions need your judgement" : "All fixes applied");
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      onNotice("Copied");
+    } catch {
+      onNotice("Copy failed");
+    }
+  };
+
+  const reviewing = issues !== null;
+  const fixable = reviewing ? issues.filter((issue) => issue.replacements.length).length : 0;
+  const counts = reviewing
+    ? Object.entries(issues.reduce((acc, issue) => ({ ...acc, [issue.category]: (acc[issue.category] || 0) + 1 }), {}))
+    : [];
+
+  // The text split into plain runs and underlined issues, in order
+  const segments = [];
+  if (reviewing) {
+    let cursor = 0;
+    for (const issue of issues) {
+      if (issue.offset > cursor) segments.push({ text: text.slice(cursor, issue.offset) });
+      segments.push({ text: text.slice(issue.offset, issue.offset + issue.length), issue });
+      cursor = issue.offset + issue.length;
+    }
+    if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  }
+
+  return (
+    <section className="bg-gradient-to-b from-white to-emerald-50/60">
+      <div className="mx-auto max-w-6xl space-y-8 px-6 py-12">
+        <div className="space-y-3">
+          <h1 className="text-4xl font-semibold text-slate-900 sm:text-5xl">Free Grammar Checker</h1>
+          <p className="text-lg text-slate-600">
+            Catch spelling slips, grammar mistakes, stray punctuation and wordy phrasing. Click an underlined passage to see why it was flagged, then accept or ignore the fix.
+          </p>
+        </div>
+
+        <div className="rounded-3xl border border-emerald-100 bg-white p-8 shadow-xl">
+          {reviewing ? (
+            <>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  {issues.length ? (
+                    <>
+                      <span className="font-semibold text-slate-700">
+                        {issues.length} {issues.length === 1 ? "suggestion" : "suggestions"}
+                      </span>
+                      {counts.map(([category, count]) => (
+                        <span key={category} className={`rounded-full px-3 py-1 text-xs font-semibold ${categoryStyle(category).chip}`}>
+                          {categoryStyle(category).label} {count}
+                        </span>
+                      ))}
+                    </>
+                  ) : (
+                    <span className="font-semibold text-emerald-700">No issues left{styleChecked ? ", including style" : ""}</span>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setIssues(null);
+                      setOpenId(null);
+                    }}
+                    className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
+                  >
+                    Edit text
+                  </button>
+                  <button
+                    type="button"
+                    onClick={copy}
+                    className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
+                  >
+                    Copy
+                  </button>
+                  <button
+                    type="button"
+                    onClick={acceptAll}
+                    disabled={!fixable}
+                    className="rounded-full bg-emerald-500 px-4 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600 disabled:opacity-60"
+                  >
+                    Accept all{fixable ? ` (${fixable})` : ""}
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-6 whitespace-pre-wrap rounded-2xl bg-slate-50 p-4 text-sm leading-loose text-slate-700">
+                {segments.map((segment, index) =>
+                  segment.issue ? (
+                    <span key={`issue-${segment.issue.id}`} className="relative">
+                      <button
+                        type="button"
+                        onClick={() => setOpenId(openId === segment.issue.id ? null : segment.issue.id)}
+                        aria-expanded={openId === segment.issue.id}
+                        title={segment.issue.message}
+                        className={`rounded underline decoration-wavy decoration-2 underline-offset-4 transition hover:bg-emerald-100 ${categoryStyle(segment.issue.category).underline} ${
+                          segment.text.trim() ? "" : "bg-slate-200"
+                        }`}
+                      >
+                        {segment.text}
+                      </button>
+                      {openId === segment.issue.id && (
+                        <span
+                          role="dialog"
+                          aria-label={`${categoryStyle(segment.issue.category).label} suggestion`}
+                          className="absolute left-0 top-full z-20 mt-2 block w-72 space-y-3 whitespace-normal rounded-2xl border border-emerald-100 bg-white p-4 text-left leading-normal shadow-xl"
+                        >
+                          <span className={`inline-block rounded-full px-2 py-0.5 text-xs font-semibold ${categoryStyle(segment.issue.category).chip}`}>
+                            {categoryStyle(segment.issue.category).label}
+                          </span>
+                          <span className="block text-sm text-slate-700">{segment.issue.message}</span>
+                          <span className="flex flex-wrap gap-2">
+                            {segment.issue.replacements.map((replacement) => (
+                              <button
+                                key={replacement}
+                                type="button"
+                                onClick={() => accept(segment.issue, replacement)}
+                                className="rounded-full bg-emerald-500 px-3 py-1 text-xs font-semibold text-white transition hover:bg-emerald-600"
+                              >
+                                {replacementLabel(replacement)}
+                              </button>
+                            ))}
+                            <button
+                              type="button"
+                              onClick={() => ignore(segment.issue)}
+                              className="rounded-full border border-slate-200 px-3 py-1 text-xs font-semibold text-slate-600 transition hover:bg-slate-50"
+                            >
+                              Ignore
+                            </button>
+                          </span>
+                        </span>
+                      )}
+                    </span>
+                  ) : (
+                    <span key={index}>{segment.text}</span>
+                  )
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              <textarea
+                className="h-48 w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-slate-700 shadow-inner outline-none transition focus:border-emerald-400 focus:bg-white"
+                placeholder="Paste or type the text you want to check"
+                value={text}
+                maxLength={TEXT_MAX}
+                onChange={(event) => setText(event.target.value)}
+                onKeyDown={(event) => {
+                  if ((event.ctrlKey || event.metaKey) && event.key === "Enter") runCheck();
+                }}
+              />
+              <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+                <div className="flex flex-wrap items-center gap-4 text-xs text-slate-500">
+                  <span>
+                    {text.length.toLocaleString()} / {TEXT_MAX.toLocaleString()} characters - Ctrl/Cmd + Enter to check
+                  </span>
+                  <label className="flex items-center gap-2 text-sm text-slate-600">
+                    <input type="checkbox" checked={style} onChange={(event) => setStyle(event.target.checked)} className="h-4 w-4 accent-emerald-500" />
+                    Include AI style suggestions
+                  </label>
+                </div>
+                <button
+                  type="button"
+                  onClick={runCheck}
+                  disabled={checking || !text.trim()}
+                  className="rounded-xl bg-emerald-500 px-6 py-3 text-sm font-semibold text-white shadow transition hover:bg-emerald-600 disabled:cursor-not-allowed disabled:opacity-70"
+                >
+                  {checking ? "Checking..." : "Check text"}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+GrammarChecker.propTypes = {
+  onRequireAuth: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
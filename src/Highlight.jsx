@@ -0,0 +1,36 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+// Highlight.jsx - renders a search snippet with its matches wrapped in <mark>
+export default function Highlight({ text, highlight }) {
+  const { snippet, start, matches } = highlight;
+  const parts = [];
+  let cursor = 0;
+  matches.forEach(({ offset, length }) => {
+    if (offset > cursor) parts.push(snippet.slice(cursor, offset));
+    parts.push(
+      <mark key={offset} className="rounded bg-amber-100 px-0.5 text-slate-900">
+        {snippet.slice(offset, offset + length)}
+      </mark>
+    );
+    cursor = offset + length;
+  });
+  if (cursor < snippet.length) parts.push(snippet.slice(cursor));
+
+  return (
+    <>
+      {start > 0 && "..."}
+      {parts}
+      {start + snippet.length < text.length && "..."}
+    </>
+  );
+}
+
+Highlight.propTypes = {
+  text: PropTypes.string.isRequired,
+  highlight: PropTypes.shape({
+    snippet: PropTypes.string.isRequired,
+    start: PropTypes.number.isRequired,
+    matches: PropTypes.arrayOf(PropTypes.shape({ offset: PropTypes.number, length: PropTypes.number })).isRequired,
+  }).isRequired,
+};
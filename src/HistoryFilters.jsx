@@ -0,0 +1,117 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+export const EMPTY_FILTERS = { tags: [], tagMode: "any", starred: "", shared: "", kind: "", from: "", to: "", sort: "", collection: "" };
+
+const SORT_LABELS = { "": "Best match / newest", "-createdAt": "Newest first", createdAt: "Oldest first", "-starred": "Starred first" };
+
+const selectClass =
+  "rounded-full border border-emerald-200 bg-white px-3 py-1.5 text-xs font-semibold text-emerald-700 outline-none transition focus:border-emerald-400";
+
+export const hasActiveFilters = (filters) =>
+  Object.entries(EMPTY_FILTERS).some(([key, empty]) => (key === "tags" ? filters.tags.length > 0 : filters[key] !== empty));
+
+// Query parameters for summaryAPI.getAll; empty values are dropped there
+export const filterParams = (filters) => ({ ...filters, tags: filters.tags.join(","), tagMode: filters.tags.length > 1 ? filters.tagMode : "" });
+
+// HistoryFilters.jsx - filter bar and tag cloud over the history facets
+export default function HistoryFilters({ filters, facets, onChange }) {
+  const set = (key) => (event) => onChange({ ...filters, [key]: event.target.value });
+  const toggleTag = (tag) =>
+    onChange({ ...filters, tags: filters.tags.includes(tag) ? filters.tags.filter((t) => t !== tag) : [...filters.tags, tag] });
+
+  // Keep selected tags visible even when the current results no longer carry them
+  const cloud = [...(facets?.tags ?? [])];
+  filters.tags.forEach((tag) => {
+    if (!cloud.some((t) => t.tag === tag)) cloud.push({ tag, count: 0 });
+  });
+  const maxCount = Math.max(1, ...cloud.map((t) => t.count));
+
+  return (
+    <div className="mt-6 space-y-4 rounded-3xl border border-emerald-100 bg-white/80 p-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={filters.starred} onChange={set("starred")} className={selectClass}>
+          <option value="">All summaries</option>
+          <option value="true">Starred{facets ? ` (${facets.starred})` : ""}</option>
+          <option value="false">Not starred</option>
+        </select>
+        <select value={filters.shared} onChange={set("shared")} className={selectClass}>
+          <option value="">Shared or private</option>
+          <option value="true">Shared{facets ? ` (${facets.shared})` : ""}</option>
+          <option value="false">Private</option>
+        </select>
+        <select value={filters.kind} onChange={set("kind")} className={selectClass}>
+          <option value="">Summaries and paraphrases</option>
+          <option value="summary">Summaries only</option>
+          <option value="paraphrase">Paraphrases only</option>
+        </select>
+        <label className="flex items-center gap-1 text-xs font-semibold text-emerald-700">
+          From
+          <input type="date" value={filters.from} max={filters.to || undefined} onChange={set("from")} className={selectClass} />
+        </label>
+        <label className="flex items-center gap-1 text-xs font-semibold text-emerald-700">
+          To
+          <input type="date" value={filters.to} min={filters.from || undefined} onChange={set("to")} className={selectClass} />
+        </label>
+        <select value={filters.sort} onChange={set("sort")} className={selectClass}>
+          {Object.entries(SORT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {hasActiveFilters(filters) && (
+          <button onClick={() => onChange(EMPTY_FILTERS)} className="text-xs font-semibold text-emerald-600 underline underline-offset-4">
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {cloud.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          {filters.tags.length > 1 && (
+            <select value={filters.tagMode} onChange={set("tagMode")} className={selectClass}>
+              <option value="any">Any selected tag</option>
+              <option value="all">All selected tags</option>
+            </select>
+          )}
+          {cloud.map(({ tag, count }) => {
+            const active = filters.tags.includes(tag);
+            return (
+              <button
+                key={tag}
+                onClick={() => toggleTag(tag)}
+                style={{ fontSize: `${0.75 + (count / maxCount) * 0.25}rem` }}
+                className={`rounded-full border px-3 py-1 font-semibold transition ${
+                  active ? "border-emerald-500 bg-emerald-500 text-white" : "border-emerald-200 text-emerald-600 hover:border-emerald-300"
+                }`}
+              >
+                {tag} <span className={active ? "text-emerald-100" : "text-slate-400"}>{count}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+HistoryFilters.propTypes = {
+  filters: PropTypes.shape({
+    tags: PropTypes.arrayOf(PropTypes.string).isRequired,
+    tagMode: PropTypes.oneOf(["any", "all"]).isRequired,
+    starred: PropTypes.string.isRequired,
+    shared: PropTypes.string.isRequired,
+    kind: PropTypes.string.isRequired,
+    from: PropTypes.string.isRequired,
+    to: PropTypes.string.isRequired,
+    sort: PropTypes.string.isRequired,
+    collection: PropTypes.string.isRequired,
+  }).isRequired,
+  facets: PropTypes.shape({
+    starred: PropTypes.number,
+    shared: PropTypes.number,
+    tags: PropTypes.arrayOf(PropTypes.shape({ tag: PropTypes.string, count: PropTypes.number })),
+  }),
+  onChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { libraryAPI } from "./api";
+import { download } from "./exporters";
+
+const EXPORTS = [
+  { format: "json", label: "JSON", hint: "Full backup, imports back as-is" },
+  { format: "csv", label: "CSV", hint: "Opens in any spreadsheet" },
+  { format: "md-zip", label: "Markdown zip", hint: "One .md file per summary" },
+];
+
+const formatFor = (name) => {
+  const ext = name.split(".").pop().toLowerCase();
+  if (ext === "zip") return "md-zip";
+  if (ext === "md" || ext === "markdown") return "md";
+  return ext === "csv" || ext === "json" ? ext : null;
+};
+
+const rowLabel = ({ row, file }) => (file ? file : `Row ${row}`);
+
+// LibraryDialog.jsx - back up the whole library or bring summaries in from a file
+export default function LibraryDialog({ onClose, onImported, onNotice }) {
+  const [busy, setBusy] = useState(null);
+  const [file, setFile] = useState(null);
+  const [dryRun, setDryRun] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const runExport = async (format) => {
+    setBusy(format);
+    try {
+      const res = await libraryAPI.export(format);
+      if (!res.ok) throw new Error(res.message || `Export failed (${res.status})`);
+      download(res.blob, res.filename);
+    } catch (error) {
+      console.error("Export failed", error);
+      onNotice("Export failed");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const runImport = async (event) => {
+    event.preventDefault();
+    const format = file && formatFor(file.name);
+    if (!format) {
+      onNotice("Pick a .json, .csv, .zip or .md file");
+      return;
+    }
+    setBusy("import");
+    setResult(null);
+    try {
+      const res = await libraryAPI.import(file, format, dryRun);
+      if (!res.ok) throw new Error(res.message || `Import failed (${res.status})`);
+      setResult(res);
+      if (!res.dryRun && res.imported) onImported();
+    } catch (error) {
+      console.error("Import failed", error);
+      onNotice(error.message || "Import failed");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 px-4">
+      <div className="w-full max-w-2xl space-y-5 rounded-3xl border border-emerald-100 bg-white p-6 shadow-xl">
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold text-slate-900">Import and export</h3>
+          <button onClick={onClose} className="text-sm font-semibold text-slate-500">Close</button>
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Export your library</p>
+          <div className="grid gap-2 sm:grid-cols-3">
+            {EXPORTS.map(({ format, label, hint }) => (
+              <button
+                key={format}
+                onClick={() => runExport(format)}
+                disabled={Boolean(busy)}
+                className="rounded-2xl border border-emerald-200 px-4 py-3 text-left transition hover:border-emerald-300 hover:bg-emerald-50"
+              >
+                <span className="block text-sm font-semibold text-emerald-700">{busy === format ? "Preparing..." : label}</span>
+                <span className="block text-xs text-slate-500">{hint}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <form onSubmit={runImport} className="space-y-3">
+          <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Import</p>
+          <p className="text-sm text-slate-600">
+            Upload one of our exports, a CSV with note and summary columns, or Markdown notes (a single file or a zip). Summaries you already have are skipped.
+          </p>
+          <input
+            type="file"
+            accept=".json,.csv,.zip,.md,.markdown"
+            onChange={(event) => {
+              setFile(event.target.files[0] || null);
+              setResult(null);
+            }}
+            className="block w-full text-sm text-slate-600 file:mr-3 file:rounded-full file:border-0 file:bg-emerald-100 file:px-4 file:py-2 file:text-sm file:font-semibold file:text-emerald-700"
+          />
+          <div className="flex items-center justify-between gap-3">
+            <label className="flex items-center gap-2 text-sm text-slate-700">
+              <input type="checkbox" checked={dryRun} onChange={(event) => setDryRun(event.target.checked)} className="accent-emerald-500" />
+              Check the file without importing
+            </label>
+            <button type="submit" disabled={!file || Boolean(busy)} className="rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600 disabled:opacity-50">
+              {busy === "import" ? "Importing..." : dryRun ? "Check file" : "Import"}
+            </button>
+          </div>
+        </form>
+
+        {result && (
+          <div className="space-y-2 rounded-2xl bg-emerald-50 p-4 text-sm text-slate-700">
+            <p className="font-semibold">
+              {result.dryRun ? `${result.imported} of ${result.total} would be imported` : `Imported ${result.imported} of ${result.total}`}
+              {result.duplicates.length ? `, ${result.duplicates.length} already in your library` : ""}
+              {result.errors.length ? `, ${result.errors.length} with problems` : ""}
+            </p>
+            {result.errors.length > 0 && (
+              <ul className="max-h-48 space-y-1 overflow-y-auto text-xs text-rose-700">
+                {result.errors.map((error) => (
+                  <li key={`${error.row}-${error.file || ""}`}>
+                    <span className="font-semibold">{rowLabel(error)}:</span> {error.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+LibraryDialog.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onImported: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
@@ -0,0 +1,27 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Link } from "react-router-dom";
+
+// NotFound.jsx
+export default function NotFound({ title = "Page not found", message = "There is nothing at this address." }) {
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gradient-to-br from-emerald-50 via-white to-sky-50 px-6 text-slate-800">
+      <div className="w-full max-w-md rounded-3xl border border-emerald-100 bg-white p-8 text-center shadow-xl">
+        <p className="text-xs font-semibold uppercase tracking-[0.3em] text-emerald-500">404</p>
+        <h1 className="mt-2 text-2xl font-semibold text-slate-900">{title}</h1>
+        <p className="mt-3 text-sm text-slate-600">{message}</p>
+        <Link
+          to="/"
+          className="mt-6 inline-block rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-emerald-600"
+        >
+          Open the summarizer
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+NotFound.propTypes = {
+  title: PropTypes.string,
+  message: PropTypes.string,
+};
@@ -0,0 +1,269 @@
+import React, { useMemo, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { paraphraseAPI, summaryAPI } from "./api";
+import { diffWords } from "./diff";
+
+const MODES = [
+  { value: "standard", label: "Standard", hint: "Reworded, same meaning and tone" },
+  { value: "fluent", label: "Fluent", hint: "Smooths awkward phrasing" },
+  { value: "formal", label: "Formal", hint: "Professional register" },
+  { value: "simple", label: "Simple", hint: "Plain words, short sentences" },
+  { value: "creative", label: "Creative", hint: "Fresh, vivid wording" },
+];
+const TEXT_MAX = 20_000;
+
+// A clicked word without the punctuation around it, and where that core starts
+const wordCore = (token) => {
+  const match = token.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+  return { lead: match[1].length, core: match[2] };
+};
+
+// The sentence around `offset`, so synonyms fit how the word is used
+const sentenceAt = (text, offset) => {
+  const start = Math.max(
+    0,
+    ...[". ", "! ", "? ", "\n"].map((end) => {
+      const index = text.lastIndexOf(end, offset - 1);
+      return index < 0 ? 0 : index + end.length;
+    })
+  );
+  const next = text.slice(offset).search(/[.!?](\s|$)|\n/);
+  return text.slice(start, next < 0 ? text.length : offset + next + 1).trim();
+};
+
+// Paraphraser.jsx - rewrite text in a chosen mode and compare it with the original
+export default function Paraphraser({ onRequireAuth, onSaved, onNotice }) {
+  const [text, setText] = useState("");
+  const [mode, setMode] = useState("standard");
+  const [original, setOriginal] = useState("");
+  const [result, setResult] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // The word being swapped: { offset, word, options, loading }
+  const [picked, setPicked] = useState(null);
+  const synonymRequest = useRef(0);
+
+  const parts = useMemo(() => (result ? diffWords(original, result) : []), [original, result]);
+
+  const runParaphrase = async () => {
+    const input = text.trim();
+    if (!input || loading || !onRequireAuth()) return;
+    setLoading(true);
+    setPicked(null);
+    try {
+      const res = await paraphraseAPI.paraphrase(input, mode);
+      if (!res.ok) throw new Error(res.message || "Paraphrasing failed");
+      setOriginal(input);
+      setResult(res.paraphrase);
+    } catch (error) {
+      console.error("Paraphrasing failed", error);
+      onNotice(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pickWord = async (offset, token) => {
+    const { lead, core } = wordCore(token);
+    if (!core) return;
+    const start = offset + lead;
+    const request = ++synonymRequest.current;
+    setPicked({ offset: start, word: core, options: [], loading: true });
+    const res = await paraphraseAPI.synonyms(core, sentenceAt(result, start)).catch(() => ({ ok: false }));
+    // A later click wins over a slow earlier lookup
+    if (request !== synonymRequest.current) return;
+    setPicked({ offset: start, word: core, options: res.ok ? res.synonyms : [], loading: false });
+  };
+
+  const swapWord = (synonym) => {
+    const { offset, word } = picked;
+    setResult((current) => current.slice(0, offset) + synonym + current.slice(offset + word.length));
+    setPicked(null);
+  };
+
+  const save = async () => {
+    if (!result || !onRequireAuth()) return;
+    setSaving(true);
+    try {
+      const saved = await summaryAPI.save(original, result, [], "", undefined, "paraphrase");
+      if (!saved?._id) throw new Error(saved?.message || "Save failed");
+      onSaved(saved);
+      onNotice("Paraphrase saved");
+    } catch (error) {
+      console.error("Save failed", error);
+      onNotice("Save failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(result);
+      onNotice("Copied");
+    } catch {
+      onNotice("Copy failed");
+    }
+  };
+
+  // Output words are clickable; offsets track where each token sits in `result`
+  let outputOffset = 0;
+  const outputTokens = parts
+    .filter((part) => part.type !== "removed")
+    .flatMap((part) =>
+      (part.text.match(/\s+|[^\s]+/g) || []).map((token) => {
+        const offset = outputOffset;
+        outputOffset += token.length;
+        return { token, offset, added: part.type === "added" };
+      })
+    );
+
+  return (
+    <section className="bg-gradient-to-b from-white to-emerald-50/60">
+      <div className="mx-auto max-w-6xl space-y-8 px-6 py-12">
+        <div className="space-y-3">
+          <h1 className="text-4xl font-semibold text-slate-900 sm:text-5xl">Free AI Paraphraser</h1>
+          <p className="text-lg text-slate-600">
+            Reword sentences, paragraphs, and essays in the voice you need. Compare the rewrite with your original and click any word for alternatives.
+          </p>
+        </div>
+
+        <div className="rounded-3xl border border-emerald-100 bg-white p-8 shadow-xl">
+          <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Paraphrasing mode">
+            {MODES.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                role="radio"
+                aria-checked={mode === option.value}
+                title={option.hint}
+                onClick={() => setMode(option.value)}
+                className={`rounded-full px-4 py-2 text-sm font-semibold transition ${
+                  mode === option.value ? "bg-emerald-500 text-white shadow" : "border border-emerald-200 text-emerald-700 hover:bg-emerald-50"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <textarea
+            className="mt-6 h-40 w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-slate-700 shadow-inner outline-none transition focus:border-emerald-400 focus:bg-white"
+            placeholder="Paste the text you want to reword"
+            value={text}
+            maxLength={TEXT_MAX}
+            onChange={(event) => setText(event.target.value)}
+            onKeyDown={(event) => {
+              if ((event.ctrlKey || event.metaKey) && event.key === "Enter") runParaphrase();
+            }}
+          />
+          <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+            <span className="text-xs text-slate-500">
+              {text.length.toLocaleString()} / {TEXT_MAX.toLocaleString()} characters - Ctrl/Cmd + Enter to paraphrase
+            </span>
+            <button
+              type="button"
+              onClick={runParaphrase}
+              disabled={loading || !text.trim()}
+              className="rounded-xl bg-emerald-500 px-6 py-3 text-sm font-semibold text-white shadow transition hover:bg-emerald-600 disabled:cursor-not-allowed disabled:opacity-70"
+            >
+              {loading ? "Paraphrasing..." : "Paraphrase"}
+            </button>
+          </div>
+        </div>
+
+        {result && (
+          <div className="space-y-4 rounded-3xl border border-emerald-100 bg-white p-8 shadow-xl">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <p className="text-lg font-semibold text-emerald-700">Compare</p>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={copy}
+                  className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
+                >
+                  Copy
+                </button>
+                <button
+                  type="button"
+                  onClick={save}
+                  disabled={saving}
+                  className="rounded-full bg-emerald-500 px-4 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600 disabled:opacity-60"
+                >
+                  {saving ? "Saving..." : "Save to history"}
+                </button>
+              </div>
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <div>
+                <p className="mb-2 text-xs font-semibold uppercase tracking-[0.2em] text-slate-500">Original</p>
+                <p className="whitespace-pre-wrap rounded-2xl bg-slate-50 p-4 text-sm leading-relaxed text-slate-700">
+                  {parts
+                    .filter((part) => part.type !== "added")
+                    .map((part, index) =>
+                      part.type === "removed" ? (
+                        <del key={index} className="bg-rose-100 text-rose-700">
+                          {part.text}
+                        </del>
+                      ) : (
+                        <span key={index}>{part.text}</span>
+                      )
+                    )}
+                </p>
+              </div>
+              <div>
+                <p className="mb-2 text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Paraphrase</p>
+                <p className="whitespace-pre-wrap rounded-2xl bg-emerald-50/80 p-4 text-sm leading-relaxed text-slate-700">
+                  {outputTokens.map(({ token, offset, added }) =>
+                    /^\s+$/.test(token) ? (
+                      token
+                    ) : (
+                      <button
+                        key={offset}
+                        type="button"
+                        onClick={() => pickWord(offset, token)}
+                        className={`rounded px-0.5 text-left transition hover:bg-emerald-200 ${added ? "bg-emerald-100 text-emerald-800" : ""} ${
+                          picked?.offset >= offset && picked?.offset < offset + token.length ? "ring-2 ring-emerald-400" : ""
+                        }`}
+                      >
+                        {token}
+                      </button>
+                    )
+                  )}
+                </p>
+              </div>
+            </div>
+
+            {picked && (
+              <div className="flex flex-wrap items-center gap-2 rounded-2xl border border-emerald-200 bg-white p-4 text-sm">
+                <span className="font-semibold text-emerald-700">Alternatives for &ldquo;{picked.word}&rdquo;:</span>
+                {picked.loading && <span className="text-slate-500">Looking up synonyms...</span>}
+                {!picked.loading && !picked.options.length && <span className="text-slate-500">No alternatives found</span>}
+                {picked.options.map((option) => (
+                  <button
+                    key={option}
+                    type="button"
+                    onClick={() => swapWord(option)}
+                    className="rounded-full border border-emerald-200 px-3 py-1 text-xs font-semibold text-emerald-700 transition hover:bg-emerald-50"
+                  >
+                    {option}
+                  </button>
+                ))}
+                <button type="button" onClick={() => setPicked(null)} aria-label="Close alternatives" className="ml-auto text-slate-400 hover:text-slate-600">
+                  &times;
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+Paraphraser.propTypes = {
+  onRequireAuth: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
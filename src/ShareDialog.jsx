@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { summaryAPI } from "./api";
+
+const FIELD_LABELS = { note: "Original note", tags: "Tags", createdAt: "Date" };
+
+const shareUrl = (slug) => `${window.location.origin}${window.location.pathname}#/s/${slug}`;
+// Expiry is picked as a day; the link stays valid until the end of it
+const toExpiry = (day) => (day ? new Date(`${day}T23:59:59`).toISOString() : null);
+const toDay = (iso) => (iso ? new Date(iso).toLocaleDateString("en-CA") : "");
+
+// ShareDialog.jsx
+export default function ShareDialog({ item, onClose, onNotice }) {
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [expiry, setExpiry] = useState("");
+  const [password, setPassword] = useState("");
+  const [fields, setFields] = useState(Object.keys(FIELD_LABELS));
+
+  const applySettings = (next) => {
+    setSettings(next);
+    if (next) {
+      setExpiry(toDay(next.expiresAt));
+      setFields(next.fields);
+    }
+  };
+
+  useEffect(() => {
+    summaryAPI
+      .getShare(item._id)
+      .then(applySettings)
+      .catch((error) => {
+        console.error("Failed to load share settings", error);
+        onNotice("Failed to load share settings");
+      })
+      .finally(() => setLoading(false));
+  }, [item._id, onNotice]);
+
+  const save = async (changes) => {
+    setSaving(true);
+    try {
+      const res = await summaryAPI.share(item._id, changes);
+      if (!res.ok) throw new Error(res.message || "Share failed");
+      applySettings(res);
+      setPassword("");
+      return res;
+    } catch (error) {
+      console.error("Share failed", error);
+      onNotice("Share failed");
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveSettings = async () => {
+    const res = await save({ expiresAt: toExpiry(expiry), fields, ...(password ? { password } : {}) });
+    if (res) onNotice(settings ? "Share settings saved" : "Share link created");
+  };
+
+  const revoke = async () => {
+    setSaving(true);
+    try {
+      const res = await summaryAPI.unshare(item._id);
+      if (!res.ok) throw new Error(res.message);
+      setSettings(null);
+      onNotice("Share link revoked");
+    } catch (error) {
+      console.error("Revoke failed", error);
+      onNotice("Revoke failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(settings.slug));
+      onNotice("Share link copied");
+    } catch (error) {
+      console.error("Copy failed", error);
+      onNotice("Copy failed");
+    }
+  };
+
+  const toggleField = (field) =>
+    setFields((prev) => (prev.includes(field) ? prev.filter((f) => f !== field) : [...prev, field]));
+
+  const expired = settings?.expiresAt && new Date(settings.expiresAt) <= new Date();
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 px-4">
+      <div className="w-full max-w-lg space-y-5 rounded-3xl border border-emerald-100 bg-white p-6 shadow-xl">
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold text-slate-900">Share summary</h3>
+          <button onClick={onClose} className="text-sm font-semibold text-slate-500">Close</button>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-slate-500">Loading share settings...</p>
+        ) : (
+          <>
+            {settings ? (
+              <div className="space-y-2 rounded-2xl bg-emerald-50 p-4">
+                <div className="flex items-center gap-2">
+                  <input readOnly value={shareUrl(settings.slug)} className="flex-1 rounded-xl border border-emerald-200 bg-white px-3 py-2 text-xs text-slate-700" />
+                  <button onClick={copyLink} className="rounded-full bg-emerald-500 px-4 py-2 text-xs font-semibold text-white transition hover:bg-emerald-600">
+                    Copy
+                  </button>
+                </div>
+                <p className="text-xs text-slate-500">
+                  {settings.views} {settings.views === 1 ? "view" : "views"}
+                  {settings.hasPassword ? " - password protected" : ""}
+                  {expired ? " - expired" : ""}
+                </p>
+              </div>
+            ) : (
+              <p className="text-sm text-slate-600">This summary is private. Create a link to let anyone with it read the summary.</p>
+            )}
+
+            <div className="space-y-2">
+              <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Visible to viewers</p>
+              <div className="flex flex-wrap gap-3 text-sm text-slate-700">
+                <label className="flex items-center gap-2 text-slate-400">
+                  <input type="checkbox" checked disabled /> Summary
+                </label>
+                {Object.entries(FIELD_LABELS).map(([field, label]) => (
+                  <label key={field} className="flex items-center gap-2">
+                    <input type="checkbox" checked={fields.includes(field)} onChange={() => toggleField(field)} /> {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid gap-3 sm:grid-cols-2">
+              <label className="space-y-1 text-sm font-semibold text-emerald-700">
+                <span>Expires</span>
+                <input
+                  type="date"
+                  value={expiry}
+                  onChange={(event) => setExpiry(event.target.value)}
+                  className="w-full rounded-2xl border border-emerald-200 bg-white px-3 py-2 text-sm font-normal text-slate-700 outline-none focus:border-emerald-400"
+                />
+              </label>
+              <label className="space-y-1 text-sm font-semibold text-emerald-700">
+                <span>{settings?.hasPassword ? "Change password" : "Password (optional)"}</span>
+                <input
+                  type="password"
+                  value={password}
+                  minLength={4}
+                  onChange={(event) => setPassword(event.target.value)}
+                  placeholder={settings?.hasPassword ? "Leave blank to keep" : "No password"}
+                  className="w-full rounded-2xl border border-emerald-200 bg-white px-3 py-2 text-sm font-normal text-slate-700 outline-none focus:border-emerald-400"
+                />
+              </label>
+            </div>
+
+            <div className="flex flex-wrap justify-between gap-2">
+              <div className="flex flex-wrap gap-2">
+                {settings?.hasPassword && (
+                  <button onClick={() => save({ password: null })} disabled={saving} className="rounded-full border border-emerald-200 px-4 py-2 text-xs font-semibold text-emerald-600 transition hover:border-emerald-300">
+                    Remove password
+                  </button>
+                )}
+                {settings && (
+                  <>
+                    <button onClick={() => save({ regenerate: true })} disabled={saving} className="rounded-full border border-emerald-200 px-4 py-2 text-xs font-semibold text-emerald-600 transition hover:border-emerald-300">
+                      New link
+                    </button>
+                    <button onClick={revoke} disabled={saving} className="rounded-full bg-rose-500 px-4 py-2 text-xs font-semibold text-white transition hover:bg-rose-600">
+                      Revoke
+                    </button>
+                  </>
+                )}
+              </div>
+              <button onClick={saveSettings} disabled={saving} className="rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600">
+                {saving ? "Saving..." : settings ? "Save settings" : "Create link"}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+ShareDialog.propTypes = {
+  item: PropTypes.shape({ _id: PropTypes.string.isRequired }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { shareAPI } from "./api";
+import * as exporters from "./exporters";
+import NotFound from "./NotFound";
+import ExportMenu from "./ExportMenu";
+
+// SharedView.jsx - read-only page behind a public share link (#/s/:slug)
+export default function SharedView() {
+  const { slug } = useParams();
+  const [shared, setShared] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [toast, setToast] = useState(null);
+  const [password, setPassword] = useState("");
+  const [unlocking, setUnlocking] = useState(false);
+
+  const statusFor = (res) => {
+    if (res.ok) return "ready";
+    if (res.passwordRequired) return res.status === 403 ? "wrong-password" : "locked";
+    if (res.status === 404) return "missing";
+    if (res.status === 410) return "expired";
+    return "error";
+  };
+
+  useEffect(() => {
+    let active = true;
+    setStatus("loading");
+    shareAPI
+      .get(slug)
+      .then((res) => {
+        if (!active) return;
+        if (res.ok) setShared(res);
+        setStatus(statusFor(res));
+      })
+      .catch(() => active && setStatus("error"));
+    return () => {
+      active = false;
+    };
+  }, [slug]);
+
+  const unlock = async (event) => {
+    event.preventDefault();
+    setUnlocking(true);
+    try {
+      const res = await shareAPI.get(slug, password);
+      if (res.ok) setShared(res);
+      setStatus(statusFor(res));
+    } catch {
+      setStatus("error");
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  const notify = (message) => {
+    setToast(message);
+    setTimeout(() => setToast(null), 1500);
+  };
+
+  const copySummary = async () => {
+    try {
+      await navigator.clipboard.writeText(shared.summary);
+      setToast("Copied");
+    } catch (err) {
+      console.error("Copy failed", err);
+      setToast("Copy failed");
+    } finally {
+      setTimeout(() => setToast(null), 1200);
+    }
+  };
+
+  if (status === "loading") {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-gradient-to-br from-emerald-50 via-white to-sky-50">
+        <p className="text-sm text-slate-500">Loading shared summary...</p>
+      </div>
+    );
+  }
+
+  if (status === "locked" || status === "wrong-password") {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-gradient-to-br from-emerald-50 via-white to-sky-50 px-6">
+        <form onSubmit={unlock} className="w-full max-w-md space-y-4 rounded-3xl border border-emerald-100 bg-white p-8 shadow-xl">
+          <h1 className="text-2xl font-semibold text-slate-900">Password required</h1>
+          <p className="text-sm text-slate-600">The owner protected this summary. Enter the password they gave you.</p>
+          <input
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            placeholder="Password"
+            className="w-full rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-2 text-sm text-slate-700 outline-none transition focus:border-emerald-400"
+            required
+          />
+          {status === "wrong-password" && <p className="text-sm font-semibold text-rose-600">That password is not right.</p>}
+          <button type="submit" disabled={unlocking} className="w-full rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600">
+            {unlocking ? "Checking..." : "View summary"}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  if (status !== "ready") {
+    const messages = {
+      missing: ["This link doesn't work", "The shared summary may have been revoked, or the link was copied incorrectly."],
+      expired: ["This link has expired", "Ask the owner for a new link if you still need this summary."],
+      error: ["Something went wrong", "We couldn't load this shared summary. Try again in a moment."],
+    };
+    const [title, message] = messages[status];
+    return <NotFound title={title} message={message} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-white to-sky-50 text-slate-800">
+      <header className="border-b border-emerald-100 bg-white/90 shadow-sm backdrop-blur">
+        <div className="mx-auto flex w-full max-w-4xl items-center justify-between px-6 py-4">
+          <Link to="/" className="flex items-center gap-3">
+            <div className="flex h-10 w-10 items-center justify-center rounded-full bg-emerald-500 text-sm font-semibold text-white">
+              QB
+            </div>
+            <div>
+              <p className="text-xs font-semibold uppercase tracking-[0.3em] text-emerald-500">Sahban Summaries</p>
+              <p className="text-xl font-semibold text-slate-800">Shared summary</p>
+            </div>
+          </Link>
+          <Link to="/" className="rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-emerald-600">
+            Try the summarizer
+          </Link>
+        </div>
+      </header>
+
+      <main className="mx-auto max-w-4xl space-y-6 px-6 py-12">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <p className="text-sm text-slate-500">{shared.createdAt ? `Created ${new Date(shared.createdAt).toLocaleString()}` : ""}</p>
+          <div className="flex flex-wrap gap-2 text-sm">
+            <button onClick={copySummary} className="rounded-full border border-emerald-200 px-3 py-1 font-semibold text-emerald-600 transition hover:border-emerald-300">
+              Copy
+            </button>
+            <button onClick={() => exporters.exportPdf(shared)} className="rounded-full bg-slate-900 px-3 py-1 font-semibold text-white transition hover:bg-slate-700">
+              Download PDF
+            </button>
+          </div>
+        </div>
+
+        <ExportMenu item={shared} onNotice={notify} />
+
+        <section className="space-y-3 rounded-3xl border border-emerald-100 bg-white p-6 shadow">
+          <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Summary</p>
+          <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-700">{shared.summary}</p>
+          {shared.tags?.length ? (
+            <div className="flex flex-wrap gap-2">
+              {shared.tags.map((tag) => (
+                <span key={tag} className="rounded-full border border-emerald-200 px-3 py-1 text-xs font-semibold text-emerald-600">
+                  {tag}
+                </span>
+              ))}
+            </div>
+          ) : null}
+        </section>
+
+        {shared.note && (
+          <section className="space-y-3 rounded-3xl border border-emerald-100 bg-white p-6 shadow">
+            <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Original note</p>
+            <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-600">{shared.note}</p>
+          </section>
+        )}
+      </main>
+
+      {toast && (
+        <div className="fixed right-6 top-6 z-50 rounded-full bg-slate-900 px-4 py-2 text-sm font-semibold text-white shadow-lg">
+          {toast}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+// SuggestionReview.jsx - confirm the AI title and tags before a summary is saved
+export default function SuggestionReview({ title, onTitleChange, suggestions, onAccept, onReject, onAcceptAll, onSave, onDiscard, saving = false }) {
+  return (
+    <div className="space-y-3 rounded-2xl border border-emerald-200 bg-white p-4">
+      <label className="block text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">
+        Title
+        <input
+          type="text"
+          value={title}
+          maxLength={120}
+          onChange={(event) => onTitleChange(event.target.value)}
+          placeholder="Untitled summary"
+          className="mt-2 w-full rounded-2xl border border-emerald-200 bg-white px-4 py-2 text-sm normal-case tracking-normal text-slate-700 outline-none transition focus:border-emerald-400"
+        />
+      </label>
+
+      {suggestions.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-500">Suggested tags</p>
+            <button type="button" onClick={onAcceptAll} className="text-xs font-semibold text-emerald-600">
+              Accept all
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {suggestions.map((tag) => (
+              <span key={tag} className="flex items-center gap-1 rounded-full border border-dashed border-emerald-300 px-3 py-1 text-xs font-semibold text-emerald-700">
+                {tag}
+                <button type="button" onClick={() => onAccept(tag)} aria-label={`Accept ${tag}`} className="text-emerald-500 hover:text-emerald-800">
+                  ✓
+                </button>
+                <button type="button" onClick={() => onReject(tag)} aria-label={`Reject ${tag}`} className="text-slate-400 hover:text-rose-600">
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onDiscard}
+          className="rounded-full border border-emerald-200 px-4 py-2 text-sm font-semibold text-emerald-600 transition hover:border-emerald-300 hover:bg-emerald-50"
+        >
+          Don&apos;t save
+        </button>
+        <button
+          type="button"
+          onClick={onSave}
+          disabled={saving}
+          className="rounded-full bg-emerald-500 px-5 py-2 text-sm font-semibold text-white transition hover:bg-emerald-600"
+        >
+          {saving ? "Saving..." : "Save to history"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+SuggestionReview.propTypes = {
+  title: PropTypes.string.isRequired,
+  onTitleChange: PropTypes.func.isRequired,
+  suggestions: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onAccept: PropTypes.func.isRequired,
+  onReject: PropTypes.func.isRequired,
+  onAcceptAll: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+  saving: PropTypes.bool,
+};
@@ -0,0 +1,146 @@
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { tagAPI } from "./api";
+
+const MAX_TAGS = 10;
+
+// Mirrors normalizeTag in backend/lib/tags.js so chips show what will be stored
+export const normalizeTag = (raw) =>
+  String(raw ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/[\s_]+/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40)
+    .replace(/-+$/, "");
+
+// TagInput.jsx - chip input with autocomplete from the user's existing tags
+export default function TagInput({ value, onChange, placeholder = "Add a tag", enabled = true }) {
+  const [text, setText] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const inputRef = useRef(null);
+  const full = value.length >= MAX_TAGS;
+
+  useEffect(() => {
+    if (!enabled || !open) return undefined;
+    let active = true;
+    const timeout = setTimeout(() => {
+      tagAPI
+        .list(text, 8)
+        .then((list) => {
+          if (!active || !Array.isArray(list)) return;
+          setSuggestions(list.filter(({ tag }) => !value.includes(tag)));
+          setHighlighted(0);
+        })
+        .catch((error) => console.error("Tag suggestions failed", error));
+    }, 150);
+    return () => {
+      active = false;
+      clearTimeout(timeout);
+    };
+  }, [text, open, enabled, value]);
+
+  const add = (raw) => {
+    const tags = String(raw).split(",").map(normalizeTag).filter(Boolean);
+    const next = [...value];
+    tags.forEach((tag) => {
+      if (!next.includes(tag) && next.length < MAX_TAGS) next.push(tag);
+    });
+    if (next.length !== value.length) onChange(next);
+    setText("");
+  };
+
+  const remove = (tag) => onChange(value.filter((t) => t !== tag));
+
+  const onKeyDown = (event) => {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      if (!suggestions.length) return;
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      setHighlighted((prev) => (prev + step + suggestions.length) % suggestions.length);
+    } else if (event.key === "Enter" || event.key === "Tab" || event.key === ",") {
+      const picked = open && suggestions[highlighted] && text ? suggestions[highlighted].tag : text;
+      if (!picked.trim()) return;
+      event.preventDefault();
+      add(picked);
+    } else if (event.key === "Backspace" && !text && value.length) {
+      remove(value[value.length - 1]);
+    } else if (event.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative mt-2">
+      <div
+        onClick={() => inputRef.current?.focus()}
+        className="flex w-full flex-wrap items-center gap-2 rounded-2xl border border-emerald-200 bg-white px-3 py-2 text-sm text-slate-700 transition focus-within:border-emerald-400"
+      >
+        {value.map((tag) => (
+          <span key={tag} className="flex items-center gap-1 rounded-full bg-emerald-100 px-3 py-0.5 text-xs font-semibold text-emerald-700">
+            {tag}
+            <button type="button" onClick={() => remove(tag)} aria-label={`Remove ${tag}`} className="text-emerald-500 hover:text-emerald-800">
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          ref={inputRef}
+          type="text"
+          value={text}
+          disabled={full}
+          onChange={(event) => {
+            setText(event.target.value);
+            setOpen(true);
+          }}
+          onPaste={(event) => {
+            const pasted = event.clipboardData.getData("text");
+            if (!pasted.includes(",")) return;
+            event.preventDefault();
+            add(pasted);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => {
+            // Let a click on a suggestion land before the list closes
+            setTimeout(() => setOpen(false), 100);
+            if (text.trim()) add(text);
+          }}
+          onKeyDown={onKeyDown}
+          placeholder={full ? `Up to ${MAX_TAGS} tags` : value.length ? "" : placeholder}
+          className="min-w-[8rem] flex-1 bg-transparent py-0.5 outline-none"
+        />
+      </div>
+      {open && suggestions.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full overflow-hidden rounded-2xl border border-emerald-100 bg-white shadow-lg">
+          {suggestions.map(({ tag, count }, index) => (
+            <li key={tag}>
+              <button
+                type="button"
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => add(tag)}
+                className={`flex w-full items-center justify-between px-4 py-2 text-left text-sm ${
+                  index === highlighted ? "bg-emerald-50 text-emerald-700" : "text-slate-700"
+                }`}
+              >
+                {tag}
+                <span className="text-xs text-slate-400">{count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+TagInput.propTypes = {
+  value: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  placeholder: PropTypes.string,
+  enabled: PropTypes.bool,
+};
@@ -0,0 +1,112 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { summaryAPI } from "./api";
+
+const daysLeft = (purgeAt) => Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / 86_400_000));
+
+// TrashDialog.jsx - deleted summaries waiting to be purged
+export default function TrashDialog({ onClose, onRestored, onNotice }) {
+  const [trash, setTrash] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    summaryAPI
+      .getTrash()
+      .then((res) => {
+        if (!res.ok) throw new Error(res.message);
+        setTrash(res);
+      })
+      .catch((error) => {
+        console.error("Failed to load trash", error);
+        onNotice("Failed to load trash");
+      });
+  }, [onNotice]);
+
+  const run = async (action, failure) => {
+    setBusy(true);
+    try {
+      const res = await action();
+      if (!res.ok) throw new Error(res.message);
+      return res;
+    } catch (error) {
+      console.error(failure, error);
+      onNotice(failure);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const drop = (id) => setTrash((prev) => ({ ...prev, items: prev.items.filter((item) => item._id !== id) }));
+
+  const restore = async (id) => {
+    const res = await run(() => summaryAPI.restoreFromTrash(id), "Restore failed");
+    if (!res) return;
+    drop(id);
+    onRestored();
+    onNotice("Summary restored");
+  };
+
+  const deleteForever = async (id) => {
+    if (await run(() => summaryAPI.deleteForever(id), "Delete failed")) drop(id);
+  };
+
+  const emptyTrash = async () => {
+    const res = await run(() => summaryAPI.emptyTrash(), "Could not empty trash");
+    if (!res) return;
+    setTrash((prev) => ({ ...prev, items: [] }));
+    onNotice(`Deleted ${res.deleted} ${res.deleted === 1 ? "summary" : "summaries"} for good`);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/60 px-4">
+      <div className="w-full max-w-2xl space-y-4 rounded-3xl border border-emerald-100 bg-white p-6 shadow-xl">
+        <div className="flex items-center justify-between">
+          <h3 className="text-xl font-semibold text-slate-900">Trash</h3>
+          <button onClick={onClose} className="text-sm font-semibold text-slate-500">Close</button>
+        </div>
+
+        {!trash ? (
+          <p className="text-sm text-slate-500">Loading trash...</p>
+        ) : trash.items.length === 0 ? (
+          <p className="text-sm text-slate-500">The trash is empty.</p>
+        ) : (
+          <>
+            <p className="text-sm text-slate-600">Deleted summaries are removed for good after {trash.retentionDays} days.</p>
+            <ul className="max-h-96 space-y-3 overflow-y-auto">
+              {trash.items.map((item) => (
+                <li key={item._id} className="flex items-start justify-between gap-3 rounded-2xl border border-emerald-100 p-4">
+                  <div className="min-w-0 space-y-1">
+                    <p className="line-clamp-2 text-sm text-slate-700">{item.summary}</p>
+                    <p className="text-xs text-slate-500">
+                      Deleted {new Date(item.deletedAt).toLocaleString()} - {daysLeft(item.purgeAt)} days left
+                    </p>
+                  </div>
+                  <div className="flex shrink-0 gap-2">
+                    <button onClick={() => restore(item._id)} disabled={busy} className="rounded-full border border-emerald-200 px-3 py-1 text-xs font-semibold text-emerald-600 transition hover:border-emerald-300">
+                      Restore
+                    </button>
+                    <button onClick={() => deleteForever(item._id)} disabled={busy} className="rounded-full bg-rose-500 px-3 py-1 text-xs font-semibold text-white transition hover:bg-rose-600">
+                      Delete forever
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-end">
+              <button onClick={emptyTrash} disabled={busy} className="rounded-full bg-rose-500 px-5 py-2 text-sm font-semibold text-white transition hover:bg-rose-600">
+                Empty trash
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+TrashDialog.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onRestored: PropTypes.func.isRequired,
+  onNotice: PropTypes.func.isRequired,
+};
@@ -8,29 +8,166 @@ const withAuth = (init = {}) => {
   };
 };
 
-async function request(path, init) {
-  const res = await fetch(`${API_URL}${path}`, init);
-  if (res.status === 401) {
-    localStorage.removeItem("token");
-  }
-  return res;
+// App listens for "auth-token" to follow silent refreshes and forced sign-outs
+const storeToken = (token) => {
+  if (token) localStorage.setItem("token", token);
+  else localStorage.removeItem("token");
+  window.dispatchEvent(new CustomEvent("auth-token", { detail: token }));
+};
+
+// Concurrent 401s share one refresh so the rotated cookie is only spent once
+let refreshing = null;
+function refreshSession() {
+  refreshing ??= fetch(`${API_URL}/auth/refresh`, { method: "POST", credentials: "include" })
+    .then(async (res) => (res.ok ? (await res.json()).token : null))
+    .catch(() => null)
+    .then((token) => {
+      storeToken(token);
+      return token;
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
 }
 
+async function request(path, init = {}, retry = true) {
+  const res = await fetch(`${API_URL}${path}`, { credentials: "include", ...init });
+  if (res.status !== 401 || path.startsWith("/auth/")) return res;
+  const token = retry ? await refreshSession() : null;
+  if (!token) return res;
+  return request(path, { ...init, headers: { ...init.headers, Authorization: `Bearer ${token}` } }, false);
+}
+
+// For calls whose success the UI cannot read from the body alone
+const queryString = (params) =>
+  Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join("&");
+
+const withStatus = async (res) => ({ ok: res.ok, status: res.status, ...(await res.json().catch(() => ({}))) });
+
 export const authAPI = {
   register: async (email, password) => (await request(`/auth/register`, withAuth({ method: "POST", body: JSON.stringify({ email, password }) }))).json(),
   login: async (email, password) => (await request(`/auth/login`, withAuth({ method: "POST", body: JSON.stringify({ email, password }) }))).json(),
+  refresh: () => refreshSession(),
+  verifyEmail: async (token) => withStatus(await request(`/auth/verify-email`, withAuth({ method: "POST", body: JSON.stringify({ token }) }))),
+  resendVerification: async () => withStatus(await request(`/auth/resend-verification`, withAuth({ method: "POST" }))),
+  forgotPassword: async (email) => withStatus(await request(`/auth/forgot-password`, withAuth({ method: "POST", body: JSON.stringify({ email }) }))),
+  resetPassword: async (token, password) => withStatus(await request(`/auth/reset-password`, withAuth({ method: "POST", body: JSON.stringify({ token, password }) }))),
+  logout: async () => (await request(`/auth/logout`, withAuth({ method: "POST" }))).json(),
 };
 
 export const summaryAPI = {
   getAll: async (params = {}) => {
-    const qs = Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== "")
-      .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join("&");
-    const res = await request(`/summaries${qs ? `?${qs}` : ""}`, { method: "GET" });
+    const qs = queryString(params);
+    const res = await request(`/summaries${qs ? `?${qs}` : ""}`, withAuth({ method: "GET" }));
     return res.json();
   },
-  save: async (note, summary, tags = []) => (await request(`/summaries`, withAuth({ method: "POST", body: JSON.stringify({ note, summary, tags }) }))).json(),
-  update: async (id, note, summary, tags = [], starred) => (await request(`/summaries/${id}`, withAuth({ method: "PUT", body: JSON.stringify({ note, summary, tags, starred }) }))).json(),
+  // Cursor mode: pass the previous page's nextCursor, or "" for the first page
+  getPage: async (params = {}, cursor = "") => {
+    const qs = [queryString(params), `cursor=${encodeURIComponent(cursor)}`].filter(Boolean).join("&");
+    return withStatus(await request(`/summaries?${qs}`, withAuth({ method: "GET" })));
+  },
+  save: async (note, summary, tags = [], title = "", sourceUrl, kind) =>
+    (await request(`/summaries`, withAuth({ method: "POST", body: JSON.stringify({ note, summary, tags, title, sourceUrl, kind }) }))).json(),
+  update: async (id, note, summary, tags = [], starred, title) => (await request(`/summaries/${id}`, withAuth({ method: "PUT", body: JSON.stringify({ note, summary, tags, starred, title }) }))).json(),
   delete: async (id) => (await request(`/summaries/${id}`, withAuth({ method: "DELETE" }))).json(),
   star: async (id, starred) => (await request(`/summaries/${id}/star`, withAuth({ method: "PATCH", body: JSON.stringify({ starred }) }))).json(),
-  share: async (id) => (await request(`/summaries/${id}/share`, withAuth({ method: "POST" }))).json(),
-};
\ No newline at end of file
+  getShare: async (id) => (await request(`/summaries/${id}/share`, withAuth({ method: "GET" }))).json(),
+  share: async (id, settings = {}) => withStatus(await request(`/summaries/${id}/share`, withAuth({ method: "POST", body: JSON.stringify(settings) }))),
+  unshare: async (id) => withStatus(await request(`/summaries/${id}/share`, withAuth({ method: "DELETE" }))),
+  revisions: async (id) => (await request(`/summaries/${id}/revisions`, withAuth({ method: "GET" }))).json(),
+  restore: async (id, version) => withStatus(await request(`/summaries/${id}/revisions/${version}/restore`, withAuth({ method: "POST" }))),
+  // The conversation about a summary's note: { ok, status, messages }
+  chat: async (id) => withStatus(await request(`/summaries/${id}/chat`, withAuth({ method: "GET" }))),
+  ask: async (id, question) => withStatus(await request(`/summaries/${id}/chat`, withAuth({ method: "POST", body: JSON.stringify({ question }) }))),
+  clearChat: async (id) => withStatus(await request(`/summaries/${id}/chat`, withAuth({ method: "DELETE" }))),
+  getTrash: async () => withStatus(await request(`/summaries/trash`, withAuth({ method: "GET" }))),
+  restoreFromTrash: async (id) => withStatus(await request(`/summaries/${id}/restore`, withAuth({ method: "POST" }))),
+  deleteForever: async (id) => withStatus(await request(`/summaries/trash/${id}`, withAuth({ method: "DELETE" }))),
+  bulk: async (ids, action, extra = {}) => withStatus(await request(`/summaries/bulk`, withAuth({ method: "POST", body: JSON.stringify({ ids, action, ...extra }) }))),
+  emptyTrash: async () => withStatus(await request(`/summaries/trash`, withAuth({ method: "DELETE" }))),
+};
+export const collectionAPI = {
+  getAll: async () => (await request(`/collections`, withAuth({ method: "GET" }))).json(),
+  create: async (name, parentId = null) => withStatus(await request(`/collections`, withAuth({ method: "POST", body: JSON.stringify({ name, parentId }) }))),
+  update: async (id, changes) => withStatus(await request(`/collections/${id}`, withAuth({ method: "PATCH", body: JSON.stringify(changes) }))),
+  reorder: async (parentId, ids) => withStatus(await request(`/collections/order`, withAuth({ method: "PUT", body: JSON.stringify({ parentId, ids }) }))),
+  delete: async (id) => withStatus(await request(`/collections/${id}`, withAuth({ method: "DELETE" }))),
+};
+export const tagAPI = {
+  list: async (q = "", limit) => (await request(`/tags?${queryString({ q, limit })}`, withAuth({ method: "GET" }))).json(),
+  rename: async (from, to) => withStatus(await request(`/tags/rename`, withAuth({ method: "POST", body: JSON.stringify({ from, to }) }))),
+  merge: async (from, into) => withStatus(await request(`/tags/merge`, withAuth({ method: "POST", body: JSON.stringify({ from, into }) }))),
+};
+export const libraryAPI = {
+  // Resolves to { ok, status, blob, filename } so the caller can hand the file to download()
+  export: async (format) => {
+    const res = await request(`/export?${queryString({ format })}`, withAuth({ method: "GET" }));
+    if (!res.ok) return { ok: false, status: res.status, ...(await res.json().catch(() => ({}))) };
+    const filename = res.headers.get("Content-Disposition")?.match(/filename="?([^";]+)"?/)?.[1] || `summaries.${format}`;
+    return { ok: true, status: res.status, blob: await res.blob(), filename };
+  },
+  import: async (file, format, dryRun = false) =>
+    withStatus(
+      await request(
+        `/import?${queryString({ format, dryRun: dryRun || undefined })}`,
+        withAuth({ method: "POST", body: file, headers: { "Content-Type": "application/octet-stream" } })
+      )
+    ),
+};
+export const paraphraseAPI = {
+  paraphrase: async (text, mode) => withStatus(await request(`/paraphrase`, withAuth({ method: "POST", body: JSON.stringify({ text, mode }) }))),
+  synonyms: async (word, context) => withStatus(await request(`/paraphrase/synonyms`, withAuth({ method: "POST", body: JSON.stringify({ word, context }) }))),
+};
+export const grammarAPI = {
+  // Resolves to { ok, status, issues, styleChecked }; `style` also asks the AI provider for style suggestions
+  check: async (text, style) => withStatus(await request(`/grammar`, withAuth({ method: "POST", body: JSON.stringify({ text, style }) }))),
+};
+export const ingestAPI = {
+  // Resolves to { ok, status, url, title, siteName, text, ... } for the article at a link
+  url: async (url) => withStatus(await request(`/ingest/url`, withAuth({ method: "POST", body: JSON.stringify({ url }) }))),
+};
+export const shareAPI = {
+  get: async (slug, password) =>
+    withStatus(await request(`/s/${encodeURIComponent(slug)}`, { method: "GET", headers: password ? { "X-Share-Password": password } : {} })),
+};
+
+// Yields { event, data } for each Server-Sent Event in a fetch response body
+async function* readEvents(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf("\n\n")) >= 0) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = block.match(/^event: (.*)$/m)?.[1] || "message";
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      yield { event, data: data ? JSON.parse(data) : null };
+    }
+  }
+}
+
+export const aiAPI = {
+  summarize: async ({ note, length, tone, format }) => (await request(`/summarize`, withAuth({ method: "POST", body: JSON.stringify({ note, length, tone, format }) }))).json(),
+  // Resolves with { summary, provider } once the stream finishes; onToken gets each text delta,
+  // onProgress gets { round, done, total } while a long document is summarized chunk by chunk
+  summarizeStream: async ({ note, length, tone, format }, { signal, onToken, onProgress } = {}) => {
+    const res = await request(`/summarize/stream`, withAuth({ method: "POST", body: JSON.stringify({ note, length, tone, format }), signal }));
+    if (!res.ok) throw Object.assign(new Error((await res.json().catch(() => null))?.message || "Summarization failed"), { status: res.status });
+    let suggestions = {};
+    for await (const { event, data } of readEvents(res)) {
+      if (event === "token") onToken?.(data.text);
+      else if (event === "progress") onProgress?.(data);
+      else if (event === "suggestions") suggestions = data;
+      else if (event === "done") return { ...suggestions, ...data };
+      else if (event === "error") throw new Error(data.message);
+    }
+    throw new Error("Stream ended early");
+  },
+};
@@ -0,0 +1,62 @@
+// Word-level diff: [{ type: "same" | "added" | "removed", text }]
+// Whitespace stays attached to the tokens so joining the parts rebuilds each side.
+
+// Past this many token pairs the LCS table gets too big for the browser
+const MAX_CELLS = 4_000_000;
+
+const tokenize = (text) => (text || "").match(/\s+|[^\s]+/g) || [];
+
+function push(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last?.type === type) last.text += text;
+  else parts.push({ type, text });
+}
+
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const parts = [];
+  if (start) push(parts, "same", a.slice(0, start).join(""));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_CELLS) {
+    if (midA.length) push(parts, "removed", midA.join(""));
+    if (midB.length) push(parts, "added", midB.join(""));
+  } else {
+    // lcs[i][j]: longest common subsequence of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i -= 1) {
+      for (let j = midB.length - 1; j >= 0; j -= 1) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push(parts, "same", midA[i]);
+        i += 1;
+        j += 1;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push(parts, "removed", midA[i++]);
+      } else {
+        push(parts, "added", midB[j++]);
+      }
+    }
+    if (i < midA.length) push(parts, "removed", midA.slice(i).join(""));
+    if (j < midB.length) push(parts, "added", midB.slice(j).join(""));
+  }
+
+  if (endA < a.length) push(parts, "same", a.slice(endA).join(""));
+  return parts;
+}
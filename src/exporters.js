@@ -0,0 +1,343 @@
+import { jsPDF } from "jspdf";
+import { parseMarkdown } from "./markdown";
+
+export const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Only web and mail links make it into exported files; any other link is written as plain text
+const safeHref = (href) => (href && /^(https?:|mailto:)/i.test(href.trim()) ? href.trim() : null);
+
+export const exportTxt = ({ summary }) => {
+  const blob = new Blob([summary], { type: "text/plain;charset=utf-8" });
+  download(blob, "summary.txt");
+};
+
+export const exportMd = ({ title, note, summary }, { includeNote = true } = {}) => {
+  const md = note && includeNote
+    ? `# ${title || "Summary"}\n\n## Note\n\n${note}\n\n---\n\n## Summary\n\n${summary}\n`
+    : `# ${title || "Summary"}\n\n${summary}\n`;
+  const blob = new Blob([md], { type: "text/markdown;charset=utf-8" });
+  download(blob, "summary.md");
+};
+
+// Several saved summaries in one Markdown file, newest first as listed
+export const exportMdBundle = (items) => {
+  const sections = items.map((item) => {
+    const tags = item.tags?.length ? `\n\nTags: ${item.tags.join(", ")}` : "";
+    return `## ${new Date(item.createdAt).toLocaleString()}\n\n${item.summary}${tags}\n\n### Note\n\n${item.note}\n`;
+  });
+  const blob = new Blob([`# Summaries\n\n${sections.join("\n---\n\n")}`], { type: "text/markdown;charset=utf-8" });
+  download(blob, "summaries.md");
+};
+
+const filenameFor = ({ title }, ext) => {
+  const slug = (title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${slug || "summary"}.${ext}`;
+};
+
+// What the document header shows: title, the date it was saved and its tags
+const metadata = ({ title, createdAt, tags = [] }) => ({
+  title: title || "Summary",
+  date: new Date(createdAt || Date.now()).toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }),
+  tags,
+});
+
+// The original note is plain text, so it keeps its own paragraphs and line breaks
+const noteParagraphs = (note = "") =>
+  note
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+const PDF = { margin: 56, width: 483, bottom: 780, body: 11, line: 1.45 };
+const HEADING_SIZES = { 1: 18, 2: 15, 3: 13 };
+
+const pdfFont = (span) => {
+  if (span.code) return ["courier", "normal"];
+  if (span.bold && span.italic) return ["helvetica", "bolditalic"];
+  if (span.bold) return ["helvetica", "bold"];
+  return ["helvetica", span.italic ? "italic" : "normal"];
+};
+
+/**
+ * A styled PDF: title, date and tags up top, the summary's Markdown rendered
+ * as headings, lists and paragraphs, "Page x of y" in the footer, and
+ * optionally the original note as an appendix.
+ */
+export const exportPdf = (item, { includeNote = false } = {}) => {
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const { margin, width, bottom } = PDF;
+  const meta = metadata(item);
+  let y = margin;
+
+  const ensureRoom = (height) => {
+    if (y + height > bottom) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  // Lay out styled spans word by word, wrapping at the right margin; `marker` hangs in the indent
+  const writeSpans = (spans, { size = PDF.body, indent = 0, color = [30, 41, 59], bold = false, marker } = {}) => {
+    const lineHeight = size * PDF.line;
+    const left = margin + indent;
+    let x = left;
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    ensureRoom(lineHeight);
+    y += size;
+    if (marker) {
+      doc.setFont("helvetica", "normal");
+      doc.text(marker, margin + 4, y);
+    }
+    for (const span of spans) {
+      const href = safeHref(span.href);
+      const [family, style] = pdfFont({ ...span, bold: bold || span.bold });
+      doc.setFont(family, style);
+      for (const word of span.text.split(/(\s+)/)) {
+        if (!word) continue;
+        const space = /^\s+$/.test(word);
+        const wordWidth = doc.getTextWidth(space ? " " : word);
+        if (!space && x > left && x + wordWidth > left + width - indent) {
+          y += lineHeight;
+          x = left;
+          if (y > bottom) {
+            doc.addPage();
+            y = margin + size;
+          }
+        }
+        if (space && x === left) continue;
+        if (!space) {
+          if (href) doc.textWithLink(word, x, y, { url: href });
+          else doc.text(word, x, y);
+        }
+        x += wordWidth;
+      }
+    }
+    y += lineHeight - size;
+  };
+
+  const rule = () => {
+    doc.setDrawColor(209, 250, 229);
+    doc.line(margin, y, margin + width, y);
+    y += 12;
+  };
+
+  writeSpans([{ text: meta.title }], { size: 22, bold: true, color: [4, 120, 87] });
+  writeSpans([{ text: [meta.date, ...meta.tags.map((tag) => `#${tag}`)].join("   ") }], { size: 9, color: [100, 116, 139] });
+  y += 6;
+  rule();
+
+  for (const block of parseMarkdown(item.summary)) {
+    if (block.type === "heading") {
+      y += 6;
+      writeSpans(block.spans, { size: HEADING_SIZES[block.level] || 12, bold: true, color: [15, 23, 42] });
+    } else if (block.type === "list") {
+      block.items.forEach((spans, index) => writeSpans(spans, { indent: 18, marker: block.ordered ? `${index + 1}.` : "\u2022" }));
+    } else if (block.type === "quote") {
+      writeSpans(block.spans.map((span) => ({ ...span, italic: true })), { indent: 18, color: [71, 85, 105] });
+    } else if (block.type === "code") {
+      for (const line of block.text.split("\n")) writeSpans([{ text: line || " ", code: true }], { size: 9, indent: 12 });
+    } else if (block.type === "rule") {
+      y += 4;
+      rule();
+      continue;
+    } else {
+      writeSpans(block.spans);
+    }
+    y += 6;
+  }
+
+  if (includeNote && item.note) {
+    doc.addPage();
+    y = margin;
+    writeSpans([{ text: "Appendix: original note" }], { size: 15, bold: true, color: [15, 23, 42] });
+    y += 6;
+    for (const paragraph of noteParagraphs(item.note)) {
+      writeSpans([{ text: paragraph.replace(/\s*\n\s*/g, " ") }], { size: 10, color: [71, 85, 105] });
+      y += 4;
+    }
+  }
+
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page += 1) {
+    doc.setPage(page);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(9);
+    doc.setTextColor(148, 163, 184);
+    doc.text(`Page ${page} of ${pages}`, margin + width, 810, { align: "right" });
+  }
+  doc.save(filenameFor(item, "pdf"));
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+const htmlSpans = (spans) =>
+  spans
+    .map((span) => {
+      let html = escapeHtml(span.text);
+      if (span.code) html = `<code>${html}</code>`;
+      if (span.italic) html = `<em>${html}</em>`;
+      if (span.bold) html = `<strong>${html}</strong>`;
+      const href = safeHref(span.href);
+      if (href) html = `<a href="${escapeHtml(href)}">${html}</a>`;
+      return html;
+    })
+    .join("");
+
+const htmlBlock = (block) => {
+  switch (block.type) {
+    case "heading": {
+      // The document title is the only h1
+      const level = Math.min(block.level + 1, 6);
+      return `<h${level}>${htmlSpans(block.spans)}</h${level}>`;
+    }
+    case "list": {
+      const tag = block.ordered ? "ol" : "ul";
+      return `<${tag}>${block.items.map((spans) => `<li>${htmlSpans(spans)}</li>`).join("")}</${tag}>`;
+    }
+    case "quote":
+      return `<blockquote>${htmlSpans(block.spans)}</blockquote>`;
+    case "code":
+      return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+    case "rule":
+      return "<hr>";
+    default:
+      return `<p>${htmlSpans(block.spans)}</p>`;
+  }
+};
+
+// A single self-contained page: inline styles, no scripts, no external assets
+export const toHtml = (item, { includeNote = false } = {}) => {
+  const meta = metadata(item);
+  const tags = meta.tags.map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`).join(" ");
+  const appendix =
+    includeNote && item.note
+      ? `<section class="appendix"><h2>Appendix: original note</h2>${noteParagraphs(item.note).map((p) => `<p>${escapeHtml(p)}</p>`).join("")}</section>`
+      : "";
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(meta.title)}</title>
+<style>
+  body { margin: 0; background: #f8fafc; color: #1e293b; font: 16px/1.6 system-ui, -apple-system, "Segoe UI", sans-serif; }
+  main { max-width: 720px; margin: 48px auto; padding: 40px; background: #fff; border: 1px solid #d1fae5; border-radius: 24px; }
+  h1 { margin: 0; color: #047857; font-size: 28px; }
+  .meta { margin: 8px 0 24px; padding-bottom: 16px; border-bottom: 1px solid #d1fae5; color: #64748b; font-size: 14px; }
+  .tag { display: inline-block; margin-left: 6px; padding: 2px 10px; border: 1px solid #a7f3d0; border-radius: 999px; color: #059669; font-size: 12px; font-weight: 600; }
+  h2, h3, h4 { color: #0f172a; }
+  blockquote { margin: 0; padding-left: 16px; border-left: 3px solid #a7f3d0; color: #475569; font-style: italic; }
+  code { padding: 1px 4px; background: #f1f5f9; border-radius: 4px; font-size: 14px; }
+  pre code { display: block; padding: 12px; overflow-x: auto; }
+  .appendix { margin-top: 40px; padding-top: 16px; border-top: 1px solid #d1fae5; color: #475569; white-space: pre-wrap; }
+  @media print { body { background: #fff; } main { margin: 0; border: 0; } }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(meta.title)}</h1>
+<p class="meta">${escapeHtml(meta.date)}${tags ? ` ${tags}` : ""}</p>
+${parseMarkdown(item.summary).map(htmlBlock).join("\n")}
+${appendix}
+</main>
+</body>
+</html>
+`;
+};
+
+export const exportHtml = (item, options) => {
+  const blob = new Blob([toHtml(item, options)], { type: "text/html;charset=utf-8" });
+  download(blob, filenameFor(item, "html"));
+};
+
+// docx is large and only needed here, so it loads on first use
+export const exportDocx = async (item, { includeNote = false } = {}) => {
+  const { AlignmentType, Document, ExternalHyperlink, Footer, HeadingLevel, LevelFormat, Packer, PageNumber, Paragraph, TextRun } = await import("docx");
+  const meta = metadata(item);
+  const HEADINGS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4];
+
+  const runs = (spans) =>
+    spans.map((span) => {
+      const href = safeHref(span.href);
+      const run = new TextRun({ text: span.text, bold: span.bold, italics: span.italic, font: span.code ? "Courier New" : undefined, style: href ? "Hyperlink" : undefined });
+      return href ? new ExternalHyperlink({ link: href, children: [run] }) : run;
+    });
+
+  // Each ordered list restarts at 1 through its own numbering instance
+  let lists = 0;
+  const paragraphs = parseMarkdown(item.summary).flatMap((block) => {
+    switch (block.type) {
+      case "heading":
+        return [new Paragraph({ heading: HEADINGS[Math.min(block.level, HEADINGS.length) - 1], children: runs(block.spans) })];
+      case "list": {
+        lists += 1;
+        return block.items.map((spans) =>
+          new Paragraph({
+            children: runs(spans),
+            ...(block.ordered ? { numbering: { reference: "ordered", level: 0, instance: lists } } : { bullet: { level: 0 } }),
+          })
+        );
+      }
+      case "quote":
+        return [new Paragraph({ style: "IntenseQuote", children: runs(block.spans) })];
+      case "code":
+        return block.text.split("\n").map((line) => new Paragraph({ children: [new TextRun({ text: line, font: "Courier New", size: 18 })] }));
+      case "rule":
+        return [new Paragraph({ border: { bottom: { style: "single", size: 6, color: "D1FAE5", space: 1 } } })];
+      default:
+        return [new Paragraph({ children: runs(block.spans), spacing: { after: 160 } })];
+    }
+  });
+
+  const appendix =
+    includeNote && item.note
+      ? [
+          new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: true, children: [new TextRun("Appendix: original note")] }),
+          ...noteParagraphs(item.note).map((text) => new Paragraph({ children: [new TextRun({ text, color: "475569" })], spacing: { after: 160 } })),
+        ]
+      : [];
+
+  const doc = new Document({
+    title: meta.title,
+    numbering: {
+      config: [{ reference: "ordered", levels: [{ level: 0, format: LevelFormat.DECIMAL, text: "%1.", alignment: AlignmentType.START }] }],
+    },
+    sections: [
+      {
+        footers: {
+          default: new Footer({
+            children: [
+              new Paragraph({
+                alignment: AlignmentType.RIGHT,
+                children: [new TextRun({ children: ["Page ", PageNumber.CURRENT, " of ", PageNumber.TOTAL_PAGES], size: 18, color: "94A3B8" })],
+              }),
+            ],
+          }),
+        },
+        children: [
+          new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(meta.title)] }),
+          new Paragraph({
+            children: [new TextRun({ text: [meta.date, ...meta.tags.map((tag) => `#${tag}`)].join("   "), color: "64748B", size: 18 })],
+            spacing: { after: 240 },
+          }),
+          ...paragraphs,
+          ...appendix,
+        ],
+      },
+    ],
+  });
+  download(await Packer.toBlob(doc), filenameFor(item, "docx"));
+};
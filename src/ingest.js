@@ -0,0 +1,375 @@
+// ingest.js - turn uploaded documents into note text.
+//
+// Every extractor returns blocks: { text } for a paragraph or { marker } for a
+// page, section or chapter boundary. Blocks are joined with blank lines, which
+// is also where the backend prefers to split long documents into chunks.
+import * as pdfjsLib from "pdfjs-dist";
+import { strFromU8, unzipSync } from "fflate";
+import { MIN_TEXT_CHARS, recognize, releaseOcr } from "./ocr";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL("pdfjs-dist/build/pdf.worker.mjs", import.meta.url).toString();
+
+export const ACCEPT = ".pdf,.docx,.html,.htm,.xhtml,.md,.markdown,.txt,.text,.epub,.png,.jpg,.jpeg";
+
+const marker = {
+  page: (n) => `[Page ${n}]`,
+  section: (title) => `[Section: ${title}]`,
+  chapter: (n, title) => `[Chapter ${n}${title ? `: ${title}` : ""}]`,
+  file: (name) => `[File: ${name}]`,
+};
+
+const EXTENSIONS = {
+  pdf: "pdf",
+  docx: "docx",
+  html: "html",
+  htm: "html",
+  xhtml: "html",
+  md: "markdown",
+  markdown: "markdown",
+  txt: "text",
+  text: "text",
+  epub: "epub",
+  png: "image",
+  jpg: "image",
+  jpeg: "image",
+};
+
+const MIME_TYPES = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "text/html": "html",
+  "application/xhtml+xml": "html",
+  "text/markdown": "markdown",
+  "text/plain": "text",
+  "application/epub+zip": "epub",
+  "image/png": "image",
+  "image/jpeg": "image",
+};
+
+/**
+ * The file's type from its extension, then its MIME type, then its first
+ * bytes, since dragged files often arrive with neither set reliably.
+ */
+export async function detectType(file) {
+  const ext = file.name.split(".").pop().toLowerCase();
+  if (EXTENSIONS[ext]) return EXTENSIONS[ext];
+  if (MIME_TYPES[file.type]) return MIME_TYPES[file.type];
+  const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  if (String.fromCharCode(...head) === "%PDF") return "pdf";
+  if ((head[0] === 0x89 && String.fromCharCode(...head.slice(1)) === "PNG") || (head[0] === 0xff && head[1] === 0xd8)) return "image";
+  if (head[0] === 0x50 && head[1] === 0x4b) {
+    // List the entries without inflating any of them
+    const names = [];
+    unzipSync(new Uint8Array(await file.arrayBuffer()), { filter: ({ name }) => names.push(name) && false });
+    return names.includes("META-INF/container.xml") ? "epub" : "docx";
+  }
+  return file.type.startsWith("text/") ? "text" : null;
+}
+
+const cleanLine = (text) => text.replace(/[ \t\u00a0]+/g, " ").trim();
+const toText = (blocks) =>
+  blocks
+    .map((block) => block.marker ?? block.text)
+    .filter(Boolean)
+    .join("\n\n");
+
+// Soft-wrapped lines become one paragraph; a word hyphenated across lines is rejoined
+const joinLines = (lines) => lines.reduce((text, line) => (text.endsWith("-") ? text.slice(0, -1) + line : text ? `${text} ${line}` : line), "");
+
+// OCR output has one line per printed line and blank lines between paragraphs
+const ocrBlocks = (text) =>
+  text
+    .split(/\n\s*\n/)
+    .map((paragraph) => joinLines(paragraph.split("\n").map(cleanLine).filter(Boolean)))
+    .filter(Boolean)
+    .map((paragraph) => ({ text: paragraph }));
+
+// Scanned pages are rendered at about 216 dpi, enough for Tesseract on ordinary print
+const OCR_SCALE = 3;
+
+async function ocrPdfPage(page, onProgress) {
+  const viewport = page.getViewport({ scale: OCR_SCALE });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  try {
+    await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+    return ocrBlocks(await recognize(canvas, { onProgress }));
+  } finally {
+    // Release the bitmap now rather than whenever the canvas is collected
+    canvas.width = 0;
+    canvas.height = 0;
+  }
+}
+
+/**
+ * PDF pages carry positioned text runs, not paragraphs. Runs are grouped into
+ * lines by their baseline, and a gap noticeably taller than the usual line
+ * spacing starts a new paragraph. Pages with next to no text layer are
+ * scanned images, so they are rendered and read with OCR instead.
+ */
+async function extractPdf(file, { onProgress } = {}) {
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const total = pdf.numPages;
+  const blocks = [];
+  for (let pageIndex = 1; pageIndex <= total; pageIndex += 1) {
+    const page = await pdf.getPage(pageIndex);
+    const { items } = await page.getTextContent();
+    const chars = items.reduce((count, item) => count + item.str.replace(/\s/g, "").length, 0);
+    if (chars < MIN_TEXT_CHARS) {
+      onProgress?.({ done: pageIndex - 1, total, ocr: true, fraction: 0 });
+      const text = await ocrPdfPage(page, (fraction) => onProgress?.({ done: pageIndex - 1, total, ocr: true, fraction }));
+      blocks.push({ marker: marker.page(pageIndex) }, ...text);
+      onProgress?.({ done: pageIndex, total });
+      continue;
+    }
+
+    const lines = [];
+    for (const item of items) {
+      const y = item.transform[5];
+      const last = lines[lines.length - 1];
+      if (last && Math.abs(last.y - y) < Math.max(2, (item.height || 10) / 2)) last.text += item.str;
+      else if (item.str.trim()) lines.push({ y, height: item.height || 10, text: item.str });
+      if (item.hasEOL && lines.length) lines[lines.length - 1].text += " ";
+    }
+
+    blocks.push({ marker: marker.page(pageIndex) });
+    const gaps = lines.slice(1).map((line, i) => lines[i].y - line.y).filter((gap) => gap > 0).sort((a, b) => a - b);
+    const usual = gaps[Math.floor(gaps.length / 2)] || 0;
+    let paragraph = [];
+    lines.forEach((line, i) => {
+      const gap = i ? lines[i - 1].y - line.y : 0;
+      if (paragraph.length && (gap > usual * 1.4 || gap < 0)) {
+        blocks.push({ text: joinLines(paragraph) });
+        paragraph = [];
+      }
+      paragraph.push(cleanLine(line.text));
+    });
+    if (paragraph.length) blocks.push({ text: joinLines(paragraph) });
+    onProgress?.({ done: pageIndex, total });
+  }
+  return blocks;
+}
+
+const HEADING_TAGS = new Set(["H1", "H2", "H3", "H4", "H5", "H6"]);
+const BLOCK_TAGS = new Set(["P", "LI", "BLOCKQUOTE", "DD", "DT", "FIGCAPTION", "TD", "TH", "CAPTION", "ADDRESS"]);
+const INLINE_TAGS = new Set(["A", "ABBR", "B", "BDI", "BDO", "BR", "CITE", "CODE", "DATA", "DFN", "EM", "I", "KBD", "MARK", "Q", "S", "SAMP", "SMALL", "SPAN", "STRONG", "SUB", "SUP", "TIME", "U", "VAR"]);
+const SKIP_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "SVG", "NAV", "HEADER", "FOOTER", "ASIDE", "FORM", "BUTTON", "IFRAME"]);
+
+/**
+ * Walk an HTML document in reading order: headings become section markers,
+ * paragraph-like elements become paragraphs, and runs of loose inline text
+ * inside generic containers are gathered into paragraphs of their own.
+ */
+function htmlBlocks(root) {
+  const blocks = [];
+  let loose = "";
+  const flush = () => {
+    const text = cleanLine(loose);
+    if (text) blocks.push({ text });
+    loose = "";
+  };
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        loose += child.textContent;
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+      const tag = child.tagName.toUpperCase();
+      if (SKIP_TAGS.has(tag)) continue;
+      if (INLINE_TAGS.has(tag)) {
+        loose += tag === "BR" ? " " : child.textContent;
+        continue;
+      }
+      flush();
+      if (HEADING_TAGS.has(tag)) {
+        const heading = cleanLine(child.textContent);
+        if (heading) blocks.push({ marker: marker.section(heading), heading });
+      } else if (tag === "PRE") {
+        blocks.push({ text: child.textContent.replace(/\s+$/, "") });
+      } else if (BLOCK_TAGS.has(tag)) {
+        const text = cleanLine(child.textContent);
+        if (text) blocks.push({ text: tag === "LI" ? `- ${text}` : text });
+      } else {
+        walk(child);
+        flush();
+      }
+    }
+  };
+  walk(root);
+  flush();
+  return blocks;
+}
+
+const parseHtml = (html) => new DOMParser().parseFromString(html, "text/html");
+
+async function extractHtml(file) {
+  const doc = parseHtml(await file.text());
+  return htmlBlocks(doc.body);
+}
+
+// Markdown already has paragraphs; headings are swapped for section markers
+async function extractMarkdown(file) {
+  const text = (await file.text()).replace(/\r\n?/g, "\n");
+  return text.split(/\n\s*\n/).flatMap((chunk) => {
+    const lines = chunk.split("\n");
+    const blocks = [];
+    let rest = [];
+    for (const line of lines) {
+      const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        if (rest.length) blocks.push({ text: rest.join("\n").trim() });
+        blocks.push({ marker: marker.section(heading[1]) });
+        rest = [];
+      } else {
+        rest.push(line);
+      }
+    }
+    if (rest.join("").trim()) blocks.push({ text: rest.join("\n").trim() });
+    return blocks;
+  });
+}
+
+// Form feeds are the only page breaks plain text has
+async function extractText(file) {
+  const pages = (await file.text()).replace(/\r\n?/g, "\n").split("\f");
+  return pages.flatMap((page, index) => [
+    ...(pages.length > 1 ? [{ marker: marker.page(index + 1) }] : []),
+    ...page
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean)
+      .map((text) => ({ text })),
+  ]);
+}
+
+const xml = (text) => new DOMParser().parseFromString(text, "application/xml");
+const WORD_HEADING = /^(Heading|Title)/i;
+const WORD_BREAKS = { "w:tab": "\t", "w:br": "\n", "w:cr": "\n" };
+
+// Text of a w:p in document order: w:t runs, with tabs and line breaks kept
+const runText = (node) =>
+  [...node.childNodes]
+    .map((child) => {
+      if (child.nodeType !== 1) return "";
+      if (child.tagName === "w:t") return child.textContent;
+      return WORD_BREAKS[child.tagName] ?? runText(child);
+    })
+    .join("");
+
+/**
+ * DOCX body text lives in word/document.xml as w:p paragraphs made of w:t
+ * runs. Heading and Title styles become section markers.
+ */
+async function extractDocx(file) {
+  const files = unzipSync(new Uint8Array(await file.arrayBuffer()), { filter: ({ name }) => name === "word/document.xml" });
+  if (!files["word/document.xml"]) throw new Error("Not a Word document");
+  const doc = xml(strFromU8(files["word/document.xml"]));
+  const blocks = [];
+  for (const paragraph of doc.getElementsByTagName("w:p")) {
+    const text = runText(paragraph).split("\n").map(cleanLine).join("\n").trim();
+    if (!text) continue;
+    const style = paragraph.getElementsByTagName("w:pStyle")[0]?.getAttribute("w:val") || "";
+    const listItem = paragraph.getElementsByTagName("w:numPr").length > 0;
+    if (WORD_HEADING.test(style)) blocks.push({ marker: marker.section(text) });
+    else blocks.push({ text: listItem ? `- ${text}` : text });
+  }
+  return blocks;
+}
+
+// Resolve an href inside the EPUB against the directory of the file that made it
+const resolvePath = (base, href) => {
+  const parts = base.split("/").slice(0, -1);
+  for (const part of decodeURIComponent(href.split("#")[0]).split("/")) {
+    if (part === "..") parts.pop();
+    else if (part && part !== ".") parts.push(part);
+  }
+  return parts.join("/");
+};
+
+/**
+ * An EPUB is a zip of XHTML chapters. container.xml points at the package
+ * file, whose spine lists the chapters in reading order.
+ */
+async function extractEpub(file) {
+  const files = unzipSync(new Uint8Array(await file.arrayBuffer()));
+  const read = (path) => (files[path] ? strFromU8(files[path]) : null);
+  const container = read("META-INF/container.xml");
+  const opfPath = container && xml(container).getElementsByTagName("rootfile")[0]?.getAttribute("full-path");
+  const opf = opfPath && read(opfPath);
+  if (!opf) throw new Error("Not an EPUB book");
+
+  const pkg = xml(opf);
+  const manifest = new Map([...pkg.getElementsByTagName("item")].map((item) => [item.getAttribute("id"), item.getAttribute("href")]));
+  const blocks = [];
+  let chapter = 0;
+  for (const ref of pkg.getElementsByTagName("itemref")) {
+    if (ref.getAttribute("linear") === "no") continue;
+    const href = manifest.get(ref.getAttribute("idref"));
+    const source = href && read(resolvePath(opfPath, href));
+    if (!source) continue;
+    const body = htmlBlocks(parseHtml(source).body);
+    if (!body.some((block) => block.text)) continue;
+    chapter += 1;
+    // The chapter's own first heading names it, so it is not repeated as a section
+    const title = body[0].heading ? body.shift().heading : "";
+    blocks.push({ marker: marker.chapter(chapter, title) }, ...body);
+  }
+  return blocks;
+}
+
+// Photos of notes and whiteboards: the whole image goes through OCR
+async function extractImage(file, { onProgress } = {}) {
+  onProgress?.({ done: 0, total: 1, ocr: true, fraction: 0 });
+  const blocks = ocrBlocks(await recognize(file, { onProgress: (fraction) => onProgress?.({ done: 0, total: 1, ocr: true, fraction }) }));
+  onProgress?.({ done: 1, total: 1 });
+  return blocks;
+}
+
+const EXTRACTORS = {
+  pdf: extractPdf,
+  docx: extractDocx,
+  html: extractHtml,
+  markdown: extractMarkdown,
+  text: extractText,
+  epub: extractEpub,
+  image: extractImage,
+};
+
+/**
+ * Extract one file's text. `onProgress` gets { done, total } pages for PDFs
+ * and images; while a page is being read with OCR it also gets `ocr: true`
+ * and the `fraction` of that page recognized so far.
+ */
+export async function extractFile(file, options = {}) {
+  const type = await detectType(file);
+  if (!type) throw new Error(`Unsupported file type: ${file.name}`);
+  return toText(await EXTRACTORS[type](file, options));
+}
+
+/**
+ * Extract several files into one note, each under a file marker when there is
+ * more than one. Files that fail are reported instead of stopping the rest.
+ * `onFile` hears which file is being read, `onProgress` its pages.
+ * Resolves to { text, failed: [{ name, message }] }.
+ */
+export async function extractFiles(files, { onFile, onProgress } = {}) {
+  const parts = [];
+  const failed = [];
+  try {
+    for (const [index, file] of [...files].entries()) {
+      onFile?.({ name: file.name, index, total: files.length });
+      try {
+        const text = await extractFile(file, { onProgress: (progress) => onProgress?.({ name: file.name, ...progress }) });
+        if (text) parts.push(files.length > 1 ? `${marker.file(file.name)}\n\n${text}` : text);
+      } catch (error) {
+        console.error(`Could not read ${file.name}`, error);
+        failed.push({ name: file.name, message: error.message });
+      }
+    }
+  } finally {
+    await releaseOcr();
+  }
+  return { text: parts.join("\n\n"), failed };
+}
@@ -1,10 +1,25 @@
-import { StrictMode } from 'react'
+import React, { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { HashRouter, Route, Routes } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
+import SharedView from './SharedView.jsx'
+import NotFound from './NotFound.jsx'
 
+// Hash routes keep working on static hosts (GitHub Pages, nginx) without rewrites
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <HashRouter>
+      <Routes>
+        <Route path="/" element={<App />} />
+        <Route path="/paraphraser" element={<App />} />
+        <Route path="/grammar" element={<App />} />
+        <Route path="/chat" element={<App />} />
+        <Route path="/verify-email" element={<App />} />
+        <Route path="/reset-password" element={<App />} />
+        <Route path="/s/:slug" element={<SharedView />} />
+        <Route path="*" element={<NotFound />} />
+      </Routes>
+    </HashRouter>
   </StrictMode>,
 )
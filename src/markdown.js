@@ -0,0 +1,104 @@
+// markdown.js - the small slice of Markdown that summaries use, parsed into
+// blocks that the PDF, DOCX and HTML exporters each render in their own way.
+//
+// Blocks: { type: "heading", level, spans } | { type: "paragraph", spans }
+//       | { type: "list", ordered, items: [spans] } | { type: "quote", spans }
+//       | { type: "code", text } | { type: "rule" }
+// Spans:  { text, bold?, italic?, code?, href? }
+
+const INLINE = /(\*\*|__)(.+?)\1|(\*|_)(?!\s)(.+?)\3|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+/**
+ * Split a line of text into styled spans. Nesting is flattened one level:
+ * bold text may contain italics, which is all summaries tend to use.
+ */
+export function parseInline(text, style = {}) {
+  const spans = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > last) spans.push({ ...style, text: text.slice(last, match.index) });
+    const [, , bold, , italic, code, label, href] = match;
+    if (bold !== undefined) spans.push(...parseInline(bold, { ...style, bold: true }));
+    else if (italic !== undefined) spans.push(...parseInline(italic, { ...style, italic: true }));
+    else if (code !== undefined) spans.push({ ...style, text: code, code: true });
+    else spans.push({ ...style, text: label, href });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) spans.push({ ...style, text: text.slice(last) });
+  return spans;
+}
+
+const BULLET = /^\s*[-*+•]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+export function parseMarkdown(source = "") {
+  const blocks = [];
+  const lines = String(source).replace(/\r\n?/g, "\n").split("\n");
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push({ type: "paragraph", spans: parseInline(paragraph.join(" ")) });
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(list);
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith("```")) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      for (i += 1; i < lines.length && !lines[i].trim().startsWith("```"); i += 1) code.push(lines[i]);
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+    if (!trimmed) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    const bullet = line.match(BULLET);
+    const numbered = line.match(NUMBERED);
+
+    if (heading) {
+      flushParagraph();
+      flushList();
+      blocks.push({ type: "heading", level: heading[1].length, spans: parseInline(heading[2]) });
+    } else if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flushParagraph();
+      flushList();
+      blocks.push({ type: "rule" });
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const ordered = Boolean(numbered && !bullet);
+      if (!list || list.ordered !== ordered) {
+        flushList();
+        list = { type: "list", ordered, items: [] };
+      }
+      list.items.push(parseInline((bullet || numbered)[1]));
+    } else if (trimmed.startsWith(">")) {
+      flushParagraph();
+      flushList();
+      blocks.push({ type: "quote", spans: parseInline(trimmed.replace(/^>\s?/, "")) });
+    } else if (list && /^\s+/.test(line)) {
+      // An indented line continues the previous list item
+      list.items[list.items.length - 1].push({ text: ` ${trimmed}` });
+    } else {
+      flushList();
+      paragraph.push(trimmed);
+    }
+  }
+  flushParagraph();
+  flushList();
+  return blocks;
+}
+
+export const plainText = (spans) => spans.map((span) => span.text).join("");
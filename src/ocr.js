@@ -0,0 +1,71 @@
+// ocr.js - local text recognition for scanned pages and photos of notes.
+//
+// tesseract.js runs in a web worker. The worker script, the WebAssembly core
+// and the English model are bundled with the app, so nothing is fetched from
+// a CDN and recognition works offline. All of it is loaded on first use only.
+import workerPath from "tesseract.js/dist/worker.min.js?url";
+// Every LSTM build of the core, so tesseract can pick the fastest one the browser supports
+import lstmCore from "tesseract.js-core/tesseract-core-lstm.wasm.js?url";
+import "tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url";
+import "tesseract.js-core/tesseract-core-relaxedsimd-lstm.wasm.js?url";
+import englishModel from "@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url";
+
+// A page counts as scanned when its text layer has fewer characters than this
+export const MIN_TEXT_CHARS = 20;
+
+let workerPromise = null;
+// The worker is shared, so progress goes to whichever recognition is running
+let currentLogger = null;
+
+// Tesseract fetches <lang>.traineddata.gz from a folder; the build keeps the model's name for that
+const langPath = englishModel.slice(0, englishModel.lastIndexOf("/"));
+// Same for the core: given a folder, tesseract chooses the build by name
+const corePath = lstmCore.slice(0, lstmCore.lastIndexOf("/"));
+
+const loadWorker = async () => {
+  const { createWorker, OEM } = await import("tesseract.js");
+  return createWorker("eng", OEM.LSTM_ONLY, {
+    workerPath,
+    corePath,
+    langPath,
+    logger: (message) => currentLogger?.(message),
+  });
+};
+
+const getWorker = () => {
+  workerPromise ??= loadWorker().catch((error) => {
+    workerPromise = null;
+    throw error;
+  });
+  return workerPromise;
+};
+
+/**
+ * Recognize the text in an image, canvas or image file. The text keeps
+ * Tesseract's layout: one line per printed line, blank lines between paragraphs.
+ * `onProgress` gets the fraction of this image recognized so far.
+ */
+export async function recognize(image, { onProgress } = {}) {
+  const worker = await getWorker();
+  currentLogger = ({ status, progress }) => {
+    if (status === "recognizing text") onProgress?.(progress);
+  };
+  try {
+    const { data } = await worker.recognize(image);
+    return data.text;
+  } finally {
+    currentLogger = null;
+  }
+}
+
+// Free the worker and its model once a batch of files is done
+export async function releaseOcr() {
+  if (!workerPromise) return;
+  const pending = workerPromise;
+  workerPromise = null;
+  try {
+    await (await pending).terminate();
+  } catch {
+    // A worker that never started has nothing to free
+  }
+}
@@ -5,4 +5,16 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   base: '/Frontend-CI/',
   plugins: [react()],
+  build: {
+    rollupOptions: {
+      output: {
+        // Tesseract looks for <lang>.traineddata.gz and its core builds inside folders, so those keep their names
+        assetFileNames: ({ names }) => {
+          if (names.some((name) => name.endsWith('.traineddata.gz'))) return 'assets/tessdata/[name][extname]'
+          if (names.some((name) => name.startsWith('tesseract-core'))) return 'assets/tesseract-core/[name][extname]'
+          return 'assets/[name]-[hash][extname]'
+        },
+      },
+    },
+  },
 })